@@ -0,0 +1,91 @@
+// Time the physics and placement queries on the benchmark scene
+//
+// Usage:
+//   node scripts/benchmark.js [options]
+//
+// Options:
+//   --blocks <n>         Blocks in the scene (default 1000)
+//   --ticks <n>          Physics steps to time (default 300)
+//   --naive-broadphase   Use cannon's naive broadphase, for comparison
+//
+// Rendering isn't included; open the game with #benchmark for frame times
+// in the browser.
+import * as CANNON from 'cannon-es';
+import { Simulation } from '../src/simulation.js';
+import { getOrientedHalfExtents } from '../src/blockDefs.js';
+import { BENCHMARK_BLOCKS, createBenchmarkTower, FrameStats } from '../src/benchmark.js';
+
+function parseArgs(argv) {
+  const args = { blocks: BENCHMARK_BLOCKS, ticks: 300, naive: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--blocks') {
+      args.blocks = Number(argv[++i]);
+    } else if (arg === '--ticks') {
+      args.ticks = Number(argv[++i]);
+    } else if (arg === '--naive-broadphase') {
+      args.naive = true;
+    }
+  }
+
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const sim = new Simulation();
+  if (args.naive) {
+    sim.physics.world.broadphase = new CANNON.NaiveBroadphase();
+  }
+
+  const blocks = createBenchmarkTower(args.blocks);
+  sim.loadBlocks(blocks);
+
+  // Sweep a ghost block over the scene, one placement check per step, the
+  // way the game checks the ghost every frame
+  const halfExtents = getOrientedHalfExtents('office', {});
+  const steps = new FrameStats();
+  const queries = new FrameStats();
+
+  for (let tick = 0; tick < args.ticks; tick++) {
+    let start = performance.now();
+    sim.step();
+    steps.add(performance.now() - start);
+
+    const target = blocks[(tick * 7919) % blocks.length].position;
+    start = performance.now();
+    const surfaceY = sim.physics.getTopYAt(target.x, target.z, halfExtents);
+    const position = { x: target.x, y: surfaceY + halfExtents.y, z: target.z };
+    sim.physics.isValidPlacement(position, halfExtents);
+    sim.physics.hasSupport(position, halfExtents);
+    queries.add(performance.now() - start);
+  }
+
+  const format = (stats) => {
+    const summary = stats.summarize();
+    return {
+      average: round(summary.average),
+      p95: round(summary.p95),
+      worst: round(summary.worst)
+    };
+  };
+
+  console.log(JSON.stringify({
+    blocks: sim.physics.bodies.length,
+    ticks: args.ticks,
+    broadphase: args.naive ? 'naive' : 'spatial-hash',
+    stepMs: format(steps),
+    placementQueryMs: format(queries),
+    // A standing tower should be asleep well before the default 300 ticks
+    asleep: sim.physics.bodies.filter(body => body.sleepState === CANNON.Body.SLEEPING).length,
+    height: round(sim.getHeight()),
+    collapsed: sim.hasCollapsed()
+  }, null, 2));
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+main();
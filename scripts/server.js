@@ -0,0 +1,234 @@
+// Reference multiplayer server
+//
+// Usage:
+//   node scripts/server.js [--port <n>]
+//
+// Serves rooms (see src/netRoom.js) over WebSocket on every path, on port
+// 8787 by default. Only the little of the WebSocket protocol browsers need
+// is spoken here (unfragmented replies, text messages, ping and close), so
+// it runs on Node alone. Run `npm run dev` alongside it and open the game in
+// two tabs to play against localhost.
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { NetLobby } from '../src/netRoom.js';
+import { DEFAULT_PORT } from '../src/netProtocol.js';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Bigger messages close the connection (a full sync of a large tower fits)
+const MAX_MESSAGE_SIZE = 1024 * 1024;
+
+const OPCODES = { continuation: 0, text: 1, binary: 2, close: 8, ping: 9, pong: 10 };
+
+// Close codes
+const PROTOCOL_ERROR = 1002;
+const MESSAGE_TOO_BIG = 1009;
+
+// An error that closes the connection with `code`
+function closeError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function parseArgs(argv) {
+  const args = { port: Number(process.env.PORT) || DEFAULT_PORT };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') {
+      args.port = Number(argv[++i]);
+    } else {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  if (!Number.isInteger(args.port) || args.port <= 0) {
+    throw new Error('--port needs a port number');
+  }
+  return args;
+}
+
+// One frame from the server (never masked)
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// The first whole frame in `buffer` as { fin, opcode, payload, size }, null
+// if it hasn't all arrived yet
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0F;
+  const masked = (buffer[1] & 0x80) !== 0;
+
+  // Browsers mask everything they send, and RFC 6455 has servers drop
+  // clients that don't
+  if (!masked) {
+    throw closeError('Frame from the client is not masked', PROTOCOL_ERROR);
+  }
+
+  let length = buffer[1] & 0x7F;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    const long = buffer.readBigUInt64BE(2);
+    length = long > BigInt(MAX_MESSAGE_SIZE) ? Infinity : Number(long);
+    offset = 10;
+  }
+  if (length > MAX_MESSAGE_SIZE) {
+    throw closeError('Message too big', MESSAGE_TOO_BIG);
+  }
+
+  const maskOffset = offset;
+  offset += 4;
+  if (buffer.length < offset + length) return null;
+
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  for (let i = 0; i < payload.length; i++) {
+    payload[i] ^= buffer[maskOffset + (i % 4)];
+  }
+  return { fin, opcode, payload, size: offset + length };
+}
+
+// Speak WebSocket on an upgraded socket, handing whole text messages (parsed)
+// to the lobby
+function serveSocket(socket, lobby) {
+  let buffer = Buffer.alloc(0);
+  let fragments = [];
+  let closed = false;
+
+  const write = (opcode, payload) => {
+    if (!closed) socket.write(encodeFrame(opcode, payload));
+  };
+  const connection = lobby.connect(message => write(OPCODES.text, Buffer.from(JSON.stringify(message))));
+
+  const close = (code = 1000) => {
+    if (closed) return;
+
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    write(OPCODES.close, payload);
+    closed = true;
+    socket.end();
+    connection.close();
+  };
+
+  const receive = (text) => {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      write(OPCODES.text, Buffer.from(JSON.stringify({ type: 'error', message: 'Messages must be JSON' })));
+      return;
+    }
+    connection.receive(message);
+  };
+
+  socket.on('data', (data) => {
+    buffer = Buffer.concat([buffer, data]);
+
+    try {
+      let frame;
+      while (!closed && (frame = decodeFrame(buffer))) {
+        buffer = buffer.subarray(frame.size);
+
+        switch (frame.opcode) {
+          case OPCODES.text:
+          case OPCODES.continuation:
+            fragments.push(frame.payload);
+            if (fragments.reduce((size, part) => size + part.length, 0) > MAX_MESSAGE_SIZE) {
+              throw closeError('Message too big', MESSAGE_TOO_BIG);
+            }
+            if (frame.fin) {
+              const text = Buffer.concat(fragments).toString('utf8');
+              fragments = [];
+              receive(text);
+            }
+            break;
+          case OPCODES.ping:
+            write(OPCODES.pong, frame.payload);
+            break;
+          case OPCODES.close:
+            close();
+            break;
+          case OPCODES.pong:
+            break;
+          default:
+            // Binary and unknown frames aren't part of the protocol
+            close(1003);
+        }
+      }
+    } catch (error) {
+      console.warn(`Dropping a connection: ${error.message}`);
+      close(error.code || PROTOCOL_ERROR);
+    }
+  });
+
+  socket.on('close', () => {
+    closed = true;
+    connection.close();
+  });
+  socket.on('error', (error) => console.warn(`Socket error: ${error.message}`));
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(2);
+  }
+
+  const lobby = new NetLobby();
+  const server = createServer((request, response) => {
+    response.writeHead(426, { 'Content-Type': 'text/plain' });
+    response.end('Skyscraper Stacker multiplayer server: connect with WebSocket\n');
+  });
+
+  server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '',
+      ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+    serveSocket(socket, lobby);
+  });
+
+  server.listen(args.port, () => {
+    console.log(`Multiplayer server listening on ws://localhost:${args.port}`);
+  });
+}
+
+main();
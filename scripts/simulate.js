@@ -0,0 +1,102 @@
+// Run a tower through the headless simulation and report how it stands
+//
+// Usage:
+//   node scripts/simulate.js <scenario.json | tower.json | share-code> [options]
+//
+// Input can be:
+//   - a scenario file: { "placements": [{ "blockType": "office", "x": 0, "z": 0 }] }
+//     (placements may add "orientation": { "yaw": 0-3, "tip": true }, and
+//     "hazards": [{ "tick": 60, "type": "wind", "direction": "NE" }] hits the
+//     finished tower, counting ticks from the last placement)
+//   - a tower file exported from the game (see README)
+//   - a share code, the part of a share link after "#tower="
+//
+// Options:
+//   --ticks <n>          Extra ticks to run after the last placement (default 300)
+//   --expect-height <m>  Exit with code 1 if the final height is below <m>
+//   --expect-standing    Exit with code 1 if the tower collapsed
+import { readFileSync, existsSync } from 'node:fs';
+import { Simulation } from '../src/simulation.js';
+import { parseTower } from '../src/storage.js';
+import { decodeTower } from '../src/share.js';
+
+function parseArgs(argv) {
+  const args = { input: null, ticks: 300, expectHeight: null, expectStanding: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--ticks') {
+      args.ticks = Number(argv[++i]);
+    } else if (arg === '--expect-height') {
+      args.expectHeight = Number(argv[++i]);
+    } else if (arg === '--expect-standing') {
+      args.expectStanding = true;
+    } else if (!args.input) {
+      args.input = arg;
+    }
+  }
+
+  return args;
+}
+
+// Turn the input into either placements to replay or blocks to load
+function loadInput(input) {
+  if (!existsSync(input)) {
+    return { placements: decodeTower(input) };
+  }
+
+  const data = JSON.parse(readFileSync(input, 'utf8'));
+  if (Array.isArray(data.placements)) {
+    return { placements: data.placements, hazards: data.hazards };
+  }
+  return { blocks: parseTower(data).blocks };
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.input) {
+    console.error('Usage: node scripts/simulate.js <scenario.json | tower.json | share-code> [options]');
+    process.exit(2);
+  }
+
+  const input = loadInput(args.input);
+  const sim = new Simulation();
+
+  if (input.blocks) {
+    sim.loadBlocks(input.blocks);
+  } else {
+    input.placements.forEach((placement, index) => {
+      const result = sim.placeBlock(placement.blockType, placement.x, placement.z, placement.orientation);
+      if (!result) {
+        throw new Error(`Unknown block type: ${placement.blockType}`);
+      }
+
+      const settled = sim.settle();
+      const flags = [result.valid ? '' : 'invalid', settled ? '' : 'unsettled'].filter(Boolean);
+      console.log(
+        `#${index + 1} ${placement.blockType} at (${placement.x}, ${placement.z}) ` +
+        `height ${sim.getHeight().toFixed(1)}` +
+        (flags.length ? ` [${flags.join(', ')}]` : '')
+      );
+    });
+  }
+
+  if (input.hazards) {
+    sim.physics.hazards.scheduleHazards(input.hazards);
+  }
+  sim.step(args.ticks);
+
+  const report = sim.getReport();
+  console.log(JSON.stringify(report, null, 2));
+
+  if (args.expectStanding && report.collapsed) {
+    console.error('Tower collapsed');
+    process.exit(1);
+  }
+  if (args.expectHeight !== null && report.height < args.expectHeight) {
+    console.error(`Tower height ${report.height.toFixed(1)} is below ${args.expectHeight}`);
+    process.exit(1);
+  }
+}
+
+main();
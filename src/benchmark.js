@@ -0,0 +1,78 @@
+import { BLOCK_TYPES } from './blockDefs.js';
+
+// Benchmark scene
+//
+// A field of office-block columns, every block resting exactly on the one
+// below, for timing the game with a thousand or more blocks. Open the game
+// with #benchmark (or #benchmark=2000 for another block count) to run it;
+// scripts/benchmark.js times the same scene without rendering.
+export const BENCHMARK_BLOCKS = 1000;
+export const BENCHMARK_SECONDS = 10;
+
+const BENCHMARK_BLOCK_TYPE = 'office';
+const LAYERS = 10;
+const GAP = 5;
+
+// Block states in PhysicsWorld.snapshot() form
+export function createBenchmarkTower(count = BENCHMARK_BLOCKS) {
+  const size = BLOCK_TYPES[BENCHMARK_BLOCK_TYPE].size;
+  const columns = Math.ceil(count / LAYERS);
+  const side = Math.ceil(Math.sqrt(columns));
+  const spacing = Math.max(size.x, size.z) + GAP;
+  const offset = (side - 1) * spacing / 2;
+
+  const blocks = [];
+  for (let i = 0; i < count; i++) {
+    const column = i % columns;
+    const layer = Math.floor(i / columns);
+    blocks.push({
+      blockType: BENCHMARK_BLOCK_TYPE,
+      position: {
+        x: (column % side) * spacing - offset,
+        y: size.y * (layer + 0.5),
+        z: Math.floor(column / side) * spacing - offset
+      },
+      quaternion: { x: 0, y: 0, z: 0, w: 1 },
+      velocity: { x: 0, y: 0, z: 0 },
+      angularVelocity: { x: 0, y: 0, z: 0 },
+      sleepState: 0
+    });
+  }
+  return blocks;
+}
+
+// Block count asked for by a #benchmark link, or null
+export function readBenchmarkCount(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  if (!params.has('benchmark')) return null;
+
+  const count = Number(params.get('benchmark'));
+  return Number.isInteger(count) && count > 0 ? count : BENCHMARK_BLOCKS;
+}
+
+// Collects frame times (in milliseconds) and sums them up
+export class FrameStats {
+  constructor() {
+    this.samples = [];
+  }
+
+  add(milliseconds) {
+    this.samples.push(milliseconds);
+  }
+
+  get count() {
+    return this.samples.length;
+  }
+
+  // { frames, average, p95, worst } in milliseconds
+  summarize() {
+    const sorted = [...this.samples].sort((a, b) => a - b);
+    const total = sorted.reduce((sum, value) => sum + value, 0);
+    return {
+      frames: sorted.length,
+      average: sorted.length ? total / sorted.length : 0,
+      p95: sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))] : 0,
+      worst: sorted.length ? sorted[sorted.length - 1] : 0
+    };
+  }
+}
@@ -0,0 +1,362 @@
+import * as CANNON from 'cannon-es';
+import catalog from './blockCatalog.json' with { type: 'json' };
+import { MATERIALS, getMaterialForFriction, getPhysicsMaterial } from './materials.js';
+
+// Block definitions and physics bodies
+//
+// Nothing in here touches Three.js, so the simulation can run headless
+// (see simulation.js). Meshes and ghost previews live in blocks.js. The
+// built-in block types come from blockCatalog.json.
+
+// Block type definitions, keyed by id. Filled from blockCatalog.json at
+// startup; players can add their own with registerBlockTypes().
+export const BLOCK_TYPES = {};
+
+export const CATALOG_VERSION = 1;
+
+// Validate a catalog manifest ({ version, blocks: [...] }, or just the block
+// list) and return its block definitions in BLOCK_TYPES form
+export function parseBlockCatalog(manifest) {
+  const list = Array.isArray(manifest) ? manifest : manifest && manifest.blocks;
+  if (!Array.isArray(list)) {
+    throw new Error('Block catalog has no block list');
+  }
+  if (!Array.isArray(manifest) && manifest.version > CATALOG_VERSION) {
+    throw new Error(`Unsupported block catalog version: ${manifest.version}`);
+  }
+
+  return list.map(parseBlockDefinition);
+}
+
+function parseBlockDefinition(def) {
+  if (!def || typeof def.id !== 'string' || !/^[a-z0-9_-]{1,32}$/i.test(def.id)) {
+    throw new Error('Block definition needs an id of letters, digits, - or _');
+  }
+
+  const where = `Block "${def.id}"`;
+  const size = def.size || {};
+  for (const axis of ['x', 'y', 'z']) {
+    if (!isNumberInRange(size[axis], 1, 200)) {
+      throw new Error(`${where} needs a size.${axis} between 1 and 200`);
+    }
+  }
+  if (!isNumberInRange(def.mass, 0.1, 1000)) {
+    throw new Error(`${where} needs a mass between 0.1 and 1000`);
+  }
+
+  // Older definitions give a friction instead of a material
+  let material = def.material;
+  if (material === undefined && def.friction !== undefined) {
+    if (!isNumberInRange(def.friction, 0, 2)) {
+      throw new Error(`${where} needs a friction between 0 and 2`);
+    }
+    material = getMaterialForFriction(def.friction);
+  }
+  if (!MATERIALS[material]) {
+    throw new Error(`${where} needs a material (${Object.keys(MATERIALS).join(', ')})`);
+  }
+  if (!isHexColor(def.color)) {
+    throw new Error(`${where} needs a color like "#4ECDC4"`);
+  }
+
+  const shape = def.shape === undefined ? 'box' : def.shape;
+  if (!BLOCK_SHAPES.includes(shape)) {
+    throw new Error(`${where} has an unknown shape "${def.shape}" (use ${BLOCK_SHAPES.join(', ')})`);
+  }
+
+  const name = typeof def.name === 'string' && def.name ? def.name : def.id;
+
+  return {
+    id: def.id,
+    name: name,
+    label: typeof def.label === 'string' && def.label ? def.label : name,
+    shape: shape,
+    size: { x: size.x, y: size.y, z: size.z },
+    color: parseInt(def.color.slice(1), 16),
+    mass: def.mass,
+    material: material,
+    icon: parseIcon(def.icon, def.color, size),
+    unlock: def.unlock && isNumberInRange(def.unlock.height, 0, Infinity) ? { height: def.unlock.height } : null
+  };
+}
+
+// Palette preview: a gradient box, by default shaped like the block's front
+function parseIcon(icon, color, size) {
+  if (icon && isNumberInRange(icon.width, 1, 80) && isNumberInRange(icon.height, 1, 80)) {
+    const colors = Array.isArray(icon.colors) && icon.colors.length === 2 && icon.colors.every(isHexColor)
+      ? icon.colors
+      : [color, color];
+    return { width: icon.width, height: icon.height, colors: colors };
+  }
+
+  const scale = 55 / Math.max(size.x, size.y);
+  return {
+    width: Math.max(8, Math.round(size.x * scale)),
+    height: Math.max(8, Math.round(size.y * scale)),
+    colors: [color, color]
+  };
+}
+
+function isHexColor(value) {
+  return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+}
+
+function isNumberInRange(value, min, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+// Add block types to BLOCK_TYPES. Custom blocks may not replace existing
+// ones. Returns the ids that were added.
+export function registerBlockTypes(manifest, options = {}) {
+  const definitions = parseBlockCatalog(manifest);
+
+  for (const def of definitions) {
+    if (BLOCK_TYPES[def.id]) {
+      throw new Error(`Block type "${def.id}" already exists`);
+    }
+  }
+  for (const def of definitions) {
+    BLOCK_TYPES[def.id] = { ...def, custom: !!options.custom };
+  }
+
+  return definitions.map(def => def.id);
+}
+
+// Whether a block type is available given the player's progress
+export function isBlockUnlocked(blockType, progress = {}) {
+  const config = BLOCK_TYPES[blockType];
+  if (!config) return false;
+  if (!config.unlock) return true;
+  return (progress.bestHeight || 0) >= config.unlock.height;
+}
+
+// Block shapes. Every shape fills the block's size as its bounding box,
+// centred on the block position.
+export const BLOCK_SHAPES = ['box', 'cylinder', 'wedge', 'dome', 'arch', 'l-shape'];
+
+const CYLINDER_SEGMENTS = 16;
+const DOME_SEGMENTS = 12;
+const DOME_RINGS = 3;
+
+// Break a block type into primitive parts in block-local coordinates. The
+// physics body and the mesh are both built from these, so they always match.
+//   { kind: 'box', halfExtents, offset }
+//   { kind: 'cylinder', radius, height, segments, offset }  (along Y)
+//   { kind: 'convex', vertices: [[x, y, z]], faces: [[i, ...]], offset }
+//     (faces wind counter-clockwise seen from outside)
+export function getBlockParts(blockType) {
+  const config = BLOCK_TYPES[blockType];
+  if (!config) return null;
+
+  const hx = config.size.x / 2;
+  const hy = config.size.y / 2;
+  const hz = config.size.z / 2;
+  const origin = { x: 0, y: 0, z: 0 };
+
+  switch (config.shape) {
+    case 'cylinder':
+      return [{
+        kind: 'cylinder',
+        radius: Math.min(hx, hz),
+        height: config.size.y,
+        segments: CYLINDER_SEGMENTS,
+        offset: origin
+      }];
+
+    case 'wedge':
+      // Triangular prism with its ridge along X
+      return [{
+        kind: 'convex',
+        vertices: [
+          [-hx, -hy, -hz], [hx, -hy, -hz], [hx, -hy, hz], [-hx, -hy, hz],
+          [-hx, hy, 0], [hx, hy, 0]
+        ],
+        faces: [[0, 1, 2, 3], [0, 4, 5, 1], [3, 2, 5, 4], [0, 3, 4], [1, 5, 2]],
+        offset: origin
+      }];
+
+    case 'dome':
+      return [createDomePart(hx, hy, hz)];
+
+    case 'arch': {
+      // Two legs under a lintel
+      const legHalfX = hx / 4;
+      const lintelHalfY = hy * 0.3;
+      const legHalfY = hy - lintelHalfY;
+      return [
+        boxPart(legHalfX, legHalfY, hz, -hx + legHalfX, -hy + legHalfY, 0),
+        boxPart(legHalfX, legHalfY, hz, hx - legHalfX, -hy + legHalfY, 0),
+        boxPart(hx, lintelHalfY, hz, 0, hy - lintelHalfY, 0)
+      ];
+    }
+
+    case 'l-shape':
+      // Full-width front half plus the back-left quarter
+      return [
+        boxPart(hx, hy, hz / 2, 0, 0, hz / 2),
+        boxPart(hx / 2, hy, hz / 2, -hx / 2, 0, -hz / 2)
+      ];
+
+    default:
+      return [boxPart(hx, hy, hz, 0, 0, 0)];
+  }
+}
+
+function boxPart(hx, hy, hz, x, y, z) {
+  return { kind: 'box', halfExtents: { x: hx, y: hy, z: hz }, offset: { x, y, z } };
+}
+
+// Half ellipsoid sitting on its flat base, built from rings of vertices
+function createDomePart(hx, hy, hz) {
+  const vertices = [];
+  const faces = [];
+
+  for (let ring = 0; ring < DOME_RINGS; ring++) {
+    const phi = (ring / DOME_RINGS) * (Math.PI / 2);
+    for (let i = 0; i < DOME_SEGMENTS; i++) {
+      const theta = (i / DOME_SEGMENTS) * Math.PI * 2;
+      vertices.push([
+        hx * Math.cos(phi) * Math.cos(theta),
+        -hy + 2 * hy * Math.sin(phi),
+        hz * Math.cos(phi) * Math.sin(theta)
+      ]);
+    }
+  }
+  const apex = vertices.length;
+  vertices.push([0, hy, 0]);
+
+  const index = (ring, i) => ring * DOME_SEGMENTS + (i % DOME_SEGMENTS);
+
+  // Flat base
+  faces.push([...Array(DOME_SEGMENTS).keys()]);
+
+  for (let i = 0; i < DOME_SEGMENTS; i++) {
+    for (let ring = 0; ring < DOME_RINGS - 1; ring++) {
+      faces.push([index(ring, i), index(ring + 1, i), index(ring + 1, i + 1), index(ring, i + 1)]);
+    }
+    faces.push([index(DOME_RINGS - 1, i), apex, index(DOME_RINGS - 1, i + 1)]);
+  }
+
+  return { kind: 'convex', vertices, faces, offset: { x: 0, y: 0, z: 0 } };
+}
+
+// Create a Cannon.js physics body for a block type
+export function createBlockBody(blockType, position = { x: 0, y: 0, z: 0 }) {
+  const config = BLOCK_TYPES[blockType];
+  if (!config) {
+    console.error(`Unknown block type: ${blockType}`);
+    return null;
+  }
+
+  const body = new CANNON.Body({
+    mass: config.mass,
+    position: new CANNON.Vec3(position.x, position.y, position.z),
+    material: getPhysicsMaterial(config.material)
+  });
+
+  for (const part of getBlockParts(blockType)) {
+    const offset = new CANNON.Vec3(part.offset.x, part.offset.y, part.offset.z);
+    body.addShape(createPartShape(part), offset);
+  }
+
+  // Add damping for more realistic feel
+  body.linearDamping = 0.1;
+  body.angularDamping = 0.3;
+
+  // Physics queries only look at bodies tagged with a block type
+  body.userData = { blockType: blockType };
+
+  return body;
+}
+
+function createPartShape(part) {
+  switch (part.kind) {
+    case 'cylinder':
+      return new CANNON.Cylinder(part.radius, part.radius, part.height, part.segments);
+    case 'convex':
+      return new CANNON.ConvexPolyhedron({
+        vertices: part.vertices.map(([x, y, z]) => new CANNON.Vec3(x, y, z)),
+        faces: part.faces
+      });
+    default:
+      return new CANNON.Box(new CANNON.Vec3(part.halfExtents.x, part.halfExtents.y, part.halfExtents.z));
+  }
+}
+
+// Get the height offset for placing a block (half its height)
+export function getBlockHeightOffset(blockType) {
+  const config = BLOCK_TYPES[blockType];
+  return config ? config.size.y / 2 : 0;
+}
+
+// Get block size for collision checking
+export function getBlockSize(blockType) {
+  const config = BLOCK_TYPES[blockType];
+  return config ? { ...config.size } : null;
+}
+
+// Get block half extents for physics
+export function getBlockHalfExtents(blockType) {
+  const config = BLOCK_TYPES[blockType];
+  if (!config) return null;
+  return {
+    x: config.size.x / 2,
+    y: config.size.y / 2,
+    z: config.size.z / 2
+  };
+}
+
+// Placement orientation: `yaw` quarter turns around Y, and `tip` to lay the
+// block on its side (a quarter turn around X, applied before the yaw)
+export function getOrientationQuaternion(orientation = {}) {
+  const yaw = new CANNON.Quaternion();
+  yaw.setFromAxisAngle(new CANNON.Vec3(0, 1, 0), ((orientation.yaw || 0) % 4) * Math.PI / 2);
+  if (!orientation.tip) return yaw;
+
+  const tip = new CANNON.Quaternion();
+  tip.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), Math.PI / 2);
+  return yaw.mult(tip);
+}
+
+// Get block half extents in world space for a placement orientation
+export function getOrientedHalfExtents(blockType, orientation) {
+  const halfExtents = getBlockHalfExtents(blockType);
+  if (!halfExtents) return null;
+  return rotateHalfExtents(halfExtents, getOrientationQuaternion(orientation));
+}
+
+// Axis-aligned half extents of a box with the given half extents after rotation
+export function rotateHalfExtents(halfExtents, quaternion) {
+  const m = new CANNON.Mat3();
+  m.setRotationFromQuaternion(quaternion);
+  const e = m.elements;
+
+  return {
+    x: Math.abs(e[0]) * halfExtents.x + Math.abs(e[1]) * halfExtents.y + Math.abs(e[2]) * halfExtents.z,
+    y: Math.abs(e[3]) * halfExtents.x + Math.abs(e[4]) * halfExtents.y + Math.abs(e[5]) * halfExtents.z,
+    z: Math.abs(e[6]) * halfExtents.x + Math.abs(e[7]) * halfExtents.y + Math.abs(e[8]) * halfExtents.z
+  };
+}
+
+// All placement orientations, upright ones first
+export const ORIENTATIONS = [false, true].flatMap(tip => [0, 1, 2, 3].map(yaw => ({ yaw, tip })));
+
+// The placement orientation closest to a (possibly wobbling) quaternion
+export function getNearestOrientation(quaternion) {
+  let best = ORIENTATIONS[0];
+  let bestDot = -1;
+
+  for (const orientation of ORIENTATIONS) {
+    const q = getOrientationQuaternion(orientation);
+    const dot = Math.abs(q.x * quaternion.x + q.y * quaternion.y + q.z * quaternion.z + q.w * quaternion.w);
+    if (dot > bestDot) {
+      bestDot = dot;
+      best = orientation;
+    }
+  }
+
+  return { ...best };
+}
+
+// Built-in blocks (last, so every constant above is initialised)
+registerBlockTypes(catalog);
@@ -0,0 +1,199 @@
+import * as THREE from 'three';
+import { acquireBlockResources, releaseBlockResources, disposeBlockMesh, createBlockOutline, disposeBlockOutline } from './blocks.js';
+
+// Block rendering
+//
+// Blocks are drawn as their own meshes until a type has enough of them to be
+// worth instancing; from then on the type draws as one InstancedMesh (plus
+// one set of instanced edge lines), and its block meshes stay in the scene
+// hidden, for raycasting. A type goes back to plain meshes once it drops
+// well below the threshold, so adding and removing one block around the
+// threshold doesn't rebuild the batch every time.
+export const INSTANCING_THRESHOLD = 24;
+const UNINSTANCING_THRESHOLD = INSTANCING_THRESHOLD / 2;
+const MIN_BATCH_CAPACITY = 64;
+
+// How much bigger than its block a colored outline is
+const OUTLINE_MARGIN = 0.4;
+
+export class BlockRenderer {
+  constructor(scene) {
+    this.scene = scene;
+
+    // blockType -> blocks ({ mesh, body }) in the order they were added
+    this.blocksByType = new Map();
+
+    // blockType -> { mesh, edges, capacity }
+    this.batches = new Map();
+
+    // Blocks with a colored outline (block.outline), see setOutline()
+    this.outlined = new Set();
+  }
+
+  add(block) {
+    const blockType = block.mesh.userData.blockType;
+    let blocks = this.blocksByType.get(blockType);
+    if (!blocks) {
+      blocks = [];
+      this.blocksByType.set(blockType, blocks);
+    }
+
+    blocks.push(block);
+    this.scene.add(block.mesh);
+    this.updateBatch(blockType);
+  }
+
+  // Take a block out of the scene and free what it was using
+  remove(block) {
+    const blockType = block.mesh.userData.blockType;
+    const blocks = this.blocksByType.get(blockType);
+    const index = blocks ? blocks.indexOf(block) : -1;
+    if (index === -1) return;
+
+    blocks.splice(index, 1);
+    this.setOutline(block, null);
+    this.scene.remove(block.mesh);
+    disposeBlockMesh(block.mesh);
+
+    if (blocks.length === 0) {
+      this.blocksByType.delete(blockType);
+    }
+    this.updateBatch(blockType);
+  }
+
+  clear() {
+    for (const blocks of this.blocksByType.values()) {
+      for (const block of blocks) {
+        this.setOutline(block, null);
+        this.scene.remove(block.mesh);
+        disposeBlockMesh(block.mesh);
+      }
+    }
+    this.blocksByType.clear();
+
+    for (const blockType of [...this.batches.keys()]) {
+      this.removeBatch(blockType);
+    }
+  }
+
+  // Copy the block meshes' transforms into their batches. Call after moving
+  // the meshes.
+  update() {
+    for (const [blockType, batch] of this.batches) {
+      const blocks = this.blocksByType.get(blockType);
+
+      blocks.forEach((block, index) => {
+        block.mesh.updateMatrix();
+        batch.mesh.setMatrixAt(index, block.mesh.matrix);
+      });
+      batch.mesh.instanceMatrix.needsUpdate = true;
+    }
+
+    for (const block of this.outlined) {
+      block.outline.position.copy(block.mesh.position);
+      block.outline.quaternion.copy(block.mesh.quaternion);
+    }
+  }
+
+  // Outline a block in a color (its owner's, in hotseat), or take its
+  // outline off with null
+  setOutline(block, color) {
+    if (block.outline) {
+      this.scene.remove(block.outline);
+      disposeBlockOutline(block.outline);
+      block.outline = null;
+      this.outlined.delete(block);
+    }
+    if (color === null) return;
+
+    block.outline = createBlockOutline(block.mesh.userData.blockType, color, { margin: OUTLINE_MARGIN });
+    if (!block.outline) return;
+
+    block.outline.position.copy(block.mesh.position);
+    block.outline.quaternion.copy(block.mesh.quaternion);
+    this.scene.add(block.outline);
+    this.outlined.add(block);
+  }
+
+  isInstanced(blockType) {
+    return this.batches.has(blockType);
+  }
+
+  // Instance a type that crossed the threshold, grow its batch if it's full,
+  // or go back to plain meshes
+  updateBatch(blockType) {
+    const blocks = this.blocksByType.get(blockType) || [];
+    const batch = this.batches.get(blockType);
+
+    if (!batch) {
+      if (blocks.length >= INSTANCING_THRESHOLD) {
+        this.createBatch(blockType, blocks.length);
+      }
+      return;
+    }
+
+    if (blocks.length < UNINSTANCING_THRESHOLD) {
+      this.removeBatch(blockType);
+      return;
+    }
+
+    if (blocks.length > batch.capacity) {
+      this.removeBatch(blockType);
+      this.createBatch(blockType, blocks.length);
+      return;
+    }
+
+    this.setBatchCount(batch, blocks);
+  }
+
+  createBatch(blockType, count) {
+    const resources = acquireBlockResources(blockType);
+    const capacity = Math.max(MIN_BATCH_CAPACITY, THREE.MathUtils.ceilPowerOfTwo(count));
+
+    const mesh = new THREE.InstancedMesh(resources.geometry, resources.material, capacity);
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    // The instances spread over the whole tower
+    mesh.frustumCulled = false;
+
+    // The edge lines read the same instance matrices
+    const edgeGeometry = new THREE.InstancedBufferGeometry();
+    edgeGeometry.setAttribute('position', resources.edgeGeometry.getAttribute('position'));
+    edgeGeometry.setAttribute('instanceMatrix', mesh.instanceMatrix);
+    const edges = new THREE.LineSegments(edgeGeometry, resources.instancedEdgeMaterial);
+    edges.frustumCulled = false;
+    mesh.add(edges);
+
+    const batch = { mesh, edges, capacity };
+    this.batches.set(blockType, batch);
+    this.scene.add(mesh);
+
+    const blocks = this.blocksByType.get(blockType);
+    this.setBatchCount(batch, blocks);
+    this.update();
+  }
+
+  removeBatch(blockType) {
+    const batch = this.batches.get(blockType);
+    if (!batch) return;
+
+    this.scene.remove(batch.mesh);
+    batch.edges.geometry.dispose();
+    batch.mesh.dispose();
+    this.batches.delete(blockType);
+    releaseBlockResources(blockType);
+
+    for (const block of this.blocksByType.get(blockType) || []) {
+      block.mesh.visible = true;
+    }
+  }
+
+  setBatchCount(batch, blocks) {
+    batch.mesh.count = blocks.length;
+    batch.edges.geometry.instanceCount = blocks.length;
+    for (const block of blocks) {
+      block.mesh.visible = false;
+    }
+  }
+}
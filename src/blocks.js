@@ -1,71 +1,180 @@
 import * as THREE from 'three';
-import * as CANNON from 'cannon-es';
-
-// Block type definitions
-export const BLOCK_TYPES = {
-  foundation: {
-    name: 'Foundation Block',
-    size: { x: 20, y: 15, z: 20 },
-    color: 0xFFE66D,
-    mass: 8,
-    friction: 0.7
-  },
-  office: {
-    name: 'Office Tower',
-    size: { x: 10, y: 30, z: 10 },
-    color: 0x4ECDC4,
-    mass: 5,
-    friction: 0.6
-  },
-  spire: {
-    name: 'Spire',
-    size: { x: 5, y: 50, z: 5 },
-    color: 0xFF6B6B,
-    mass: 3,
-    friction: 0.5
-  }
-};
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import { BLOCK_TYPES, createBlockBody, getBlockParts } from './blockDefs.js';
+
+export {
+  BLOCK_TYPES,
+  registerBlockTypes,
+  parseBlockCatalog,
+  isBlockUnlocked,
+  createBlockBody,
+  getBlockHeightOffset,
+  getBlockSize,
+  getBlockHalfExtents,
+  getOrientationQuaternion,
+  getOrientedHalfExtents,
+  getNearestOrientation,
+  ORIENTATIONS
+} from './blockDefs.js';
 
 // Colors for validity indication
 const VALID_COLOR = 0x00FF00;   // Green
 const INVALID_COLOR = 0xFF0000; // Red
 
-// Create toon material for cartoon look
-function createToonMaterial(color) {
-  // Create gradient map for toon shading
-  const colors = new Uint8Array(3);
-  colors[0] = 80;  // dark
-  colors[1] = 160; // mid
-  colors[2] = 255; // light
+// Outline of a block picked for editing
+const HIGHLIGHT_COLOR = 0xFFD93D;
+
+// Shared rendering resources
+//
+// Every block of a type draws with the same geometry, edge geometry and
+// material, made the first time the type is needed. Whatever uses them holds
+// a reference (acquireBlockResources) and lets go when it's done
+// (releaseBlockResources); when the last reference to a type goes its
+// resources are disposed, and when no type is left the shared gradient map
+// and edge materials go too. Clearing the tower leaves nothing on the GPU.
+const typeResources = new Map();
+let sharedResources = null;
+
+function getSharedResources() {
+  if (!sharedResources) {
+    // Gradient map for toon shading: dark, mid and light
+    const colors = new Uint8Array([80, 160, 255]);
+    const gradientMap = new THREE.DataTexture(colors, 3, 1, THREE.RedFormat);
+    gradientMap.needsUpdate = true;
+
+    // Edge lines of instanced blocks: three has no instanced lines, so this
+    // turns on the instanceMatrix transform in the line shader and the edge
+    // geometry carries the instances' matrices (see blockRenderer.js)
+    const instancedEdgeMaterial = new THREE.LineBasicMaterial({ color: 0x333333, linewidth: 2 });
+    instancedEdgeMaterial.defines = { USE_INSTANCING: '' };
+
+    sharedResources = {
+      gradientMap,
+      edgeMaterial: new THREE.LineBasicMaterial({ color: 0x333333, linewidth: 2 }),
+      instancedEdgeMaterial
+    };
+  }
+  return sharedResources;
+}
+
+// { geometry, edgeGeometry, material, edgeMaterial, instancedEdgeMaterial }
+// for a block type, or null for an unknown type
+export function acquireBlockResources(blockType) {
+  const config = BLOCK_TYPES[blockType];
+  if (!config) return null;
+
+  let resources = typeResources.get(blockType);
+  if (!resources) {
+    const shared = getSharedResources();
+    const geometry = createBlockGeometry(blockType);
+    resources = {
+      geometry,
+      edgeGeometry: new THREE.EdgesGeometry(geometry, EDGE_THRESHOLD_ANGLE),
+      // Toon material for the cartoon look
+      material: new THREE.MeshToonMaterial({ color: config.color, gradientMap: shared.gradientMap }),
+      edgeMaterial: shared.edgeMaterial,
+      instancedEdgeMaterial: shared.instancedEdgeMaterial,
+      references: 0
+    };
+    typeResources.set(blockType, resources);
+  }
+
+  resources.references++;
+  return resources;
+}
+
+export function releaseBlockResources(blockType) {
+  const resources = typeResources.get(blockType);
+  if (!resources) return;
+
+  resources.references--;
+  if (resources.references > 0) return;
+
+  resources.geometry.dispose();
+  resources.edgeGeometry.dispose();
+  resources.material.dispose();
+  typeResources.delete(blockType);
 
-  const gradientMap = new THREE.DataTexture(colors, 3, 1, THREE.RedFormat);
-  gradientMap.needsUpdate = true;
+  if (typeResources.size === 0 && sharedResources) {
+    sharedResources.gradientMap.dispose();
+    sharedResources.edgeMaterial.dispose();
+    sharedResources.instancedEdgeMaterial.dispose();
+    sharedResources = null;
+  }
+}
 
-  return new THREE.MeshToonMaterial({
-    color: color,
-    gradientMap: gradientMap
+// Block types with resources alive, and how many users each has (for the
+// debug readout)
+export function getBlockResourceStats() {
+  let references = 0;
+  for (const resources of typeResources.values()) {
+    references += resources.references;
+  }
+  return { types: typeResources.size, references };
+}
+
+// Only draw edges between faces that meet at a real corner, so curved
+// shapes don't get a line along every segment
+const EDGE_THRESHOLD_ANGLE = 35;
+
+// Build the geometry for a block type from the same parts as its physics body
+function createBlockGeometry(blockType) {
+  const geometries = createBlockPartGeometries(blockType);
+  return geometries.length === 1 ? geometries[0] : mergeGeometries(geometries);
+}
+
+// One geometry per part of a block type, in the block's frame (for exports
+// that need each part as a closed shell of its own)
+export function createBlockPartGeometries(blockType) {
+  return getBlockParts(blockType).map(part => {
+    let geometry;
+    if (part.kind === 'cylinder') {
+      geometry = new THREE.CylinderGeometry(part.radius, part.radius, part.height, part.segments);
+    } else if (part.kind === 'convex') {
+      geometry = createConvexGeometry(part);
+    } else {
+      const { x, y, z } = part.halfExtents;
+      geometry = new THREE.BoxGeometry(x * 2, y * 2, z * 2);
+    }
+
+    // Parts only need positions and normals to merge together
+    geometry = geometry.index ? geometry.toNonIndexed() : geometry;
+    geometry.deleteAttribute('uv');
+    geometry.translate(part.offset.x, part.offset.y, part.offset.z);
+    return geometry;
   });
 }
 
-// Create a Three.js mesh for a block type
+// Triangulate each convex face as a fan
+function createConvexGeometry(part) {
+  const positions = [];
+  for (const face of part.faces) {
+    for (let i = 1; i < face.length - 1; i++) {
+      for (const index of [face[0], face[i], face[i + 1]]) {
+        positions.push(...part.vertices[index]);
+      }
+    }
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.computeVertexNormals();
+  return geometry;
+}
+
+// Create a Three.js mesh for a block type. It shares its type's resources,
+// so hand it to disposeBlockMesh() once it's no longer needed.
 export function createBlockMesh(blockType) {
-  const config = BLOCK_TYPES[blockType];
-  if (!config) {
+  const resources = acquireBlockResources(blockType);
+  if (!resources) {
     console.error(`Unknown block type: ${blockType}`);
     return null;
   }
 
-  const geometry = new THREE.BoxGeometry(config.size.x, config.size.y, config.size.z);
-  const material = createToonMaterial(config.color);
-  const mesh = new THREE.Mesh(geometry, material);
+  const mesh = new THREE.Mesh(resources.geometry, resources.material);
 
   // Add edges for cartoon effect
-  const edgeGeometry = new THREE.EdgesGeometry(geometry);
-  const edgeMaterial = new THREE.LineBasicMaterial({
-    color: 0x333333,
-    linewidth: 2
-  });
-  const edges = new THREE.LineSegments(edgeGeometry, edgeMaterial);
+  const edges = new THREE.LineSegments(resources.edgeGeometry, resources.edgeMaterial);
   mesh.add(edges);
 
   mesh.castShadow = true;
@@ -75,36 +184,11 @@ export function createBlockMesh(blockType) {
   return mesh;
 }
 
-// Create a Cannon.js physics body for a block type
-export function createBlockBody(blockType, position = { x: 0, y: 0, z: 0 }) {
-  const config = BLOCK_TYPES[blockType];
-  if (!config) {
-    console.error(`Unknown block type: ${blockType}`);
-    return null;
-  }
+export function disposeBlockMesh(mesh) {
+  if (!mesh || mesh.userData.disposed) return;
 
-  const halfExtents = new CANNON.Vec3(
-    config.size.x / 2,
-    config.size.y / 2,
-    config.size.z / 2
-  );
-
-  const shape = new CANNON.Box(halfExtents);
-  const body = new CANNON.Body({
-    mass: config.mass,
-    position: new CANNON.Vec3(position.x, position.y, position.z),
-    shape: shape,
-    material: new CANNON.Material({
-      friction: config.friction,
-      restitution: 0.1
-    })
-  });
-
-  // Add damping for more realistic feel
-  body.linearDamping = 0.1;
-  body.angularDamping = 0.3;
-
-  return body;
+  mesh.userData.disposed = true;
+  releaseBlockResources(mesh.userData.blockType);
 }
 
 // Create a complete block (mesh + physics body)
@@ -113,12 +197,13 @@ export function createBlock(blockType, position = { x: 0, y: 50, z: 0 }) {
   const body = createBlockBody(blockType, position);
 
   if (!mesh || !body) {
+    disposeBlockMesh(mesh);
     return null;
   }
 
   // Link mesh and body
   mesh.userData.physicsBody = body;
-  body.userData = { mesh: mesh, blockType: blockType };
+  body.userData.mesh = mesh;
 
   return { mesh, body };
 }
@@ -126,7 +211,8 @@ export function createBlock(blockType, position = { x: 0, y: 50, z: 0 }) {
 // Create ghost preview block with validity outline
 export function createGhostBlock(blockType) {
   const config = BLOCK_TYPES[blockType];
-  if (!config) return null;
+  const resources = acquireBlockResources(blockType);
+  if (!resources) return null;
 
   // Create a group to hold the ghost mesh and outline
   const group = new THREE.Group();
@@ -134,7 +220,7 @@ export function createGhostBlock(blockType) {
   group.userData.isGhost = true;
 
   // Semi-transparent inner mesh
-  const geometry = new THREE.BoxGeometry(config.size.x, config.size.y, config.size.z);
+  const geometry = resources.geometry;
   const material = new THREE.MeshBasicMaterial({
     color: config.color,
     transparent: true,
@@ -144,11 +230,11 @@ export function createGhostBlock(blockType) {
   const mesh = new THREE.Mesh(geometry, material);
   group.add(mesh);
 
-  // Validity outline (thicker edges)
-  const outlineGeometry = new THREE.BoxGeometry(
-    config.size.x + 0.5,
-    config.size.y + 0.5,
-    config.size.z + 0.5
+  // Validity outline (thicker edges): the same shape, slightly bigger
+  const outlineGeometry = geometry.clone().scale(
+    (config.size.x + 0.5) / config.size.x,
+    (config.size.y + 0.5) / config.size.y,
+    (config.size.z + 0.5) / config.size.z
   );
   const outlineMaterial = new THREE.MeshBasicMaterial({
     color: VALID_COLOR,
@@ -161,14 +247,13 @@ export function createGhostBlock(blockType) {
   group.add(outline);
 
   // Edge lines for better visibility
-  const edgeGeometry = new THREE.EdgesGeometry(geometry);
   const edgeMaterial = new THREE.LineBasicMaterial({
     color: VALID_COLOR,
     linewidth: 3,
     transparent: true,
     opacity: 0.8
   });
-  const edges = new THREE.LineSegments(edgeGeometry, edgeMaterial);
+  const edges = new THREE.LineSegments(resources.edgeGeometry, edgeMaterial);
   edges.name = 'validityEdges';
   group.add(edges);
 
@@ -180,6 +265,21 @@ export function createGhostBlock(blockType) {
   return group;
 }
 
+// Free a ghost's own materials and outline and let go of its type's
+// resources
+export function disposeGhostBlock(ghostBlock) {
+  if (!ghostBlock || !ghostBlock.userData.isGhost || ghostBlock.userData.disposed) return;
+
+  const { innerMesh, outlineMesh, edgeLines } = ghostBlock.userData;
+  innerMesh.material.dispose();
+  outlineMesh.geometry.dispose();
+  outlineMesh.material.dispose();
+  edgeLines.material.dispose();
+
+  ghostBlock.userData.disposed = true;
+  releaseBlockResources(ghostBlock.userData.blockType);
+}
+
 // Update ghost block validity visual
 export function setGhostValidity(ghostBlock, isValid) {
   if (!ghostBlock || !ghostBlock.userData.isGhost) return;
@@ -197,25 +297,42 @@ export function setGhostValidity(ghostBlock, isValid) {
   }
 }
 
-// Get the height offset for placing a block (half its height)
-export function getBlockHeightOffset(blockType) {
+// Outline of a placed block: its edges in a color, `margin` bigger all
+// round, and drawn over everything with `overlay`. Follows the block from
+// outside (its mesh may be hidden behind an instanced batch).
+export function createBlockOutline(blockType, color, { margin = 1, overlay = false } = {}) {
   const config = BLOCK_TYPES[blockType];
-  return config ? config.size.y / 2 : 0;
+  const resources = acquireBlockResources(blockType);
+  if (!resources) return null;
+
+  const material = new THREE.LineBasicMaterial({
+    color,
+    depthTest: !overlay,
+    transparent: overlay
+  });
+  const outline = new THREE.LineSegments(resources.edgeGeometry, material);
+  outline.scale.set(
+    (config.size.x + margin) / config.size.x,
+    (config.size.y + margin) / config.size.y,
+    (config.size.z + margin) / config.size.z
+  );
+  outline.renderOrder = overlay ? 1 : 0;
+  outline.userData.blockType = blockType;
+
+  return outline;
 }
 
-// Get block size for collision checking
-export function getBlockSize(blockType) {
-  const config = BLOCK_TYPES[blockType];
-  return config ? { ...config.size } : null;
+export function disposeBlockOutline(outline) {
+  if (!outline || outline.userData.disposed) return;
+
+  outline.material.dispose();
+  outline.userData.disposed = true;
+  releaseBlockResources(outline.userData.blockType);
 }
 
-// Get block half extents for physics
-export function getBlockHalfExtents(blockType) {
-  const config = BLOCK_TYPES[blockType];
-  if (!config) return null;
-  return {
-    x: config.size.x / 2,
-    y: config.size.y / 2,
-    z: config.size.z / 2
-  };
+// Outline of a placed block picked with the edit tool, over everything
+export function createBlockHighlight(blockType) {
+  return createBlockOutline(blockType, HIGHLIGHT_COLOR, { overlay: true });
 }
+
+export const disposeBlockHighlight = disposeBlockOutline;
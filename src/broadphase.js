@@ -0,0 +1,130 @@
+import * as CANNON from 'cannon-es';
+
+// Spatial hash broadphase
+//
+// Every step each body's bounding box is dropped into the cells of a uniform
+// grid it touches, and only bodies sharing a cell are tested against each
+// other. A tower of a thousand blocks then costs a few thousand box tests a
+// step instead of half a million. Bodies that cover too many cells (the
+// ground) are tested against everything instead of being hashed.
+//
+// Cells are visited in the order they were first filled, which follows
+// world.bodies, so a deterministic world stays deterministic.
+const CELL_SIZE = 20;
+const MAX_CELLS_PER_BODY = 64;
+const CELL_LIMIT = 10000;
+const CELL_RANGE = CELL_LIMIT * 2 + 1;
+
+export class SpatialHashBroadphase extends CANNON.Broadphase {
+  constructor(world) {
+    super();
+    this.world = world;
+    this.useBoundingBoxes = true;
+
+    // Rebuilt every step: cell key -> { i, j, k, bodies }, and the first
+    // cell of each hashed body (by body id)
+    this.cells = new Map();
+    this.firstCells = new Map();
+    this.large = [];
+  }
+
+  collisionPairs(world, pairs1, pairs2) {
+    const bodies = world.bodies;
+    const cells = this.cells;
+    const firstCells = this.firstCells;
+    const large = this.large;
+    cells.clear();
+    firstCells.clear();
+    large.length = 0;
+
+    for (const body of bodies) {
+      if (body.aabbNeedsUpdate) {
+        body.updateAABB();
+      }
+
+      const lower = body.aabb.lowerBound;
+      const upper = body.aabb.upperBound;
+      const i0 = cellIndex(lower.x);
+      const j0 = cellIndex(lower.y);
+      const k0 = cellIndex(lower.z);
+      const i1 = cellIndex(upper.x);
+      const j1 = cellIndex(upper.y);
+      const k1 = cellIndex(upper.z);
+
+      if ((i1 - i0 + 1) * (j1 - j0 + 1) * (k1 - k0 + 1) > MAX_CELLS_PER_BODY) {
+        large.push(body);
+        continue;
+      }
+
+      firstCells.set(body.id, { i: i0, j: j0, k: k0 });
+      for (let i = i0; i <= i1; i++) {
+        for (let j = j0; j <= j1; j++) {
+          for (let k = k0; k <= k1; k++) {
+            const key = (i * CELL_RANGE + j) * CELL_RANGE + k;
+            let cell = cells.get(key);
+            if (!cell) {
+              cell = { i, j, k, bodies: [] };
+              cells.set(key, cell);
+            }
+            cell.bodies.push(body);
+          }
+        }
+      }
+    }
+
+    // Bodies sharing a cell. Two bodies can share several cells, so a pair
+    // is only tested in the first cell both cover.
+    for (const cell of cells.values()) {
+      const cellBodies = cell.bodies;
+      for (let a = 1; a < cellBodies.length; a++) {
+        const bodyA = cellBodies[a];
+        const firstA = firstCells.get(bodyA.id);
+
+        for (let b = 0; b < a; b++) {
+          const bodyB = cellBodies[b];
+          const firstB = firstCells.get(bodyB.id);
+          if (Math.max(firstA.i, firstB.i) !== cell.i ||
+              Math.max(firstA.j, firstB.j) !== cell.j ||
+              Math.max(firstA.k, firstB.k) !== cell.k) {
+            continue;
+          }
+
+          if (this.needBroadphaseCollision(bodyA, bodyB)) {
+            this.intersectionTest(bodyA, bodyB, pairs1, pairs2);
+          }
+        }
+      }
+    }
+
+    // Large bodies against everything (and each other once)
+    for (let a = 0; a < large.length; a++) {
+      for (const other of bodies) {
+        if (other === large[a] || large.indexOf(other) > a) continue;
+
+        if (this.needBroadphaseCollision(large[a], other)) {
+          this.intersectionTest(large[a], other, pairs1, pairs2);
+        }
+      }
+    }
+  }
+
+  // Bodies whose bounding boxes overlap aabb (used by raycasts)
+  aabbQuery(world, aabb, result = []) {
+    for (const body of world.bodies) {
+      if (body.aabbNeedsUpdate) {
+        body.updateAABB();
+      }
+      if (body.aabb.overlaps(aabb)) {
+        result.push(body);
+      }
+    }
+    return result;
+  }
+}
+
+// Cell coordinates are clamped so the three of them pack into one number;
+// anything that far out shares the edge cells
+function cellIndex(value) {
+  const index = Math.floor(value / CELL_SIZE);
+  return Math.max(-CELL_LIMIT, Math.min(CELL_LIMIT, index)) + CELL_LIMIT;
+}
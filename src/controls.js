@@ -1,4 +1,43 @@
 import * as THREE from 'three';
+import { DEFAULT_KEY_BINDINGS, copyBindings, getActionForKey, isBindableKey, normalizeKey } from './keyBindings.js';
+import { SNAP_MODES } from './snapping.js';
+
+// Camera limits and keyboard steps
+const MIN_RADIUS = 50;
+const MAX_RADIUS = 300;
+const KEY_ORBIT_STEP = Math.PI / 16;
+const KEY_ZOOM_STEP = 15;
+
+// Keyboard cursor stays inside the build area
+const BUILD_LIMIT = 80;
+
+// Camera modes, in the order the camera button cycles through them.
+// Orthographic views look straight along an axis (theta/phi of the spherical
+// offset) and pan instead of orbiting; elevation views look along the ground.
+export const CAMERA_MODES = {
+  orbit: { name: 'Orbit', icon: '🎥' },
+  follow: { name: 'Follow', icon: '🔝' },
+  free: { name: 'Free', icon: '✋' },
+  front: { name: 'Front', icon: '⬜', ortho: true, elevation: true, theta: 0, phi: Math.PI / 2 },
+  side: { name: 'Side', icon: '◧', ortho: true, elevation: true, theta: Math.PI / 2, phi: Math.PI / 2 },
+  top: { name: 'Top', icon: '⊞', ortho: true, theta: 0, phi: 0.001 }
+};
+
+// Seconds a switch between modes takes
+const CAMERA_TRANSITION_TIME = 0.6;
+
+// Where the orbit camera looks, and how fast follow mode catches up with the
+// top of the tower (per second)
+const ORBIT_TARGET = new THREE.Vector3(0, 30, 0);
+const FOLLOW_RATE = 3;
+
+// Visible height of the orthographic views
+const MIN_ORTHO_SIZE = 20;
+const MAX_ORTHO_SIZE = 1000;
+
+// A touch held this long (ms) without moving opens the block menu
+const LONG_PRESS_TIME = 500;
+const TAP_DISTANCE = 15;
 
 export class GameControls {
   constructor(camera, domElement, scene) {
@@ -6,16 +45,36 @@ export class GameControls {
     this.domElement = domElement;
     this.scene = scene;
 
-    // Camera orbit controls
+    // Camera orbit controls. spherical and target are where the camera is
+    // headed; viewSpherical and viewTarget where it is while a mode switch
+    // animates.
     this.spherical = new THREE.Spherical(150, Math.PI / 3, 0);
-    this.target = new THREE.Vector3(0, 30, 0);
+    this.target = ORBIT_TARGET.clone();
+    this.viewSpherical = this.spherical.clone();
+    this.viewTarget = this.target.clone();
+
+    // The perspective camera passed in, and an orthographic one for the
+    // front, side and top views. camera is whichever is in use.
+    this.perspectiveCamera = camera;
+    this.orthoCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 3000);
+    this.orthoSize = 150;
+    this.cameraMode = 'orbit';
+    this.cameraTransition = null;
+    this.towerHeight = 0;
 
     // Touch state
     this.touches = new Map();
     this.lastTouchDistance = 0;
+    this.lastTouchAngle = 0;
+    this.twistAccumulator = 0;
     this.isDragging = false;
     this.dragStartPos = { x: 0, y: 0 };
     this.lastMousePos = { x: 0, y: 0 };
+    this.isPanning = false;
+    this.lastTouchMidpoint = { x: 0, y: 0 };
+
+    // Touch being held for the block menu: { id, x, y, timer, fired }
+    this.longPress = null;
 
     // Raycaster for picking
     this.raycaster = new THREE.Raycaster();
@@ -24,6 +83,50 @@ export class GameControls {
 
     // Callbacks
     this.onPlaceBlock = null;
+    this.onUndo = null;
+    this.onRedo = null;
+    this.onRotateBlock = null; // (direction) quarter turn around Y, +1 or -1
+    this.onTipBlock = null;    // lay the block on its side or stand it up
+    this.onSelectBlock = null; // (index) palette block picked with a number key
+    this.onCancel = null;
+    this.onCameraModeChange = null; // (mode) a CAMERA_MODES key
+    this.onSnapModeChange = null;   // (mode) a SNAP_MODES key
+    this.onToggleDebug = null;
+    this.onToggleEdit = null;
+    this.onMoveBlock = null;
+    this.onDeleteBlock = null;
+    this.onToggleWeld = null;
+    // (mesh, point) a click or tap on a placed block (mesh) or on nothing
+    // (null); point is in client pixels. Return true to stop it placing a
+    // block.
+    this.onPickBlock = null;
+    // (mesh, point) a long press or right click on a placed block
+    this.onBlockMenu = null;
+    // (hit) the pointer went down on a placed block (a raycast intersection).
+    // Return true to drag the block instead of the camera; onDragBlock then
+    // gets the pointer's ray as it moves, and onReleaseBlock is called once
+    // it's let go.
+    this.onGrabBlock = null;
+    this.onDragBlock = null;
+    this.onReleaseBlock = null;
+    this.isDraggingBlock = false;
+
+    // Remappable keys ({ action: [keys] }, see keyBindings.js)
+    this.keyBindings = copyBindings(DEFAULT_KEY_BINDINGS);
+
+    // Called with the next key pressed instead of running its action, while
+    // the player is choosing a new binding
+    this.keyCapture = null;
+
+    // Grid cell the ghost follows after a movement key, until the mouse moves
+    // again. level picks the surface to stack on in that column, counting up
+    // from the ground; null means the top.
+    this.keyboardCursor = null;
+    this.downRaycaster = new THREE.Raycaster();
+
+    // Where the block was last aimed, for the depth the front and side
+    // views can't show
+    this.elevationDepth = new THREE.Vector3();
 
     // Ground plane for raycasting
     this.groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
@@ -31,11 +134,14 @@ export class GameControls {
     // Block meshes for raycasting (managed by game)
     this.blockMeshes = [];
 
-    // Grid snapping
+    // Grid snapping. In object mode the game lines blocks up with each
+    // other (see snapping.js) and the grid is the fallback; free mode doesn't
+    // snap at all.
     this.gridSize = 5;
-    this.snapToGrid = true;
+    this.snapMode = 'grid';
 
     this.setupEventListeners();
+    this.setAspect(camera.aspect);
     this.updateCameraPosition();
   }
 
@@ -51,14 +157,132 @@ export class GameControls {
     this.domElement.addEventListener('touchstart', this.onTouchStart.bind(this), { passive: false });
     this.domElement.addEventListener('touchmove', this.onTouchMove.bind(this), { passive: false });
     this.domElement.addEventListener('touchend', this.onTouchEnd.bind(this), { passive: false });
+
+    // Keyboard shortcuts
+    window.addEventListener('keydown', this.onKeyDown.bind(this));
+  }
+
+  // Switch camera mode, animating from the current view
+  setCameraMode(mode) {
+    const config = CAMERA_MODES[mode];
+    if (!config) return;
+
+    const wasOrtho = CAMERA_MODES[this.cameraMode].ortho;
+    this.cameraMode = mode;
+    this.cameraTransition = {
+      spherical: this.viewSpherical.clone(),
+      target: this.viewTarget.clone(),
+      elapsed: 0
+    };
+
+    if (config.ortho) {
+      // Frame the whole tower, and fly the perspective camera to the
+      // distance where it shows the same height before swapping cameras
+      this.target.set(0, Math.max(ORBIT_TARGET.y, this.towerHeight / 2), 0);
+      this.orthoSize = clamp(Math.max(150, this.towerHeight * 1.3), MIN_ORTHO_SIZE, MAX_ORTHO_SIZE);
+      this.spherical.set(this.getRadiusForHeight(this.orthoSize), config.phi, config.theta);
+    } else {
+      if (wasOrtho) {
+        // Back to perspective from the same spot, then ease into the mode
+        this.spherical.phi = Math.PI / 3;
+        this.spherical.radius = clamp(this.getRadiusForHeight(this.orthoSize), MIN_RADIUS, MAX_RADIUS);
+      }
+      if (mode === 'orbit') {
+        this.target.copy(ORBIT_TARGET);
+      } else if (mode === 'follow') {
+        this.target.set(0, this.getFollowHeight(), 0);
+      }
+    }
+
+    this.camera = this.perspectiveCamera;
+    this.updateCameraPosition();
+    if (this.onCameraModeChange) this.onCameraModeChange(mode);
+  }
+
+  cycleCameraMode() {
+    const modes = Object.keys(CAMERA_MODES);
+    this.setCameraMode(modes[(modes.indexOf(this.cameraMode) + 1) % modes.length]);
+  }
+
+  isOrthographic() {
+    return !!CAMERA_MODES[this.cameraMode].ortho;
+  }
+
+  setAspect(aspect) {
+    this.perspectiveCamera.aspect = aspect;
+    this.perspectiveCamera.updateProjectionMatrix();
+    this.updateOrthoFrustum();
+  }
+
+  updateOrthoFrustum() {
+    const halfHeight = this.orthoSize / 2;
+    const halfWidth = halfHeight * this.perspectiveCamera.aspect;
+    this.orthoCamera.left = -halfWidth;
+    this.orthoCamera.right = halfWidth;
+    this.orthoCamera.top = halfHeight;
+    this.orthoCamera.bottom = -halfHeight;
+    this.orthoCamera.updateProjectionMatrix();
+  }
+
+  // Distance at which the perspective camera sees `height` units top to bottom
+  getRadiusForHeight(height) {
+    const fov = THREE.MathUtils.degToRad(this.perspectiveCamera.fov);
+    return height / (2 * Math.tan(fov / 2));
+  }
+
+  // Follow mode looks at the top of the tower, or the usual spot below that
+  getFollowHeight() {
+    return Math.max(ORBIT_TARGET.y, this.towerHeight);
+  }
+
+  // Call once per frame with the tallest block's height: runs mode switch
+  // animations and keeps follow mode on the top of the tower
+  update(deltaTime, towerHeight = 0) {
+    this.towerHeight = towerHeight;
+
+    if (this.cameraMode === 'follow') {
+      const goal = this.getFollowHeight();
+      this.target.y += (goal - this.target.y) * (1 - Math.exp(-FOLLOW_RATE * deltaTime));
+    }
+
+    if (this.cameraTransition) {
+      this.cameraTransition.elapsed += deltaTime;
+      if (this.cameraTransition.elapsed >= CAMERA_TRANSITION_TIME) {
+        this.cameraTransition = null;
+        if (this.isOrthographic()) {
+          this.camera = this.orthoCamera;
+        }
+      }
+    }
+
+    this.updateCameraPosition();
   }
 
   updateCameraPosition() {
-    const pos = new THREE.Vector3();
-    pos.setFromSpherical(this.spherical);
-    pos.add(this.target);
-    this.camera.position.copy(pos);
-    this.camera.lookAt(this.target);
+    this.viewSpherical.copy(this.spherical);
+    this.viewTarget.copy(this.target);
+
+    const transition = this.cameraTransition;
+    if (transition) {
+      const t = THREE.MathUtils.smootherstep(transition.elapsed / CAMERA_TRANSITION_TIME, 0, 1);
+      const from = transition.spherical;
+      this.viewSpherical.set(
+        THREE.MathUtils.lerp(from.radius, this.spherical.radius, t),
+        THREE.MathUtils.lerp(from.phi, this.spherical.phi, t),
+        from.theta + shortestAngle(from.theta, this.spherical.theta) * t
+      );
+      this.viewTarget.lerpVectors(transition.target, this.target, t);
+    }
+
+    const offset = new THREE.Vector3().setFromSpherical(this.viewSpherical);
+    this.perspectiveCamera.position.copy(this.viewTarget).add(offset);
+    this.perspectiveCamera.lookAt(this.viewTarget);
+
+    // The orthographic camera sits well back so nothing is clipped
+    this.updateOrthoFrustum();
+    offset.setLength(1000);
+    this.orthoCamera.position.copy(this.viewTarget).add(offset);
+    this.orthoCamera.lookAt(this.viewTarget);
   }
 
   // Update block meshes array for raycasting
@@ -75,8 +299,11 @@ export class GameControls {
     this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
     this.currentMousePosition.copy(this.mouse);
 
+    if (event.button === 0 && this.grabBlock()) return;
+
     if (event.button === 0 || event.button === 2) {
       this.isDragging = true;
+      this.isPanning = this.isOrthographic() || (this.cameraMode === 'free' && event.shiftKey);
       this.dragStartPos = { x: event.clientX, y: event.clientY };
       this.lastMousePos = { x: event.clientX, y: event.clientY };
     }
@@ -87,43 +314,168 @@ export class GameControls {
     this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
     this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
     this.currentMousePosition.copy(this.mouse);
+    this.keyboardCursor = null;
 
+    if (this.isDraggingBlock) {
+      this.dragBlock();
+      return;
+    }
     if (!this.isDragging) return;
 
     const deltaX = event.clientX - this.lastMousePos.x;
     const deltaY = event.clientY - this.lastMousePos.y;
 
-    // Orbit camera
-    this.spherical.theta -= deltaX * 0.005;
-    this.spherical.phi = Math.max(0.2, Math.min(Math.PI / 2 - 0.1, this.spherical.phi + deltaY * 0.005));
-
-    this.updateCameraPosition();
+    // Pan or orbit camera
+    if (this.isPanning) {
+      this.pan(deltaX, deltaY);
+    } else {
+      this.orbit(-deltaX * 0.005, deltaY * 0.005);
+    }
     this.lastMousePos = { x: event.clientX, y: event.clientY };
   }
 
   onMouseUp(event) {
-    if (event.button === 0 && this.isDragging) {
+    if (event.button === 0 && this.isDraggingBlock) {
+      this.releaseBlock();
+      return;
+    }
+
+    if ((event.button === 0 || event.button === 2) && this.isDragging) {
       const dx = Math.abs(event.clientX - this.dragStartPos.x);
       const dy = Math.abs(event.clientY - this.dragStartPos.y);
 
-      // If minimal movement, treat as click for placing
-      if (dx < 5 && dy < 5 && this.onPlaceBlock) {
+      // If minimal movement, treat as a click: left places (or picks a
+      // block), right opens the block menu
+      if (dx < 5 && dy < 5) {
         const rect = this.domElement.getBoundingClientRect();
         this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
         this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
 
-        const placementInfo = this.getPlacementPosition();
-        if (placementInfo) {
-          this.onPlaceBlock(placementInfo);
+        const point = { x: event.clientX, y: event.clientY };
+        if (event.button === 2) {
+          this.openBlockMenu(point);
+        } else {
+          this.tap(point);
         }
       }
     }
     this.isDragging = false;
   }
 
+  // A click or tap at this.mouse: the game may take it for picking a block,
+  // otherwise it places one
+  tap(point) {
+    if (this.onPickBlock && this.onPickBlock(this.pickBlock(this.mouse), point)) return;
+
+    const placementInfo = this.getPlacementPosition();
+    if (placementInfo && this.onPlaceBlock) {
+      this.onPlaceBlock(placementInfo);
+    }
+  }
+
+  openBlockMenu(point) {
+    const mesh = this.pickBlock(this.mouse);
+    if (mesh && this.onBlockMenu) {
+      this.onBlockMenu(mesh, point);
+    }
+  }
+
+  // Offer the game the block under this.mouse to drag
+  grabBlock() {
+    if (!this.onGrabBlock) return false;
+
+    const hit = this.getBlockHit(this.mouse);
+    if (!hit || !this.onGrabBlock(hit)) return false;
+
+    this.isDraggingBlock = true;
+    return true;
+  }
+
+  dragBlock() {
+    if (!this.onDragBlock) return;
+
+    this.raycaster.setFromCamera(this.mouse, this.camera);
+    this.onDragBlock(this.raycaster.ray.clone());
+  }
+
+  releaseBlock() {
+    if (!this.isDraggingBlock) return;
+
+    this.isDraggingBlock = false;
+    if (this.onReleaseBlock) this.onReleaseBlock();
+  }
+
+  // Start timing a touch for the block menu
+  startLongPress(touch) {
+    this.cancelLongPress();
+
+    const longPress = { id: touch.identifier, x: touch.clientX, y: touch.clientY, fired: false };
+    longPress.timer = setTimeout(() => {
+      longPress.fired = true;
+      const rect = this.domElement.getBoundingClientRect();
+      this.mouse.x = ((longPress.x - rect.left) / rect.width) * 2 - 1;
+      this.mouse.y = -((longPress.y - rect.top) / rect.height) * 2 + 1;
+      this.openBlockMenu({ x: longPress.x, y: longPress.y });
+    }, LONG_PRESS_TIME);
+    this.longPress = longPress;
+  }
+
+  cancelLongPress() {
+    if (!this.longPress) return;
+
+    clearTimeout(this.longPress.timer);
+    this.longPress = null;
+  }
+
   onWheel(event) {
     event.preventDefault();
-    this.spherical.radius = Math.max(50, Math.min(300, this.spherical.radius + event.deltaY * 0.5));
+
+    // Shift+wheel rotates the block being placed instead of zooming
+    if (event.shiftKey) {
+      const delta = event.deltaY || event.deltaX;
+      if (delta !== 0 && this.onRotateBlock) {
+        this.onRotateBlock(delta > 0 ? 1 : -1);
+      }
+      return;
+    }
+
+    this.zoom(event.deltaY * 0.5);
+  }
+
+  // Turn the camera around the target and tilt it, within limits. The
+  // orthographic views keep their axis.
+  orbit(deltaTheta, deltaPhi = 0) {
+    if (this.isOrthographic()) return;
+
+    this.spherical.theta += deltaTheta;
+    this.spherical.phi = Math.max(0.2, Math.min(Math.PI / 2 - 0.1, this.spherical.phi + deltaPhi));
+    this.updateCameraPosition();
+  }
+
+  // Move the target with the view by a drag of (deltaX, deltaY) pixels,
+  // so whatever is under the pointer stays under it
+  pan(deltaX, deltaY) {
+    const rect = this.domElement.getBoundingClientRect();
+    const visibleHeight = this.isOrthographic() ? this.orthoSize : 2 * this.spherical.radius * Math.tan(THREE.MathUtils.degToRad(this.perspectiveCamera.fov) / 2);
+    const scale = visibleHeight / (rect.height || 1);
+
+    const right = new THREE.Vector3().setFromMatrixColumn(this.camera.matrixWorld, 0);
+    const up = new THREE.Vector3().setFromMatrixColumn(this.camera.matrixWorld, 1);
+    this.target.addScaledVector(right, -deltaX * scale);
+    this.target.addScaledVector(up, deltaY * scale);
+    this.target.y = Math.max(0, this.target.y);
+    this.updateCameraPosition();
+  }
+
+  // Move the camera towards (negative) or away from the target
+  zoom(delta) {
+    if (this.isOrthographic()) {
+      this.orthoSize = clamp(this.orthoSize * (1 + delta / 150), MIN_ORTHO_SIZE, MAX_ORTHO_SIZE);
+      this.updateCameraPosition();
+      return;
+    }
+
+    this.spherical.radius = Math.max(MIN_RADIUS, Math.min(MAX_RADIUS, this.spherical.radius + delta));
     this.updateCameraPosition();
   }
 
@@ -147,11 +499,22 @@ export class GameControls {
       this.mouse.x = ((touch.clientX - rect.left) / rect.width) * 2 - 1;
       this.mouse.y = -((touch.clientY - rect.top) / rect.height) * 2 + 1;
       this.currentMousePosition.copy(this.mouse);
+      this.keyboardCursor = null;
+
+      if (this.grabBlock()) return;
+      this.startLongPress(touch);
+    } else {
+      // A second finger turns a block drag into a pinch
+      this.releaseBlock();
+      this.cancelLongPress();
     }
 
     if (this.touches.size === 2) {
       const touchArray = Array.from(this.touches.values());
       this.lastTouchDistance = this.getTouchDistance(touchArray[0], touchArray[1]);
+      this.lastTouchAngle = this.getTouchAngle(touchArray[0], touchArray[1]);
+      this.lastTouchMidpoint = this.getTouchMidpoint(touchArray[0], touchArray[1]);
+      this.twistAccumulator = 0;
     }
   }
 
@@ -166,6 +529,14 @@ export class GameControls {
           y: touch.clientY
         });
       }
+
+      // Moving the finger turns a long press into a drag
+      const longPress = this.longPress;
+      if (longPress && !longPress.fired && longPress.id === touch.identifier &&
+          (Math.abs(touch.clientX - longPress.x) >= TAP_DISTANCE ||
+           Math.abs(touch.clientY - longPress.y) >= TAP_DISTANCE)) {
+        this.cancelLongPress();
+      }
     }
 
     // Update mouse position for ghost block
@@ -177,6 +548,11 @@ export class GameControls {
       this.currentMousePosition.copy(this.mouse);
     }
 
+    if (this.isDraggingBlock) {
+      this.dragBlock();
+      return;
+    }
+
     if (this.touches.size === 1) {
       // Single touch - orbit
       const touch = this.touches.values().next().value;
@@ -185,23 +561,46 @@ export class GameControls {
       const deltaX = touch.x - startTouch.x;
       const deltaY = touch.y - startTouch.y;
 
-      this.spherical.theta -= deltaX * 0.003;
-      this.spherical.phi = Math.max(0.2, Math.min(Math.PI / 2 - 0.1, this.spherical.phi + deltaY * 0.003));
-
       // Update start position for next frame
       const id = this.touches.keys().next().value;
       this.touches.set(id, { ...touch, startX: touch.x, startY: touch.y });
 
-      this.updateCameraPosition();
+      if (this.isOrthographic()) {
+        this.pan(deltaX, deltaY);
+      } else {
+        this.orbit(-deltaX * 0.003, deltaY * 0.003);
+      }
     } else if (this.touches.size === 2) {
       // Pinch zoom
       const touchArray = Array.from(this.touches.values());
       const distance = this.getTouchDistance(touchArray[0], touchArray[1]);
       const delta = this.lastTouchDistance - distance;
 
-      this.spherical.radius = Math.max(50, Math.min(300, this.spherical.radius + delta * 0.5));
+      this.zoom(delta * 0.5);
       this.lastTouchDistance = distance;
 
+      // Two-finger drag pans in free mode and the orthographic views
+      const midpoint = this.getTouchMidpoint(touchArray[0], touchArray[1]);
+      if (this.cameraMode === 'free' || this.isOrthographic()) {
+        this.pan(midpoint.x - this.lastTouchMidpoint.x, midpoint.y - this.lastTouchMidpoint.y);
+      }
+      this.lastTouchMidpoint = midpoint;
+
+      // Two-finger twist rotates the block a quarter turn per 45° of twist
+      const angle = this.getTouchAngle(touchArray[0], touchArray[1]);
+      let twist = angle - this.lastTouchAngle;
+      if (twist > Math.PI) twist -= Math.PI * 2;
+      if (twist < -Math.PI) twist += Math.PI * 2;
+      this.lastTouchAngle = angle;
+
+      this.twistAccumulator += twist;
+      if (Math.abs(this.twistAccumulator) >= Math.PI / 4) {
+        if (this.onRotateBlock) {
+          this.onRotateBlock(this.twistAccumulator > 0 ? -1 : 1);
+        }
+        this.twistAccumulator = 0;
+      }
+
       this.updateCameraPosition();
     }
   }
@@ -209,6 +608,13 @@ export class GameControls {
   onTouchEnd(event) {
     event.preventDefault();
 
+    // A long press that opened the menu isn't also a tap, and neither is
+    // letting go of a block
+    const longPressed = this.longPress && this.longPress.fired;
+    const draggedBlock = this.isDraggingBlock;
+    this.cancelLongPress();
+    this.releaseBlock();
+
     for (const touch of event.changedTouches) {
       const storedTouch = this.touches.get(touch.identifier);
       if (storedTouch) {
@@ -216,15 +622,12 @@ export class GameControls {
         const dy = Math.abs(touch.clientY - storedTouch.startY);
 
         // If minimal movement, treat as tap for placing
-        if (dx < 15 && dy < 15 && this.onPlaceBlock && this.touches.size === 1) {
+        if (dx < TAP_DISTANCE && dy < TAP_DISTANCE && !longPressed && !draggedBlock && this.touches.size === 1) {
           const rect = this.domElement.getBoundingClientRect();
           this.mouse.x = ((touch.clientX - rect.left) / rect.width) * 2 - 1;
           this.mouse.y = -((touch.clientY - rect.top) / rect.height) * 2 + 1;
 
-          const placementInfo = this.getPlacementPosition();
-          if (placementInfo) {
-            this.onPlaceBlock(placementInfo);
-          }
+          this.tap({ x: touch.clientX, y: touch.clientY });
         }
 
         this.touches.delete(touch.identifier);
@@ -232,6 +635,198 @@ export class GameControls {
     }
   }
 
+  // Keyboard handler
+  onKeyDown(event) {
+    // Leave form fields to their own keys, and Enter and Space to a button
+    // reached with Tab. A clicked button keeps focus too, but its keys are
+    // the game's: it's blurred so Enter places the block instead of clicking
+    // the button again, and Space doesn't click it either. Rebinding a key
+    // takes any key.
+    const target = event.target instanceof Element ? event.target : null;
+    if (target && target.closest('input, select, textarea, [contenteditable]')) return;
+
+    const button = target && !this.keyCapture ? target.closest('button') : null;
+    if (button) {
+      if (button.matches(':focus-visible')) {
+        if (event.key === 'Enter' || event.key === ' ') return;
+      } else {
+        button.blur();
+      }
+    }
+
+    const modifier = event.ctrlKey || event.metaKey;
+    const key = event.key.toLowerCase();
+
+    if (this.keyCapture) {
+      if (modifier || !isBindableKey(event.key)) return;
+      event.preventDefault();
+      const capture = this.keyCapture;
+      this.keyCapture = null;
+      capture(normalizeKey(event.key));
+      return;
+    }
+
+    if (!modifier) {
+      const action = getActionForKey(this.keyBindings, event.key);
+      if (action) {
+        // Also stops arrow keys and Space scrolling the page
+        event.preventDefault();
+        this.runKeyAction(action, event);
+      }
+      return;
+    }
+
+    // Ctrl+Z undoes, Ctrl+Shift+Z and Ctrl+Y redo
+    if (key === 'z' && !event.shiftKey) {
+      event.preventDefault();
+      if (this.onUndo) this.onUndo();
+    } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+      event.preventDefault();
+      if (this.onRedo) this.onRedo();
+    }
+  }
+
+  runKeyAction(action, event) {
+    if (action.startsWith('block')) {
+      if (this.onSelectBlock) this.onSelectBlock(Number(action.slice(5)) - 1);
+      return;
+    }
+
+    switch (action) {
+      case 'moveForward': this.moveKeyboardCursor(1, 0); break;
+      case 'moveBack': this.moveKeyboardCursor(-1, 0); break;
+      case 'moveLeft': this.moveKeyboardCursor(0, -1); break;
+      case 'moveRight': this.moveKeyboardCursor(0, 1); break;
+      case 'levelUp': this.changeKeyboardLevel(1); break;
+      case 'levelDown': this.changeKeyboardLevel(-1); break;
+      case 'place': this.placeAtGhost(); break;
+      case 'cancel': if (this.onCancel) this.onCancel(); break;
+      // R rotates (Shift+R the other way), T tips the block onto its side
+      case 'rotate': if (this.onRotateBlock) this.onRotateBlock(event.shiftKey ? -1 : 1); break;
+      case 'tip': if (this.onTipBlock) this.onTipBlock(); break;
+      case 'orbitLeft': this.orbit(-KEY_ORBIT_STEP); break;
+      case 'orbitRight': this.orbit(KEY_ORBIT_STEP); break;
+      case 'zoomIn': this.zoom(-KEY_ZOOM_STEP); break;
+      case 'zoomOut': this.zoom(KEY_ZOOM_STEP); break;
+      case 'cameraMode': this.cycleCameraMode(); break;
+      case 'snapMode': this.cycleSnapMode(); break;
+      case 'debugInfo': if (this.onToggleDebug) this.onToggleDebug(); break;
+      case 'editTool': if (this.onToggleEdit) this.onToggleEdit(); break;
+      case 'moveBlock': if (this.onMoveBlock) this.onMoveBlock(); break;
+      case 'deleteBlock': if (this.onDeleteBlock) this.onDeleteBlock(); break;
+      case 'weldTool': if (this.onToggleWeld) this.onToggleWeld(); break;
+    }
+  }
+
+  // Place the block where the ghost is (keyboard and gamepad)
+  placeAtGhost() {
+    const placementInfo = this.getGhostPlacementPosition();
+    if (placementInfo && this.onPlaceBlock) {
+      this.onPlaceBlock(placementInfo);
+    }
+  }
+
+  cycleSnapMode() {
+    const modes = Object.keys(SNAP_MODES);
+    this.snapMode = modes[(modes.indexOf(this.snapMode) + 1) % modes.length];
+    if (this.onSnapModeChange) this.onSnapModeChange(this.snapMode);
+  }
+
+  setKeyBindings(bindings) {
+    this.keyBindings = copyBindings(bindings);
+  }
+
+  // Hand the next key press to `callback` (with the key name) instead of
+  // running its action
+  captureNextKey(callback) {
+    this.keyCapture = callback;
+  }
+
+  // Move the keyboard cursor one grid cell. Forward is away from the camera,
+  // along whichever grid axis is closest to the way it faces.
+  moveKeyboardCursor(forward, right) {
+    if (!this.keyboardCursor) {
+      const start = this.getGhostPlacementPosition();
+      const position = start ? start.position : this.snapPositionToGrid(this.target);
+      this.keyboardCursor = { x: position.x, z: position.z, level: null };
+    }
+
+    let fx = -Math.sin(this.spherical.theta);
+    let fz = -Math.cos(this.spherical.theta);
+    if (Math.abs(fx) > Math.abs(fz)) {
+      fx = Math.sign(fx);
+      fz = 0;
+    } else {
+      fx = 0;
+      fz = Math.sign(fz);
+    }
+
+    // Right is forward turned a quarter clockwise seen from above
+    const step = this.gridSize;
+    const cursor = this.keyboardCursor;
+    cursor.x = clamp(cursor.x + (fx * forward - fz * right) * step, -BUILD_LIMIT, BUILD_LIMIT);
+    cursor.z = clamp(cursor.z + (fz * forward + fx * right) * step, -BUILD_LIMIT, BUILD_LIMIT);
+    this.elevationDepth.set(cursor.x, 0, cursor.z);
+  }
+
+  // Stack on the next surface up or down in the cursor's column
+  changeKeyboardLevel(direction) {
+    if (!this.keyboardCursor) {
+      this.moveKeyboardCursor(0, 0);
+    }
+
+    const cursor = this.keyboardCursor;
+    const surfaces = this.getColumnSurfaces(cursor.x, cursor.z);
+    const current = cursor.level === null ? surfaces.length - 1 : Math.min(cursor.level, surfaces.length - 1);
+    const level = clamp(current + direction, 0, surfaces.length - 1);
+    cursor.level = level === surfaces.length - 1 ? null : level;
+  }
+
+  // Heights a block could rest on at (x, z): the ground, then every upward
+  // face of a block in that column, lowest first
+  getColumnSurfaces(x, z) {
+    const surfaces = [{ y: 0, targetBlock: null }];
+    if (this.blockMeshes.length === 0) return surfaces;
+
+    this.downRaycaster.set(new THREE.Vector3(x, 1000, z), new THREE.Vector3(0, -1, 0));
+    const intersects = this.downRaycaster.intersectObjects(this.blockMeshes, false);
+
+    for (const intersect of intersects) {
+      if (!intersect.face) continue;
+      const worldNormal = intersect.face.normal.clone().transformDirection(intersect.object.matrixWorld);
+      if (worldNormal.y <= 0.5 || intersect.point.y <= 0.5) continue;
+
+      // Faces of one block can be hit more than once along its seams
+      if (surfaces.some(surface => Math.abs(surface.y - intersect.point.y) < 0.5)) continue;
+      surfaces.push({ y: intersect.point.y, targetBlock: intersect.object });
+    }
+
+    return surfaces.sort((a, b) => a.y - b.y);
+  }
+
+  // Placement at the keyboard cursor, in the form getPlacementPosition uses
+  getKeyboardPlacement() {
+    const cursor = this.keyboardCursor;
+    const surfaces = this.getColumnSurfaces(cursor.x, cursor.z);
+    const surface = surfaces[cursor.level === null ? surfaces.length - 1 : Math.min(cursor.level, surfaces.length - 1)];
+
+    return {
+      position: new THREE.Vector3(cursor.x, surface.y, cursor.z),
+      point: new THREE.Vector3(cursor.x, surface.y, cursor.z),
+      surfaceY: surface.y,
+      onBlock: surface.targetBlock !== null,
+      targetBlock: surface.targetBlock
+    };
+  }
+
+  getTouchAngle(t1, t2) {
+    return Math.atan2(t2.y - t1.y, t2.x - t1.x);
+  }
+
+  getTouchMidpoint(t1, t2) {
+    return { x: (t1.x + t2.x) / 2, y: (t1.y + t2.y) / 2 };
+  }
+
   getTouchDistance(t1, t2) {
     const dx = t1.x - t2.x;
     const dy = t1.y - t2.y;
@@ -240,7 +835,7 @@ export class GameControls {
 
   // Snap position to grid
   snapPositionToGrid(position) {
-    if (!this.snapToGrid) return position;
+    if (this.snapMode === 'free') return position.clone();
 
     return new THREE.Vector3(
       Math.round(position.x / this.gridSize) * this.gridSize,
@@ -251,68 +846,46 @@ export class GameControls {
 
   // Get placement position - checks block tops first, then ground
   getPlacementPosition() {
-    this.raycaster.setFromCamera(this.mouse, this.camera);
-
-    // First, check for intersections with existing blocks
-    if (this.blockMeshes.length > 0) {
-      const intersects = this.raycaster.intersectObjects(this.blockMeshes, false);
-
-      for (const intersect of intersects) {
-        // Check if we're hitting the top face of the block
-        if (intersect.face && intersect.face.normal) {
-          const worldNormal = intersect.face.normal.clone();
-          worldNormal.transformDirection(intersect.object.matrixWorld);
-
-          // If normal points mostly upward (top face)
-          if (worldNormal.y > 0.5) {
-            const point = intersect.point.clone();
-            // Snap to grid
-            const snapped = this.snapPositionToGrid(point);
-            snapped.y = point.y; // Keep the exact Y from intersection
+    return this.pickPlacement(this.mouse);
+  }
 
-            return {
-              position: snapped,
-              surfaceY: point.y,
-              onBlock: true,
-              targetBlock: intersect.object
-            };
-          }
-        }
-      }
+  // Get ghost position for preview (uses current mouse position, or the
+  // keyboard cursor after a movement key)
+  getGhostPlacementPosition() {
+    if (this.keyboardCursor) {
+      return this.getKeyboardPlacement();
     }
+    return this.pickPlacement(this.currentMousePosition);
+  }
 
-    // Fall back to ground plane
-    const intersection = new THREE.Vector3();
-    const ray = this.raycaster.ray;
-
-    if (ray.intersectPlane(this.groundPlane, intersection)) {
-      // Clamp to reasonable build area
-      intersection.x = Math.max(-80, Math.min(80, intersection.x));
-      intersection.z = Math.max(-80, Math.min(80, intersection.z));
+  // Placed block mesh under a pointer position, or null
+  pickBlock(pointer) {
+    const hit = this.getBlockHit(pointer);
+    return hit ? hit.object : null;
+  }
 
-      const snapped = this.snapPositionToGrid(intersection);
-      snapped.y = 0;
+  // Nearest raycast intersection with a placed block under a pointer
+  // position, or null
+  getBlockHit(pointer) {
+    this.raycaster.setFromCamera(pointer, this.camera);
+    const hits = this.raycaster.intersectObjects(this.blockMeshes, false);
+    return hits.length > 0 ? hits[0] : null;
+  }
 
-      return {
-        position: snapped,
-        surfaceY: 0,
-        onBlock: false,
-        targetBlock: null
-      };
+  // Placement under a pointer position in normalized device coordinates
+  pickPlacement(pointer) {
+    if (CAMERA_MODES[this.cameraMode].elevation && !this.cameraTransition) {
+      return this.pickElevationPlacement(pointer);
     }
 
-    return null;
-  }
-
-  // Get ghost position for preview (uses current mouse position)
-  getGhostPlacementPosition() {
-    this.raycaster.setFromCamera(this.currentMousePosition, this.camera);
+    this.raycaster.setFromCamera(pointer, this.camera);
 
     // First, check for intersections with existing blocks
     if (this.blockMeshes.length > 0) {
       const intersects = this.raycaster.intersectObjects(this.blockMeshes, false);
 
       for (const intersect of intersects) {
+        // Check if we're hitting the top face of the block
         if (intersect.face && intersect.face.normal) {
           const worldNormal = intersect.face.normal.clone();
           worldNormal.transformDirection(intersect.object.matrixWorld);
@@ -320,11 +893,14 @@ export class GameControls {
           // If normal points mostly upward (top face)
           if (worldNormal.y > 0.5) {
             const point = intersect.point.clone();
+            // Snap to grid
             const snapped = this.snapPositionToGrid(point);
-            snapped.y = point.y;
+            snapped.y = point.y; // Keep the exact Y from intersection
+            this.elevationDepth.copy(snapped);
 
             return {
               position: snapped,
+              point,
               surfaceY: point.y,
               onBlock: true,
               targetBlock: intersect.object
@@ -339,14 +915,17 @@ export class GameControls {
     const ray = this.raycaster.ray;
 
     if (ray.intersectPlane(this.groundPlane, intersection)) {
-      intersection.x = Math.max(-80, Math.min(80, intersection.x));
-      intersection.z = Math.max(-80, Math.min(80, intersection.z));
+      // Clamp to reasonable build area
+      intersection.x = clamp(intersection.x, -BUILD_LIMIT, BUILD_LIMIT);
+      intersection.z = clamp(intersection.z, -BUILD_LIMIT, BUILD_LIMIT);
 
       const snapped = this.snapPositionToGrid(intersection);
       snapped.y = 0;
+      this.elevationDepth.copy(snapped);
 
       return {
         position: snapped,
+        point: intersection,
         surfaceY: 0,
         onBlock: false,
         targetBlock: null
@@ -356,9 +935,50 @@ export class GameControls {
     return null;
   }
 
+  // The front and side views look along the ground, so the pointer picks a
+  // column and a height instead, and the block goes on the highest surface
+  // below the pointer. The depth into the view is wherever the block was
+  // last aimed from another view.
+  pickElevationPlacement(pointer) {
+    this.raycaster.setFromCamera(pointer, this.camera);
+
+    const depth = this.elevationDepth;
+    const front = this.cameraMode === 'front';
+    const plane = front
+      ? new THREE.Plane(new THREE.Vector3(0, 0, 1), -depth.z)
+      : new THREE.Plane(new THREE.Vector3(1, 0, 0), -depth.x);
+
+    const point = new THREE.Vector3();
+    if (!this.raycaster.ray.intersectPlane(plane, point)) return null;
+
+    const snapped = this.snapPositionToGrid(point);
+    const x = front ? clamp(snapped.x, -BUILD_LIMIT, BUILD_LIMIT) : depth.x;
+    const z = front ? depth.z : clamp(snapped.z, -BUILD_LIMIT, BUILD_LIMIT);
+
+    const surfaces = this.getColumnSurfaces(x, z);
+    const below = surfaces.filter(surface => surface.y <= point.y);
+    const surface = below.length > 0 ? below[below.length - 1] : surfaces[0];
+
+    return {
+      position: new THREE.Vector3(x, surface.y, z),
+      point: new THREE.Vector3(front ? point.x : x, surface.y, front ? z : point.z),
+      surfaceY: surface.y,
+      onBlock: surface.targetBlock !== null,
+      targetBlock: surface.targetBlock
+    };
+  }
+
   // Legacy method for compatibility
   getGroundPosition() {
     const info = this.getPlacementPosition();
     return info ? info.position : null;
   }
 }
+
+function shortestAngle(from, to) {
+  return Math.atan2(Math.sin(to - from), Math.cos(to - from));
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
@@ -0,0 +1,210 @@
+// Gamepad input
+//
+// Polls the Gamepad API every frame and drives the same GameControls
+// methods the keyboard uses, so a pad works alongside mouse and touch.
+// Buttons follow the browser's "standard" layout:
+//
+//   Left stick   move the block one grid cell at a time
+//   Right stick  orbit the camera
+//   LT / RT      zoom out / in
+//   A            place          B       cancel
+//   X / Y        previous / next block type
+//   LB / RB      rotate         R3      lay on side
+//   D-pad up/down  stack higher / lower
+//   Back/View    next camera mode
+const BUTTONS = {
+  a: 0, b: 1, x: 2, y: 3,
+  lb: 4, rb: 5, lt: 6, rt: 7,
+  back: 8, r3: 11,
+  up: 12, down: 13
+};
+
+const DEAD_ZONE = 0.25;
+
+// Left stick steps: push past MOVE_THRESHOLD to move one cell, hold to
+// repeat after MOVE_DELAY and then every MOVE_REPEAT seconds
+const MOVE_THRESHOLD = 0.5;
+const MOVE_DELAY = 0.35;
+const MOVE_REPEAT = 0.12;
+
+// Radians per second at full tilt, and zoom units per second
+const ORBIT_SPEED = 2.5;
+const TILT_SPEED = 1.5;
+const ZOOM_SPEED = 150;
+
+export class GamepadInput {
+  constructor(controls) {
+    this.controls = controls;
+
+    // Index of the pad in use, or null when none is connected
+    this.index = null;
+    this.previousButtons = [];
+    this.moveDirection = null;
+    this.moveTimer = 0;
+    this.time = 0;
+    this.rumbleUntil = 0;
+
+    // Callbacks
+    this.onCycleBlock = null; // (direction) next (+1) or previous (-1) block type
+    this.onConnect = null;    // (gamepad id) a pad was plugged in
+    this.onDisconnect = null;
+
+    window.addEventListener('gamepadconnected', (e) => {
+      if (this.index === null) {
+        this.usePad(e.gamepad);
+      }
+    });
+    window.addEventListener('gamepaddisconnected', (e) => {
+      if (e.gamepad.index !== this.index) return;
+
+      this.index = null;
+      if (this.onDisconnect) this.onDisconnect(e.gamepad.id);
+
+      // Carry on with another pad if one is still plugged in
+      const other = getPads().find(pad => pad.index !== e.gamepad.index);
+      if (other) {
+        this.usePad(other);
+      }
+    });
+  }
+
+  usePad(pad) {
+    this.index = pad.index;
+    this.previousButtons = pad.buttons.map(button => button.pressed);
+    this.moveDirection = null;
+    if (this.onConnect) this.onConnect(pad.id);
+  }
+
+  // Call once per frame
+  update(deltaTime) {
+    this.time += deltaTime;
+
+    // Some browsers only report a pad once a button is pressed, without a
+    // connected event, so look for one while there isn't any
+    if (this.index === null) {
+      const pad = getPads()[0];
+      if (!pad) return;
+      this.usePad(pad);
+    }
+
+    const pad = getPads().find(p => p.index === this.index);
+    if (!pad) return;
+
+    this.updateSticks(pad, deltaTime);
+    this.updateButtons(pad);
+  }
+
+  updateSticks(pad, deltaTime) {
+    const [lx, ly, rx, ry] = pad.axes.map(deadZone);
+    const controls = this.controls;
+
+    // Left stick: one cell per push, along its strongest axis. Up is forward.
+    let direction = null;
+    if (Math.max(Math.abs(lx), Math.abs(ly)) > MOVE_THRESHOLD) {
+      direction = Math.abs(lx) > Math.abs(ly)
+        ? { forward: 0, right: Math.sign(lx) }
+        : { forward: -Math.sign(ly), right: 0 };
+    }
+
+    if (!direction) {
+      this.moveDirection = null;
+    } else if (!sameDirection(direction, this.moveDirection)) {
+      this.moveDirection = direction;
+      this.moveTimer = MOVE_DELAY;
+      controls.moveKeyboardCursor(direction.forward, direction.right);
+    } else {
+      this.moveTimer -= deltaTime;
+      if (this.moveTimer <= 0) {
+        this.moveTimer = MOVE_REPEAT;
+        controls.moveKeyboardCursor(direction.forward, direction.right);
+      }
+    }
+
+    if (rx !== 0 || ry !== 0) {
+      controls.orbit(-rx * ORBIT_SPEED * deltaTime, ry * TILT_SPEED * deltaTime);
+    }
+
+    const zoom = buttonValue(pad, BUTTONS.lt) - buttonValue(pad, BUTTONS.rt);
+    if (Math.abs(zoom) > 0.05) {
+      controls.zoom(zoom * ZOOM_SPEED * deltaTime);
+    }
+  }
+
+  updateButtons(pad) {
+    const pressed = pad.buttons.map(button => button.pressed);
+    const justPressed = (index) => pressed[index] && !this.previousButtons[index];
+    const controls = this.controls;
+
+    if (justPressed(BUTTONS.a)) {
+      // Place where the ghost is, wherever it was last moved from
+      controls.placeAtGhost();
+    }
+    if (justPressed(BUTTONS.b) && controls.onCancel) {
+      controls.onCancel();
+    }
+    if (justPressed(BUTTONS.x) && this.onCycleBlock) {
+      this.onCycleBlock(-1);
+    }
+    if (justPressed(BUTTONS.y) && this.onCycleBlock) {
+      this.onCycleBlock(1);
+    }
+    if (justPressed(BUTTONS.lb) && controls.onRotateBlock) {
+      controls.onRotateBlock(-1);
+    }
+    if (justPressed(BUTTONS.rb) && controls.onRotateBlock) {
+      controls.onRotateBlock(1);
+    }
+    if (justPressed(BUTTONS.r3) && controls.onTipBlock) {
+      controls.onTipBlock();
+    }
+    if (justPressed(BUTTONS.back)) {
+      controls.cycleCameraMode();
+    }
+    if (justPressed(BUTTONS.up)) {
+      controls.changeKeyboardLevel(1);
+    }
+    if (justPressed(BUTTONS.down)) {
+      controls.changeKeyboardLevel(-1);
+    }
+
+    this.previousButtons = pressed;
+  }
+
+  // Shake the pad, if it can. A collapse reports every falling block, so
+  // rumbles don't restart while one is still going.
+  rumble(strength = 1, duration = 0.4) {
+    if (this.index === null || this.time < this.rumbleUntil) return;
+
+    const pad = getPads().find(p => p.index === this.index);
+    const actuator = pad && pad.vibrationActuator;
+    if (!actuator || !actuator.playEffect) return;
+
+    this.rumbleUntil = this.time + duration;
+    actuator.playEffect('dual-rumble', {
+      duration: duration * 1000,
+      strongMagnitude: strength,
+      weakMagnitude: strength * 0.5
+    }).catch(() => {
+      // Not every pad can rumble; that's fine
+    });
+  }
+}
+
+// Connected pads, skipping the empty slots getGamepads() leaves
+function getPads() {
+  if (!navigator.getGamepads) return [];
+  return Array.from(navigator.getGamepads()).filter(pad => pad && pad.connected);
+}
+
+function deadZone(value) {
+  return Math.abs(value) < DEAD_ZONE ? 0 : value;
+}
+
+function buttonValue(pad, index) {
+  const button = pad.buttons[index];
+  return button ? button.value : 0;
+}
+
+function sameDirection(a, b) {
+  return !!b && a.forward === b.forward && a.right === b.right;
+}
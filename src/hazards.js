@@ -0,0 +1,363 @@
+import * as CANNON from 'cannon-es';
+
+// Environmental hazards: wind gusts and earthquakes
+//
+// A HazardSystem belongs to one PhysicsWorld and acts on it before every
+// step. Hazards start from a schedule, at random, or by calling trigger().
+// Everything is driven by the world's tick and a seeded random generator, so
+// a deterministic world sees the same hazards on every run. When the world
+// is stepped by the physics worker, the hazards run there too: changes made
+// here are passed on, and the worker's state comes back with every frame.
+export const HAZARD_TYPES = ['wind', 'earthquake'];
+
+// Compass points in degrees clockwise from north. North is -Z in the scene.
+export const COMPASS_DIRECTIONS = {
+  N: 0, NE: 45, E: 90, SE: 135, S: 180, SW: 225, W: 270, NW: 315
+};
+
+export const DEFAULT_HAZARD_SETTINGS = {
+  wind: {
+    strength: 6,          // Push per unit of mass at the reference height
+    referenceHeight: 50,  // Wind grows linearly with height above the ground
+    duration: 180         // Ticks
+  },
+  earthquake: {
+    amplitude: 1.5,       // How far the ground moves either way
+    frequency: 2,         // Shakes per second
+    duration: 240         // Ticks
+  },
+  interval: [600, 1500]   // Ticks between random hazards
+};
+
+export class HazardSystem {
+  constructor(physics, options = {}) {
+    this.physics = physics;
+    this.settings = mergeSettings(DEFAULT_HAZARD_SETTINGS, options);
+    this.seed = options.seed ?? 1;
+    this.random = createRandom(this.seed);
+
+    // Hazards waiting for their tick ({ tick, type, ...params }), in order
+    this.schedule = [];
+
+    this.randomEnabled = false;
+    this.randomSettings = this.settings;
+    this.nextRandomTick = Infinity;
+    this.active = [];
+
+    // Where the ground rests while an earthquake moves it
+    this.groundPosition = null;
+
+    // Callback fired when a hazard starts
+    this.onHazard = null;
+
+    physics.world.addEventListener('preStep', () => this.update());
+    this.scheduleHazards(options.schedule || []);
+  }
+
+  // Queue hazards ({ tick, type, ...params }) to start `tick` ticks from now
+  scheduleHazards(entries) {
+    const now = this.physics.getTick();
+    for (const entry of entries) {
+      const hazard = parseHazard(entry.type, entry, this.settings);
+      hazard.tick += now;
+      this.schedule.push(hazard);
+    }
+    this.schedule.sort((a, b) => a.tick - b.tick);
+    this.forward('scheduleHazards', entries);
+  }
+
+  // Start or stop random hazards. `settings` may override the interval and
+  // hazard strengths (storm mode hits harder and more often).
+  setRandom(enabled, settings = {}) {
+    this.randomEnabled = enabled;
+    this.randomSettings = mergeSettings(this.settings, settings);
+    this.nextRandomTick = enabled ? this.physics.getTick() + this.randomInterval() : Infinity;
+    this.forward('setRandom', enabled, settings);
+  }
+
+  // Start a hazard now. Params default to the system's settings; wind and
+  // earthquakes both take a compass `direction`.
+  trigger(type, params = {}) {
+    const hazard = parseHazard(type, params, this.settings);
+    hazard.tick = this.physics.getTick();
+
+    // The worker starts it and reports back
+    if (this.physics.remote) {
+      this.forward('trigger', type, params);
+      return hazard;
+    }
+
+    this.start(hazard);
+    return hazard;
+  }
+
+  start(hazard) {
+    this.active.push(hazard);
+
+    if (hazard.type === 'earthquake' && !this.groundPosition) {
+      const ground = this.physics.groundBody;
+      this.groundPosition = ground.position.clone();
+      ground.type = CANNON.Body.KINEMATIC;
+      ground.wakeUp();
+    }
+
+    if (this.onHazard) {
+      this.onHazard({ ...hazard });
+    }
+  }
+
+  // Called before every physics step
+  update() {
+    const tick = this.physics.getTick();
+
+    while (this.schedule.length && this.schedule[0].tick <= tick) {
+      this.start({ ...this.schedule.shift(), tick });
+    }
+
+    if (this.randomEnabled && tick >= this.nextRandomTick && this.active.length === 0) {
+      const hazard = this.createRandomHazard();
+      hazard.tick = tick;
+      this.start(hazard);
+      this.nextRandomTick = tick + hazard.duration + this.randomInterval();
+    }
+
+    for (const hazard of this.active) {
+      const elapsed = tick - hazard.tick;
+      if (hazard.type === 'wind') {
+        this.applyWind(hazard, elapsed);
+      } else {
+        this.applyEarthquake(hazard, elapsed);
+      }
+    }
+
+    this.active = this.active.filter(hazard => {
+      if (tick - hazard.tick < hazard.duration) return true;
+      this.finish(hazard);
+      return false;
+    });
+  }
+
+  // Push every block downwind, harder the higher it is. Gusts build up and
+  // die down over their duration.
+  applyWind(hazard, elapsed) {
+    const envelope = Math.sin(Math.PI * Math.min(1, elapsed / hazard.duration));
+    const direction = windVector(hazard.direction);
+    const force = new CANNON.Vec3();
+
+    for (const body of this.physics.bodies) {
+      const height = Math.max(0, body.position.y) / this.settings.wind.referenceHeight;
+      const push = hazard.strength * envelope * height * body.mass;
+      if (push <= 0) continue;
+
+      force.set(direction.x * push, 0, direction.z * push);
+      body.wakeUp();
+      body.applyForce(force);
+    }
+  }
+
+  // Move the ground back and forth along the quake's direction. The ground
+  // is kinematic while it shakes, so blocks resting on it are dragged along.
+  applyEarthquake(hazard, elapsed) {
+    const ground = this.physics.groundBody;
+    const omega = 2 * Math.PI * hazard.frequency;
+    const t = elapsed * this.physics.world.dt;
+    const speed = hazard.amplitude * omega * Math.cos(omega * t);
+    const angle = hazard.direction * Math.PI / 180;
+
+    ground.velocity.set(Math.sin(angle) * speed, 0, -Math.cos(angle) * speed);
+    for (const body of this.physics.bodies) {
+      body.wakeUp();
+    }
+  }
+
+  // Put the ground back once the last earthquake is over
+  finish(hazard) {
+    if (hazard.type !== 'earthquake' || !this.groundPosition) return;
+    if (this.active.some(h => h !== hazard && h.type === 'earthquake')) return;
+
+    const ground = this.physics.groundBody;
+    ground.type = CANNON.Body.STATIC;
+    ground.velocity.setZero();
+    ground.position.copy(this.groundPosition);
+    ground.aabbNeedsUpdate = true;
+    this.groundPosition = null;
+  }
+
+  // Stop every hazard and put the ground back
+  reset() {
+    const active = this.active;
+    this.active = [];
+    for (const hazard of active) {
+      this.finish(hazard);
+    }
+    this.forward('reset');
+  }
+
+  // Pass a call on to the copy of this system in the physics worker
+  forward(method, ...args) {
+    if (this.physics.remote) {
+      this.physics.remote.send('hazards', { method, args });
+    }
+  }
+
+  // Everything needed to carry the hazards over to another copy of the
+  // world, in a form that can be posted to a worker
+  getState() {
+    const ground = this.physics.groundBody.position;
+    return {
+      schedule: this.schedule,
+      randomEnabled: this.randomEnabled,
+      randomSettings: this.randomSettings,
+      nextRandomTick: this.nextRandomTick,
+      active: this.active,
+      groundPosition: this.groundPosition && { x: this.groundPosition.x, y: this.groundPosition.y, z: this.groundPosition.z },
+      ground: { x: ground.x, y: ground.y, z: ground.z }
+    };
+  }
+
+  setState(state) {
+    this.schedule = state.schedule;
+    this.randomEnabled = state.randomEnabled;
+    this.randomSettings = state.randomSettings;
+    this.nextRandomTick = state.nextRandomTick;
+    this.active = state.active;
+
+    // Shaking ground is kinematic until the quake ends
+    const ground = this.physics.groundBody;
+    ground.position.set(state.ground.x, state.ground.y, state.ground.z);
+    ground.aabbNeedsUpdate = true;
+    if (state.groundPosition) {
+      this.groundPosition = new CANNON.Vec3(state.groundPosition.x, state.groundPosition.y, state.groundPosition.z);
+      ground.type = CANNON.Body.KINEMATIC;
+    } else {
+      this.groundPosition = null;
+      ground.type = CANNON.Body.STATIC;
+      ground.velocity.setZero();
+    }
+  }
+
+  // Current wind for display: { x, z, strength } with strength from 0 to 1
+  // against the default gust, or null when it's calm
+  getWind() {
+    const tick = this.physics.getTick();
+    let wind = null;
+
+    for (const hazard of this.active) {
+      if (hazard.type !== 'wind') continue;
+
+      const envelope = Math.sin(Math.PI * Math.min(1, (tick - hazard.tick) / hazard.duration));
+      const strength = envelope * hazard.strength / this.settings.wind.strength;
+      if (!wind || strength > wind.strength) {
+        wind = { ...windVector(hazard.direction), strength };
+      }
+    }
+
+    return wind;
+  }
+
+  getActive() {
+    return this.active.map(hazard => ({ ...hazard }));
+  }
+
+  // How far the ground has been shaken from where it rests
+  getGroundOffset() {
+    if (!this.groundPosition) return { x: 0, z: 0 };
+
+    const position = this.physics.groundBody.position;
+    return { x: position.x - this.groundPosition.x, z: position.z - this.groundPosition.z };
+  }
+
+  createRandomHazard() {
+    const settings = this.randomSettings;
+    const type = this.random() < 0.5 ? 'wind' : 'earthquake';
+    const directions = Object.keys(COMPASS_DIRECTIONS);
+    const direction = directions[Math.floor(this.random() * directions.length)];
+    const scale = 0.6 + this.random() * 0.8;
+
+    if (type === 'wind') {
+      return parseHazard('wind', { direction, strength: settings.wind.strength * scale }, settings);
+    }
+    return parseHazard('earthquake', { direction, amplitude: settings.earthquake.amplitude * scale }, settings);
+  }
+
+  randomInterval() {
+    const [min, max] = this.randomSettings.interval;
+    return Math.round(min + this.random() * (max - min));
+  }
+}
+
+// Fill in and check a hazard's parameters
+function parseHazard(type, params, settings) {
+  if (!HAZARD_TYPES.includes(type)) {
+    throw new Error(`Unknown hazard type "${type}" (use ${HAZARD_TYPES.join(', ')})`);
+  }
+
+  const defaults = settings[type];
+  const hazard = {
+    type,
+    tick: params.tick ?? 0,
+    direction: getCompassAngle(params.direction ?? 'N'),
+    duration: params.duration ?? defaults.duration
+  };
+
+  if (type === 'wind') {
+    hazard.strength = params.strength ?? defaults.strength;
+  } else {
+    hazard.amplitude = params.amplitude ?? defaults.amplitude;
+    hazard.frequency = params.frequency ?? defaults.frequency;
+  }
+
+  for (const [key, value] of Object.entries(hazard)) {
+    if (key !== 'type' && (typeof value !== 'number' || !isFinite(value) || value < 0)) {
+      throw new Error(`Hazard ${type} needs a non-negative ${key}`);
+    }
+  }
+
+  return hazard;
+}
+
+// Degrees clockwise from north, from a compass point name or a number
+export function getCompassAngle(direction) {
+  if (typeof direction === 'number') {
+    return ((direction % 360) + 360) % 360;
+  }
+
+  const angle = COMPASS_DIRECTIONS[String(direction).toUpperCase()];
+  if (angle === undefined) {
+    throw new Error(`Unknown compass direction "${direction}"`);
+  }
+  return angle;
+}
+
+// Nearest compass point name for an angle in degrees
+export function getCompassName(angle) {
+  const points = Object.keys(COMPASS_DIRECTIONS);
+  return points[Math.round(getCompassAngle(angle) / 45) % points.length];
+}
+
+// Wind is named for where it blows from, so it pushes the opposite way
+function windVector(angle) {
+  const radians = angle * Math.PI / 180;
+  return { x: -Math.sin(radians), z: Math.cos(radians) };
+}
+
+function mergeSettings(base, overrides) {
+  return {
+    wind: { ...base.wind, ...overrides.wind },
+    earthquake: { ...base.earthquake, ...overrides.earthquake },
+    interval: overrides.interval || base.interval
+  };
+}
+
+// Small seeded generator (mulberry32) so random hazards (and Jenga towers)
+// are repeatable
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,75 @@
+// Undo/redo history of tower edits
+//
+// Each entry stores the physics snapshot taken before and after the action,
+// so stepping back or forward is a matter of restoring one of them.
+export class History {
+  constructor(limit = 100) {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.limit = limit;
+
+    // Callback fired whenever the stacks change (for button state)
+    this.onChange = null;
+  }
+
+  // Record a new action; anything that was undone is discarded
+  record(entry) {
+    this.undoStack.push(entry);
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.notify();
+  }
+
+  // Step back, returning the entry whose `before` state should be restored
+  undo() {
+    const entry = this.undoStack.pop();
+    if (!entry) return null;
+
+    this.redoStack.push(entry);
+    this.notify();
+    return entry;
+  }
+
+  // Step forward, returning the entry whose `after` state should be restored
+  redo() {
+    const entry = this.redoStack.pop();
+    if (!entry) return null;
+
+    this.undoStack.push(entry);
+    this.notify();
+    return entry;
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.notify();
+  }
+
+  // Both stacks, to put back later with restore()
+  save() {
+    return { undoStack: [...this.undoStack], redoStack: [...this.redoStack] };
+  }
+
+  restore(state) {
+    this.undoStack = [...state.undoStack];
+    this.redoStack = [...state.redoStack];
+    this.notify();
+  }
+
+  notify() {
+    if (this.onChange) {
+      this.onChange(this);
+    }
+  }
+}
@@ -0,0 +1,118 @@
+// Hotseat multiplayer
+//
+// Two to six players share one device and take turns placing blocks. After a
+// placement the tower has to settle before the next player goes, and the
+// height it gained goes to the placer's score. A placement that sets off a
+// collapse knocks its player out; the last player left wins.
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 6;
+
+export const PLAYER_COLORS = ['#E63946', '#457B9D', '#2A9D8F', '#F4A261', '#9B5DE5', '#F15BB5'];
+
+const MAX_NAME_LENGTH = 20;
+
+// Seconds the tower must stay at rest before the turn passes, and the
+// longest a turn waits for it (a tower that keeps rocking still passes)
+const SETTLE_TIME = 1;
+const MAX_SETTLE_TIME = 10;
+
+// Players ({ name, color }) ready to play. Blank names become "Player N"
+// and bad colors the player's default one.
+export function createPlayers(defs) {
+  if (!Array.isArray(defs) || defs.length < MIN_PLAYERS || defs.length > MAX_PLAYERS) {
+    throw new Error(`Hotseat needs ${MIN_PLAYERS} to ${MAX_PLAYERS} players`);
+  }
+
+  return defs.map((def, i) => {
+    const name = typeof def.name === 'string' ? def.name.trim().slice(0, MAX_NAME_LENGTH) : '';
+    const color = typeof def.color === 'string' && /^#[0-9a-f]{6}$/i.test(def.color) ? def.color : PLAYER_COLORS[i];
+    return { name: name || `Player ${i + 1}`, color, score: 0, eliminated: false };
+  });
+}
+
+// One hotseat game
+export class HotseatSession {
+  constructor(players) {
+    this.players = createPlayers(players);
+    this.turn = 1;
+    this.current = 0;
+
+    // 'build' while the current player places, 'settle' while the tower
+    // settles after it, 'over' once one player is left
+    this.phase = 'build';
+    this.heightBefore = 0;
+    this.restTime = 0;
+    this.settleTime = 0;
+  }
+
+  getPlayer(index = this.current) {
+    return this.players[index];
+  }
+
+  canPlace() {
+    return this.phase === 'build';
+  }
+
+  // The current player placed a block on a tower this tall
+  place(heightBefore) {
+    if (!this.canPlace()) return;
+
+    this.phase = 'settle';
+    this.heightBefore = heightBefore;
+    this.restTime = 0;
+    this.settleTime = 0;
+  }
+
+  // A collapse while the tower settles knocks out the player who placed
+  // last. Returns that player, or null if nobody was knocked out.
+  handleCollapse() {
+    const player = this.getPlayer();
+    if (this.phase !== 'settle' || player.eliminated) return null;
+
+    player.eliminated = true;
+    return player;
+  }
+
+  // Wait for the tower to settle and pass the turn on. Returns true when
+  // the turn passed (or the game ended).
+  update(seconds, atRest, height) {
+    if (this.phase !== 'settle') return false;
+
+    this.settleTime += seconds;
+    this.restTime = atRest ? this.restTime + seconds : 0;
+    if (this.restTime < SETTLE_TIME && this.settleTime < MAX_SETTLE_TIME) return false;
+
+    const player = this.getPlayer();
+    if (!player.eliminated) {
+      player.score += Math.max(0, height - this.heightBefore);
+    }
+    this.nextTurn();
+    return true;
+  }
+
+  nextTurn() {
+    if (this.getRemaining().length <= 1) {
+      this.phase = 'over';
+      return;
+    }
+
+    do {
+      this.current = (this.current + 1) % this.players.length;
+    } while (this.getPlayer().eliminated);
+    this.turn++;
+    this.phase = 'build';
+  }
+
+  getRemaining() {
+    return this.players.filter(player => !player.eliminated);
+  }
+
+  // The last player standing
+  getWinner() {
+    return this.isOver() ? this.getRemaining()[0] || null : null;
+  }
+
+  isOver() {
+    return this.phase === 'over';
+  }
+}
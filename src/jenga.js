@@ -0,0 +1,216 @@
+import { BLOCK_TYPES } from './blockDefs.js';
+import { createRandom } from './hazards.js';
+
+// Jenga mode
+//
+// A tower of planks in layers of three, each layer across the one below.
+// Players take turns to drag one plank out of the tower (the game tugs it
+// with PhysicsWorld.setTug) and put it back on top. A turn is lost when the
+// tower collapses or any plank other than the one being pulled moves further
+// than the tolerance; once the plank is back on top and the tower has stood
+// still for a moment, it's the next player's turn.
+export const JENGA_BLOCK = 'plank';
+
+export const DEFAULT_JENGA_SETTINGS = {
+  players: 2,
+  layers: 18,
+  tolerance: 2,    // How far other planks may move during a turn
+  settleTime: 2,   // Seconds the tower must stand after a plank goes on top
+  offset: 0.4      // How far planks may sit off centre, along their length
+};
+
+// The physics a tower of planks needs to stand still (see PhysicsWorld)
+export const JENGA_SOLVER = {
+  iterations: 20,
+  sleepSpeedLimit: 0.5,
+  sleepTimeLimit: 0.5
+};
+
+// Planks in the top layers can't be pulled
+const LOCKED_LAYERS = 2;
+
+// What the player should be doing in each phase of a turn
+const PHASE_HINTS = {
+  pull: 'Drag a plank out',
+  place: 'Put it on top',
+  settle: 'Hold your breath…',
+  over: 'Game over'
+};
+
+// Planks for a new tower ({ blockType, position, orientation }), bottom layer
+// first, standing around the origin. The seed picks how far each plank sits
+// off centre.
+export function generateJengaTower(options = {}) {
+  const settings = { ...DEFAULT_JENGA_SETTINGS, ...options };
+  const random = createRandom(settings.seed ?? 1);
+  const size = BLOCK_TYPES[JENGA_BLOCK].size;
+  const planks = [];
+
+  for (let layer = 0; layer < settings.layers; layer++) {
+    // Odd layers are turned a quarter, so their planks run along Z
+    const yaw = layer % 2;
+    const y = size.y * (layer + 0.5);
+
+    for (let slot = -1; slot <= 1; slot++) {
+      const across = slot * size.z;
+      const along = (random() * 2 - 1) * settings.offset;
+      planks.push({
+        blockType: JENGA_BLOCK,
+        position: yaw ? { x: across, y, z: along } : { x: along, y, z: across },
+        orientation: { yaw, tip: false }
+      });
+    }
+  }
+
+  return planks;
+}
+
+// One game of Jenga
+export class JengaSession {
+  constructor(options = {}) {
+    this.settings = { ...DEFAULT_JENGA_SETTINGS, ...options };
+    this.player = 0;
+    this.turn = 1;
+
+    // 'pull' (choosing and pulling a plank), 'place' (putting it on top),
+    // 'settle' (waiting for the tower to stand still) or 'over'
+    this.phase = 'pull';
+
+    // Body being pulled, then the one put back on top
+    this.target = null;
+
+    // Where every plank was at the start of the turn (body -> position)
+    this.restPositions = new Map();
+    this.settleTime = 0;
+
+    // Set when the game is over: who lost the tower, and how
+    // ('collapse' or 'knocked')
+    this.loser = null;
+    this.reason = null;
+  }
+
+  getPlayerName(player = this.player) {
+    return `Player ${player + 1}`;
+  }
+
+  getHint() {
+    return PHASE_HINTS[this.phase];
+  }
+
+  // Start a turn with the tower's bodies where they are now
+  startTurn(bodies) {
+    this.phase = 'pull';
+    this.target = null;
+    this.settleTime = 0;
+    this.restPositions = new Map(bodies.map(body => [body, {
+      x: body.position.x,
+      y: body.position.y,
+      z: body.position.z
+    }]));
+  }
+
+  // How far a body has moved this turn
+  getMoved(body) {
+    const rest = this.restPositions.get(body);
+    if (!rest) return 0;
+
+    const dx = body.position.x - rest.x;
+    const dy = body.position.y - rest.y;
+    const dz = body.position.z - rest.z;
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+  }
+
+  // Why `body` can't be pulled now, or null if it can. `top` is the height
+  // of the top of the tower. The player may switch planks as long as the
+  // last one is still about where it was.
+  checkPull(body, top) {
+    if (this.phase !== 'pull') return 'Put the plank back on top first';
+    if (this.target && this.target !== body && this.getMoved(this.target) > this.settings.tolerance) {
+      return 'Keep pulling the plank you started on';
+    }
+
+    const layerHeight = BLOCK_TYPES[JENGA_BLOCK].size.y;
+    if (body.position.y > top - LOCKED_LAYERS * layerHeight) {
+      return `The top ${LOCKED_LAYERS} layers stay put`;
+    }
+    return null;
+  }
+
+  pull(body) {
+    this.target = body;
+  }
+
+  // Whether a plank's bounds ({ min, max }) are clear of the tower
+  isClear(bounds) {
+    const half = BLOCK_TYPES[JENGA_BLOCK].size.x / 2;
+    return bounds.min.x >= half || bounds.max.x <= -half ||
+      bounds.min.z >= half || bounds.max.z <= -half;
+  }
+
+  // The pulled plank is out and in the player's hand
+  extract() {
+    this.phase = 'place';
+    this.target = null;
+  }
+
+  // Whether a plank with its bottom at `bottom` sits on the top layer (or
+  // finishes the one under it). `top` is the height of the tower.
+  isOnTop(bottom, top) {
+    const layerHeight = BLOCK_TYPES[JENGA_BLOCK].size.y;
+    return bottom >= top - layerHeight - 0.5;
+  }
+
+  // The plank went back on top as `body`
+  place(body) {
+    this.phase = 'settle';
+    this.target = body;
+    this.settleTime = 0;
+  }
+
+  // Returns true if this collapse lost the game. The plank being pulled may
+  // tip and fall on its way out; anything else falling loses.
+  handleCollapse(event) {
+    if (this.isOver()) return false;
+    if (this.phase === 'pull' && event.body === this.target) return false;
+
+    this.lose('collapse');
+    return true;
+  }
+
+  // Check the planks other than the target against where they were at the
+  // start of the turn. Returns true if one was knocked too far.
+  checkKnocked(bodies) {
+    if (this.isOver()) return false;
+
+    for (const body of bodies) {
+      if (body !== this.target && this.getMoved(body) > this.settings.tolerance) {
+        this.lose('knocked');
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Count down the settle time; returns true when the turn passes to the
+  // next player (call startTurn() then)
+  update(seconds) {
+    if (this.phase !== 'settle') return false;
+
+    this.settleTime += seconds;
+    if (this.settleTime < this.settings.settleTime) return false;
+
+    this.player = (this.player + 1) % this.settings.players;
+    this.turn++;
+    return true;
+  }
+
+  lose(reason) {
+    this.phase = 'over';
+    this.loser = this.player;
+    this.reason = reason;
+  }
+
+  isOver() {
+    return this.phase === 'over';
+  }
+}
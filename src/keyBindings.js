@@ -0,0 +1,155 @@
+// Keyboard bindings
+//
+// Every keyboard action has a list of keys, named the way KeyboardEvent.key
+// names them (letters lower case). Players can remap them; their bindings are
+// stored as an { action: [keys] } map and merged over the defaults, so new
+// actions pick up whichever of their default keys the player hasn't used
+// elsewhere. Undo and redo stay on Ctrl+Z / Ctrl+Y.
+export const KEY_ACTIONS = {
+  block1: 'Palette block 1',
+  block2: 'Palette block 2',
+  block3: 'Palette block 3',
+  block4: 'Palette block 4',
+  block5: 'Palette block 5',
+  block6: 'Palette block 6',
+  block7: 'Palette block 7',
+  block8: 'Palette block 8',
+  block9: 'Palette block 9',
+  moveForward: 'Move forward',
+  moveBack: 'Move back',
+  moveLeft: 'Move left',
+  moveRight: 'Move right',
+  levelUp: 'Stack higher',
+  levelDown: 'Stack lower',
+  place: 'Place block',
+  cancel: 'Cancel placement',
+  rotate: 'Rotate (Shift reverses)',
+  tip: 'Lay on side',
+  orbitLeft: 'Orbit left',
+  orbitRight: 'Orbit right',
+  zoomIn: 'Zoom in',
+  zoomOut: 'Zoom out',
+  cameraMode: 'Next camera mode',
+  snapMode: 'Next snapping mode',
+  debugInfo: 'Show debug info',
+  editTool: 'Edit tool (pick placed blocks)',
+  moveBlock: 'Move picked block',
+  deleteBlock: 'Delete picked block',
+  weldTool: 'Weld tool (join touching blocks)'
+};
+
+export const DEFAULT_KEY_BINDINGS = {
+  block1: ['1'],
+  block2: ['2'],
+  block3: ['3'],
+  block4: ['4'],
+  block5: ['5'],
+  block6: ['6'],
+  block7: ['7'],
+  block8: ['8'],
+  block9: ['9'],
+  moveForward: ['ArrowUp', 'w'],
+  moveBack: ['ArrowDown', 's'],
+  moveLeft: ['ArrowLeft', 'a'],
+  moveRight: ['ArrowRight', 'd'],
+  levelUp: ['PageUp'],
+  levelDown: ['PageDown'],
+  place: ['Enter'],
+  cancel: ['Escape'],
+  rotate: ['r'],
+  tip: ['t'],
+  orbitLeft: ['q'],
+  orbitRight: ['e'],
+  zoomIn: ['+', '='],
+  zoomOut: ['-', '_'],
+  cameraMode: ['c'],
+  snapMode: ['g'],
+  debugInfo: ['F3'],
+  editTool: ['x'],
+  moveBlock: ['m'],
+  deleteBlock: ['Delete', 'Backspace'],
+  weldTool: ['v']
+};
+
+// Keys that can't be bound: modifiers on their own, Tab (which moves focus
+// between buttons) and keys the browser can't name
+const RESERVED_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'Tab', 'CapsLock', 'Dead', 'Unidentified'];
+
+// KeyboardEvent.key in the form bindings use. Shift+letters come through
+// upper case, so letters are lower-cased; everything else is kept as is.
+export function normalizeKey(key) {
+  if (typeof key !== 'string' || key.length === 0) return null;
+  return key.length === 1 ? key.toLowerCase() : key;
+}
+
+export function isBindableKey(key) {
+  const normalized = normalizeKey(key);
+  return normalized !== null && !RESERVED_KEYS.includes(normalized);
+}
+
+// Stored bindings merged over the defaults. Unknown actions and bad keys are
+// dropped rather than failing, so an old or hand-edited save still loads.
+// A default key the player has already put on another action stays there,
+// so a new action's default never ends up doing two things.
+export function parseKeyBindings(stored) {
+  const bindings = copyBindings(DEFAULT_KEY_BINDINGS);
+  if (!stored || typeof stored !== 'object') return bindings;
+
+  const storedActions = new Set();
+  const storedKeys = new Set();
+  for (const [action, keys] of Object.entries(stored)) {
+    if (!KEY_ACTIONS[action] || !Array.isArray(keys)) continue;
+    bindings[action] = keys.filter(isBindableKey).map(normalizeKey);
+    storedActions.add(action);
+    bindings[action].forEach(key => storedKeys.add(key));
+  }
+
+  for (const action of Object.keys(bindings)) {
+    if (storedActions.has(action)) continue;
+    bindings[action] = bindings[action].filter(key => !storedKeys.has(key));
+  }
+  return bindings;
+}
+
+// The action bound to a key, or null
+export function getActionForKey(bindings, key) {
+  const normalized = normalizeKey(key);
+  for (const [action, keys] of Object.entries(bindings)) {
+    if (keys.includes(normalized)) return action;
+  }
+  return null;
+}
+
+// Bind `key` as the only key for `action`, taking it away from any other
+// action that had it. Returns the new bindings.
+export function setKeyBinding(bindings, action, key) {
+  if (!KEY_ACTIONS[action]) {
+    throw new Error(`Unknown key action "${action}"`);
+  }
+  if (!isBindableKey(key)) {
+    throw new Error(`"${key}" can't be bound`);
+  }
+
+  const normalized = normalizeKey(key);
+  const updated = copyBindings(bindings);
+  for (const other of Object.keys(updated)) {
+    updated[other] = updated[other].filter(k => k !== normalized);
+  }
+  updated[action] = [normalized];
+  return updated;
+}
+
+export function copyBindings(bindings) {
+  const copy = {};
+  for (const [action, keys] of Object.entries(bindings)) {
+    copy[action] = [...keys];
+  }
+  return copy;
+}
+
+// Readable key names for the bindings panel
+export function describeKey(key) {
+  const names = { ' ': 'Space', ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', Escape: 'Esc' };
+  if (names[key]) return names[key];
+  return key.length === 1 ? key.toUpperCase() : key;
+}
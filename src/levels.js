@@ -0,0 +1,208 @@
+import { BLOCK_TYPES } from './blockDefs.js';
+import levelPack from './levels.json' with { type: 'json' };
+
+// Levels
+//
+// Each level sets a target height, a budget of blocks per type (and of
+// welds), an optional time limit, blocks already standing when it starts and
+// zones of ground nothing may be built on. Levels come from levels.json; the format is in
+// the README.
+export const LEVEL_PACK_VERSION = 1;
+
+// Seconds the tower must stay at the target height to count, so a block
+// flying past it on the way down doesn't
+export const LEVEL_HOLD_TIME = 3;
+
+// Parsed levels in play order
+export const LEVELS = [];
+
+// Validate a level pack ({ version, levels: [...] }) and return its levels
+export function parseLevelPack(manifest) {
+  if (!manifest || !Array.isArray(manifest.levels)) {
+    throw new Error('Level pack has no level list');
+  }
+  if (manifest.version > LEVEL_PACK_VERSION) {
+    throw new Error(`Unsupported level pack version: ${manifest.version}`);
+  }
+
+  const levels = manifest.levels.map(parseLevel);
+  const ids = new Set();
+  for (const level of levels) {
+    if (ids.has(level.id)) {
+      throw new Error(`Level "${level.id}" is defined twice`);
+    }
+    ids.add(level.id);
+  }
+  return levels;
+}
+
+function parseLevel(def) {
+  if (!def || typeof def.id !== 'string' || !/^[a-z0-9_-]{1,32}$/i.test(def.id)) {
+    throw new Error('Level needs an id of letters, digits, - or _');
+  }
+
+  const where = `Level "${def.id}"`;
+  if (!isPositive(def.targetHeight)) {
+    throw new Error(`${where} needs a positive targetHeight`);
+  }
+  if (def.timeLimit !== undefined && !isPositive(def.timeLimit)) {
+    throw new Error(`${where} needs a positive timeLimit in seconds`);
+  }
+
+  const inventory = {};
+  for (const [type, count] of Object.entries(def.inventory || {})) {
+    if (!BLOCK_TYPES[type]) {
+      throw new Error(`${where} uses an unknown block type "${type}"`);
+    }
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error(`${where} needs a whole number of ${type} blocks`);
+    }
+    inventory[type] = count;
+  }
+  if (Object.values(inventory).every(count => count === 0)) {
+    throw new Error(`${where} has no blocks in its inventory`);
+  }
+  if (def.welds !== undefined && (!Number.isInteger(def.welds) || def.welds < 0)) {
+    throw new Error(`${where} needs a whole number of welds`);
+  }
+
+  const blocks = (def.blocks || []).map(block => {
+    if (!block || !BLOCK_TYPES[block.blockType]) {
+      throw new Error(`${where} places an unknown block type "${block && block.blockType}"`);
+    }
+    if (!Number.isFinite(block.x) || !Number.isFinite(block.z)) {
+      throw new Error(`${where} places a ${block.blockType} without an x and z`);
+    }
+    return { blockType: block.blockType, x: block.x, z: block.z, orientation: { ...block.orientation } };
+  });
+
+  const forbiddenZones = (def.forbiddenZones || []).map(zone => {
+    if (!zone || !Number.isFinite(zone.x) || !Number.isFinite(zone.z) || !isPositive(zone.width) || !isPositive(zone.depth)) {
+      throw new Error(`${where} has a forbidden zone without x, z, width and depth`);
+    }
+    return { x: zone.x, z: zone.z, width: zone.width, depth: zone.depth };
+  });
+
+  const stars = def.stars || {};
+  if ((stars.par !== undefined && !isPositive(stars.par)) || (stars.time !== undefined && !isPositive(stars.time))) {
+    throw new Error(`${where} needs positive star targets`);
+  }
+
+  return {
+    id: def.id,
+    name: typeof def.name === 'string' && def.name ? def.name : def.id,
+    description: typeof def.description === 'string' ? def.description : '',
+    targetHeight: def.targetHeight,
+    timeLimit: def.timeLimit ?? null,
+    inventory,
+    welds: def.welds ?? 0,
+    blocks,
+    forbiddenZones,
+    stars: { par: stars.par ?? null, time: stars.time ?? null }
+  };
+}
+
+function isPositive(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+// The level after `id`, or null after the last one
+export function getNextLevel(id) {
+  const index = LEVELS.findIndex(level => level.id === id);
+  return index >= 0 ? LEVELS[index + 1] || null : null;
+}
+
+// One attempt at a level
+export class LevelSession {
+  constructor(level) {
+    this.level = level;
+    this.remaining = { ...level.inventory };
+    this.blocksUsed = 0;
+    this.weldsLeft = level.welds;
+    this.elapsed = 0;
+    this.holdTime = 0;
+
+    // 'complete' or 'failed' once the attempt is over
+    this.outcome = null;
+  }
+
+  get timeLeft() {
+    if (this.level.timeLimit === null) return null;
+    return Math.max(0, this.level.timeLimit - this.elapsed);
+  }
+
+  getRemaining(blockType) {
+    return this.remaining[blockType] || 0;
+  }
+
+  canPlace(blockType) {
+    return !this.outcome && this.getRemaining(blockType) > 0;
+  }
+
+  usePlacement(blockType) {
+    if (!this.canPlace(blockType)) return false;
+    this.remaining[blockType]--;
+    this.blocksUsed++;
+    return true;
+  }
+
+  canWeld() {
+    return !this.outcome && this.weldsLeft > 0;
+  }
+
+  useWeld() {
+    if (!this.canWeld()) return false;
+    this.weldsLeft--;
+    return true;
+  }
+
+  // Forbidden zones only stop blocks standing on the ground, so they can
+  // still be bridged
+  isInForbiddenZone(position, halfExtents) {
+    if (position.y - halfExtents.y > 0.5) return false;
+
+    return this.level.forbiddenZones.some(zone =>
+      position.x + halfExtents.x > zone.x &&
+      position.x - halfExtents.x < zone.x + zone.width &&
+      position.z + halfExtents.z > zone.z &&
+      position.z - halfExtents.z < zone.z + zone.depth
+    );
+  }
+
+  // Advance the clock. The level is complete once the tower has stayed at
+  // the target height for LEVEL_HOLD_TIME, and failed when the time runs out
+  // first. Returns the outcome when it's decided.
+  update(seconds, height) {
+    if (this.outcome) return null;
+
+    this.elapsed += seconds;
+    this.holdTime = height >= this.level.targetHeight ? this.holdTime + seconds : 0;
+
+    if (this.holdTime >= LEVEL_HOLD_TIME) {
+      this.outcome = 'complete';
+    } else if (this.timeLeft === 0) {
+      this.outcome = 'failed';
+    } else {
+      return null;
+    }
+    return this.outcome;
+  }
+
+  // One star for finishing, one for staying within par blocks and one for
+  // beating the star time. Levels without a target give that star free.
+  getStars() {
+    if (this.outcome !== 'complete') return 0;
+
+    const { par, time } = this.level.stars;
+    let stars = 1;
+    if (par === null || this.blocksUsed <= par) stars++;
+    if (time === null || this.elapsed <= time) stars++;
+    return stars;
+  }
+
+  isOver() {
+    return this.outcome !== null;
+  }
+}
+
+LEVELS.push(...parseLevelPack(levelPack));
@@ -1,7 +1,30 @@
 import * as THREE from 'three';
-import { PhysicsWorld } from './physics.js';
-import { createBlock, createGhostBlock, setGhostValidity, getBlockHeightOffset, getBlockHalfExtents, BLOCK_TYPES } from './blocks.js';
-import { GameControls } from './controls.js';
+import { PhysicsWorld, FIXED_TIME_STEP } from './physics.js';
+import { createPhysicsWorker } from './physicsClient.js';
+import { createBlock, createGhostBlock, disposeGhostBlock, createBlockHighlight, disposeBlockHighlight, getBlockResourceStats, setGhostValidity, getBlockHeightOffset, getOrientationQuaternion, getOrientedHalfExtents, getNearestOrientation, registerBlockTypes, isBlockUnlocked, BLOCK_TYPES } from './blocks.js';
+import { BlockRenderer } from './blockRenderer.js';
+import { WeldRenderer } from './weldRenderer.js';
+import { playSound } from './sounds.js';
+import { GameControls, CAMERA_MODES } from './controls.js';
+import { GamepadInput } from './gamepad.js';
+import { History } from './history.js';
+import { ReplayRecorder, ReplayPlayer, REPLAY_SPEEDS } from './replay.js';
+import { GAME_MODES, ChallengeSession } from './modes.js';
+import { MATERIALS } from './materials.js';
+import { getCompassName } from './hazards.js';
+import { LEVELS, LevelSession, getNextLevel } from './levels.js';
+import { JengaSession, generateJengaTower, JENGA_SOLVER } from './jenga.js';
+import { HotseatSession, PLAYER_COLORS, MIN_PLAYERS, MAX_PLAYERS } from './hotseat.js';
+import { NetworkSession, getDefaultServerUrl, isOutOfSync } from './network.js';
+import { exportModel, MODEL_FORMATS, DEFAULT_PRINT_HEIGHT } from './modelExport.js';
+import { NET_MODES, SYNC_INTERVAL } from './netProtocol.js';
+import { createWindSock, updateWindSock } from './windsock.js';
+import { SNAP_MODES, snapToObjects } from './snapping.js';
+import { createSnapGuides, updateSnapGuides } from './snapGuides.js';
+import { KEY_ACTIONS, DEFAULT_KEY_BINDINGS, parseKeyBindings, setKeyBinding, describeKey } from './keyBindings.js';
+import { createBenchmarkTower, readBenchmarkCount, FrameStats, BENCHMARK_BLOCKS, BENCHMARK_SECONDS } from './benchmark.js';
+import { encodeTower, decodeTower, readShareCode, buildShareUrl } from './share.js';
+import { serializeTower, listSlots, saveSlot, loadSlot, deleteSlot, exportTowerFile, importTowerFile, downloadFile, loadProgress, saveProgress, loadCustomBlocks, saveCustomBlocks, loadKeyBindings, saveKeyBindings, loadHotseatPlayers, saveHotseatPlayers, loadOnlineSettings, saveOnlineSettings } from './storage.js';
 
 class Game {
   constructor() {
@@ -9,7 +32,10 @@ class Game {
     this.camera = null;
     this.renderer = null;
     this.physics = null;
+    this.physicsWorker = null;
+    this.blockRenderer = null;
     this.controls = null;
+    this.gamepad = null;
 
     // Game state
     this.selectedBlockType = null;
@@ -18,16 +44,115 @@ class Game {
     this.isPlacingMode = false;
     this.currentPlacementValid = false;
     this.lastPlacementInfo = null;
+    this.history = new History();
+
+    // Edit tool: the placed block picked to move or delete and its outline,
+    // and the snapshot from before the block being moved was lifted
+    this.editMode = false;
+    this.pickedBlock = null;
+    this.blockHighlight = null;
+    this.movingBlock = null;
+
+    // Weld tool: the first block picked is welded to the next, and stays
+    // picked (outlined) in between
+    this.weldMode = false;
+    this.weldRenderer = null;
+
+    // Best height so far, which unlocks catalog blocks
+    this.progress = loadProgress();
+
+    // Orientation of the block being placed (kept between placements)
+    this.placementOrientation = { yaw: 0, tip: false };
+    this.ghostTargetQuaternion = new THREE.Quaternion();
+
+    // Session recording and playback
+    this.recorder = new ReplayRecorder();
+    this.replayLog = null;
+    this.player = null;
+    this.replayBefore = null;
+
+    // Game mode (a GAME_MODES key) and the running challenge
+    this.mode = 'sandbox';
+    this.challenge = null;
+
+    // The sandbox tower and its history while another mode is played
+    this.sandboxStash = null;
+
+    // Random wind and earthquakes in sandbox mode
+    this.hazardsEnabled = false;
+
+    // The level being played in levels mode, and its no-build zones
+    this.level = null;
+    this.zoneMeshes = [];
+
+    // The game of Jenga being played, and the plank being dragged:
+    // { point (on the plank, in its own frame), origin, axis }
+    this.jenga = null;
+    this.plankDrag = null;
+
+    // The hotseat game being played, and the names and colors to start the
+    // next one with
+    this.hotseat = null;
+    this.hotseatPlayers = loadHotseatPlayers() || [
+      { name: '', color: PLAYER_COLORS[0] },
+      { name: '', color: PLAYER_COLORS[1] }
+    ];
+
+    // Connection to a multiplayer room, its blocks by the server's block id,
+    // and seconds since the host last synced them
+    this.network = null;
+    this.netBlocks = new Map();
+    this.syncTime = 0;
 
     // UI elements
     this.heightValueEl = null;
     this.instructionsEl = null;
     this.cancelBtn = null;
+    this.undoBtn = null;
+    this.redoBtn = null;
+    this.savePanelEl = null;
+    this.replayEls = null;
+    this.livesEl = null;
+    this.modeBtn = null;
+    this.hazardBtn = null;
+    this.cameraBtn = null;
+    this.snapBtn = null;
+    this.editBtn = null;
+    this.weldBtn = null;
+    this.blockMenuEl = null;
+    this.gameOverEl = null;
+    this.levelHudEl = null;
+    this.jengaHudEl = null;
+    this.scoreboardEl = null;
+    this.hotseatPanelEl = null;
+    this.onlinePanelEl = null;
+    this.levelPanelEl = null;
+    this.levelCompleteEl = null;
+    this.keysPanelEl = null;
+    this.benchmarkPanelEl = null;
+    this.toastEl = null;
+    this.toastTimer = null;
+    this.slotListEl = null;
+    this.saveStatusEl = null;
+
+    // Ground, grid and wind sock move together when an earthquake hits
+    this.groundGroup = null;
+    this.windSock = null;
+
+    // Lines showing what object snapping lined the ghost up with
+    this.snapGuides = null;
 
     // Performance
     this.clock = new THREE.Clock();
     this.lastTime = 0;
 
+    // Frame timings while a #benchmark run is going
+    this.benchmark = null;
+
+    // Live GPU resource counts (#debug, or the debug key)
+    this.debugInfoEl = null;
+    this.debugInfoTimer = 0;
+
     this.init();
   }
 
@@ -40,11 +165,15 @@ class Game {
     this.setupUI();
     this.createGround();
 
+    // Rebuild a shared tower if the page was opened from a link
+    this.loadFromShareLink();
+
     // Start game loop
     this.animate();
 
     // Handle resize
     window.addEventListener('resize', this.onResize.bind(this));
+    window.addEventListener('hashchange', this.loadFromShareLink.bind(this));
   }
 
   setupRenderer() {
@@ -65,6 +194,8 @@ class Game {
 
   setupScene() {
     this.scene = new THREE.Scene();
+    this.blockRenderer = new BlockRenderer(this.scene);
+    this.weldRenderer = new WeldRenderer(this.scene);
 
     // Pastel sky gradient (set via CSS, keep scene transparent)
     this.scene.background = null;
@@ -107,74 +238,1920 @@ class Game {
   }
 
   setupPhysics() {
-    this.physics = new PhysicsWorld();
+    // Live play steps physics in a worker where there is one; recordings and
+    // replays need every edit on an exact tick, so they step here
+    this.physicsWorker = createPhysicsWorker();
+    if (this.physicsWorker) {
+      this.physicsWorker.onFallback = () => this.showToast('Physics running on the main thread');
+    }
+
+    this.physics = this.createPhysics();
+  }
+
+  // Every physics world the game runs reports its collapses and hazards here
+  createPhysics(options = {}) {
+    const physics = new PhysicsWorld(options);
+    physics.onCollapse = (event) => this.onCollapse(event);
+    physics.hazards.onHazard = (hazard) => this.onHazard(hazard);
+    physics.onWeldBreak = (event) => this.onWeldBreak(event);
+    this.updateHazardSchedule(physics);
+    this.updatePhysicsWorker(physics);
+    return physics;
+  }
+
+  // Hand a live world to the physics worker, or take a deterministic one back
+  updatePhysicsWorker(physics = this.physics) {
+    if (!this.physicsWorker) return;
+
+    if (physics.deterministic) {
+      this.physicsWorker.detach();
+    } else {
+      this.physicsWorker.attach(physics);
+    }
   }
 
   setupControls() {
     const canvas = document.getElementById('game-canvas');
     this.controls = new GameControls(this.camera, canvas, this.scene);
 
-    // Set up block placement callback
-    this.controls.onPlaceBlock = (placementInfo) => {
-      if (this.selectedBlockType && this.currentPlacementValid) {
-        this.confirmPlacement(placementInfo);
+    // Set up block placement callback
+    this.controls.onPlaceBlock = (placementInfo) => {
+      if (this.selectedBlockType && this.currentPlacementValid) {
+        this.confirmPlacement(placementInfo);
+      }
+    };
+
+    // Undo/redo shortcuts
+    this.controls.onUndo = () => this.undo();
+    this.controls.onRedo = () => this.redo();
+
+    // Rotating the block being placed
+    this.controls.onRotateBlock = (direction) => this.rotatePlacement(direction);
+    this.controls.onTipBlock = () => this.tipPlacement();
+
+    // Keyboard building, with the player's own key bindings
+    this.controls.onSelectBlock = (index) => this.selectPaletteBlock(index);
+    this.controls.onCancel = () => {
+      // A Jenga plank has to go somewhere
+      if (this.jenga && this.jenga.phase === 'place') return;
+
+      this.cancelPlacement();
+      this.setPickedBlock(null);
+    };
+    this.controls.setKeyBindings(parseKeyBindings(loadKeyBindings()));
+
+    // Camera mode button shows the mode in use
+    this.cameraBtn = document.getElementById('camera-btn');
+    if (this.cameraBtn) {
+      this.bindButton(this.cameraBtn, () => this.controls.cycleCameraMode());
+    }
+    this.controls.onCameraModeChange = () => this.updateCameraButton();
+    this.updateCameraButton();
+
+    // Snapping mode button
+    this.snapBtn = document.getElementById('snap-btn');
+    if (this.snapBtn) {
+      this.bindButton(this.snapBtn, () => this.controls.cycleSnapMode());
+    }
+    this.controls.onSnapModeChange = () => this.updateSnapButton();
+    this.updateSnapButton();
+
+    this.controls.onToggleDebug = () => this.toggleDebugInfo();
+
+    // Dragging Jenga planks
+    this.controls.onGrabBlock = (hit) => this.grabPlank(hit);
+    this.controls.onDragBlock = (ray) => this.dragPlank(ray);
+    this.controls.onReleaseBlock = () => this.releasePlank();
+
+    this.snapGuides = createSnapGuides();
+    this.scene.add(this.snapGuides);
+
+    // Gamepads drive the same controls; they can come and go at any time
+    this.gamepad = new GamepadInput(this.controls);
+    this.gamepad.onCycleBlock = (direction) => this.cyclePaletteBlock(direction);
+    this.gamepad.onConnect = () => this.showToast('🎮 Controller connected');
+    this.gamepad.onDisconnect = () => this.showToast('🎮 Controller disconnected');
+  }
+
+  setupUI() {
+    this.toastEl = document.getElementById('toast');
+    this.heightValueEl = document.getElementById('height-value');
+    this.instructionsEl = document.getElementById('instructions');
+    this.cancelBtn = document.getElementById('cancel-btn');
+    this.undoBtn = document.getElementById('undo-btn');
+    this.redoBtn = document.getElementById('redo-btn');
+
+    // Block palette, built from the catalog plus any custom blocks
+    this.loadCustomBlockTypes();
+    this.buildPalette();
+
+    // Reset button
+    this.bindButton(document.getElementById('reset-btn'), () => this.reset());
+
+    // Undo/redo buttons
+    if (this.undoBtn) {
+      this.bindButton(this.undoBtn, () => this.undo());
+    }
+    if (this.redoBtn) {
+      this.bindButton(this.redoBtn, () => this.redo());
+    }
+    this.history.onChange = () => this.updateHistoryButtons();
+    this.updateHistoryButtons();
+
+    // Cancel button
+    if (this.cancelBtn) {
+      this.bindButton(this.cancelBtn, () => this.cancelPlacement());
+    }
+
+    this.setupSavePanel();
+    this.setupReplayBar();
+    this.setupModeUI();
+    this.setupLevelUI();
+    this.setupHotseatUI();
+    this.setupOnlineUI();
+    this.setupKeysPanel();
+    this.setupBenchmarkPanel();
+    this.setupEditUI();
+
+    this.debugInfoEl = document.getElementById('debug-info');
+    if (new URLSearchParams(window.location.hash.replace(/^#/, '')).has('debug')) {
+      this.toggleDebugInfo();
+    }
+
+    // Close instructions
+    const closeInstructionsBtn = document.getElementById('close-instructions');
+    this.bindButton(closeInstructionsBtn, () => {
+      this.instructionsEl.classList.add('hidden');
+    });
+  }
+
+  setupSavePanel() {
+    this.savePanelEl = document.getElementById('save-panel');
+    this.slotListEl = document.getElementById('slot-list');
+    this.saveStatusEl = document.getElementById('save-status');
+    if (!this.savePanelEl) return;
+
+    const slotNameInput = document.getElementById('slot-name');
+    const importFileInput = document.getElementById('import-file');
+
+    this.bindButton(document.getElementById('save-btn'), () => this.openSavePanel());
+    this.bindButton(document.getElementById('close-save-panel'), () => this.closeSavePanel());
+
+    this.bindButton(document.getElementById('save-slot-btn'), () => {
+      const name = slotNameInput.value.trim();
+      if (!name) {
+        this.setSaveStatus('Enter a name for the tower', true);
+        return;
+      }
+      this.saveToSlot(name);
+    });
+
+    this.bindButton(document.getElementById('export-btn'), () => {
+      exportTowerFile(serializeTower(this.physics), `tower-${Date.now()}.json`);
+      this.setSaveStatus('Tower exported');
+    });
+
+    this.bindButton(document.getElementById('share-btn'), () => this.copyShareLink());
+
+    // 3D model export; the print height only matters for STL
+    const formatSelect = document.getElementById('model-format');
+    const printHeightInput = document.getElementById('print-height');
+    for (const [id, format] of Object.entries(MODEL_FORMATS)) {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = format.name;
+      formatSelect.appendChild(option);
+    }
+    printHeightInput.value = DEFAULT_PRINT_HEIGHT;
+    const updatePrintHeight = () => {
+      document.getElementById('print-height-label').classList.toggle('hidden', formatSelect.value !== 'stl');
+    };
+    formatSelect.addEventListener('change', updatePrintHeight);
+    updatePrintHeight();
+    this.bindButton(document.getElementById('export-model-btn'), () => {
+      this.exportModelFile(formatSelect.value, Number(printHeightInput.value));
+    });
+
+    this.bindButton(document.getElementById('import-btn'), () => importFileInput.click());
+    importFileInput.addEventListener('change', async () => {
+      const file = importFileInput.files[0];
+      importFileInput.value = '';
+      if (!file) return;
+
+      try {
+        const doc = await importTowerFile(file);
+        this.loadTower(doc);
+        this.setSaveStatus(`Imported ${file.name}`);
+      } catch (error) {
+        this.setSaveStatus(error.message, true);
+      }
+    });
+  }
+
+  openSavePanel() {
+    if (this.player) return;
+
+    this.renderSlotList();
+    this.setSaveStatus('');
+    this.savePanelEl.classList.remove('hidden');
+  }
+
+  closeSavePanel() {
+    this.savePanelEl.classList.add('hidden');
+  }
+
+  // Download the tower as it stands as a 3D model
+  async exportModelFile(format, printHeight) {
+    try {
+      const blob = await exportModel(this.physics.getBodies(), format, { printHeight });
+      downloadFile(blob, `tower-${Date.now()}.${MODEL_FORMATS[format].extension}`);
+      this.setSaveStatus(`Exported ${MODEL_FORMATS[format].name}`);
+    } catch (error) {
+      this.setSaveStatus(error.message, true);
+    }
+  }
+
+  setSaveStatus(message, isError = false) {
+    this.saveStatusEl.textContent = message;
+    this.saveStatusEl.classList.toggle('error', isError);
+  }
+
+  renderSlotList() {
+    this.slotListEl.innerHTML = '';
+
+    const slots = listSlots();
+    if (slots.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'empty';
+      empty.textContent = 'No saved towers yet';
+      this.slotListEl.appendChild(empty);
+      return;
+    }
+
+    for (const slot of slots) {
+      const item = document.createElement('li');
+
+      const info = document.createElement('span');
+      info.className = 'slot-info';
+      info.textContent = slot.name;
+      const meta = document.createElement('span');
+      meta.className = 'slot-meta';
+      const date = slot.savedAt ? new Date(slot.savedAt).toLocaleString() : 'unknown date';
+      meta.textContent = `${slot.blockCount} blocks · ${date}`;
+      info.appendChild(meta);
+
+      const loadBtn = document.createElement('button');
+      loadBtn.textContent = 'Load';
+      this.bindButton(loadBtn, () => {
+        try {
+          this.loadTower(loadSlot(slot.name));
+          this.setSaveStatus(`Loaded "${slot.name}"`);
+        } catch (error) {
+          this.setSaveStatus(error.message, true);
+        }
+      });
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.textContent = '🗑️';
+      deleteBtn.title = 'Delete';
+      this.bindButton(deleteBtn, () => {
+        deleteSlot(slot.name);
+        this.renderSlotList();
+      });
+
+      item.append(info, loadBtn, deleteBtn);
+      this.slotListEl.appendChild(item);
+    }
+  }
+
+  saveToSlot(name) {
+    try {
+      saveSlot(name, serializeTower(this.physics));
+      this.setSaveStatus(`Saved "${name}"`);
+      this.renderSlotList();
+    } catch (error) {
+      // localStorage can be full or disabled (private browsing)
+      this.setSaveStatus(`Could not save: ${error.message}`, true);
+    }
+  }
+
+  // Replace the current tower with a loaded save document
+  loadTower(doc) {
+    // Loaded towers are for building on, not for challenges or levels
+    if (this.mode !== 'sandbox') {
+      this.setMode('sandbox');
+    }
+
+    // First, so a block being moved is back in the tower being replaced
+    this.cancelPlacement();
+    const before = this.physics.snapshot();
+
+    this.restoreSnapshot(doc.blocks);
+
+    this.history.record({ action: 'load', before, after: this.physics.snapshot() });
+  }
+
+  setupReplayBar() {
+    const els = {
+      record: document.getElementById('record-btn'),
+      play: document.getElementById('play-btn'),
+      scrub: document.getElementById('replay-scrub'),
+      speed: document.getElementById('replay-speed'),
+      time: document.getElementById('replay-time'),
+      exit: document.getElementById('exit-replay-btn')
+    };
+    if (!els.record) return;
+    this.replayEls = els;
+
+    for (const speed of REPLAY_SPEEDS) {
+      const option = document.createElement('option');
+      option.value = speed;
+      option.textContent = `${speed}x`;
+      option.selected = speed === 1;
+      els.speed.appendChild(option);
+    }
+
+    this.bindButton(els.record, () => this.toggleRecording());
+    this.bindButton(els.play, () => this.togglePlayback());
+    this.bindButton(els.exit, () => this.exitReplay());
+
+    els.scrub.addEventListener('input', () => {
+      if (!this.player) return;
+      this.player.pause();
+      this.player.seek(Number(els.scrub.value));
+    });
+    els.speed.addEventListener('change', () => {
+      if (this.player) {
+        this.player.setSpeed(Number(els.speed.value));
+      }
+    });
+
+    this.updateReplayBar();
+  }
+
+  toggleRecording() {
+    if (this.player || (this.isReplayLocked() && !this.recorder.recording)) return;
+
+    if (this.recorder.recording) {
+      this.replayLog = this.recorder.stop();
+      this.physics.setDeterministic(false);
+      this.updatePhysicsWorker();
+    } else {
+      // Start from a fresh deterministic world, exactly as playback will
+      const snapshot = this.physics.snapshot();
+      this.clearBlocks();
+      this.physics = this.createPhysics({ deterministic: true });
+      this.restoreSnapshot(snapshot);
+
+      this.recorder.start(this.physics);
+    }
+    this.updateReplayBar();
+  }
+
+  // Jenga pulls and block owners aren't recorded, so those games wouldn't
+  // replay
+  isReplayLocked() {
+    return !!(this.jenga || this.hotseat || this.network);
+  }
+
+  togglePlayback() {
+    if (!this.player) {
+      if (!this.replayLog || this.recorder.recording || this.isReplayLocked()) return;
+      this.startReplay();
+    }
+
+    if (this.player.playing) {
+      this.player.pause();
+    } else {
+      this.player.play();
+    }
+    this.updateReplayBar();
+  }
+
+  startReplay() {
+    const log = this.replayLog;
+
+    this.cancelPlacement();
+    this.setEditMode(false);
+    this.setWeldMode(false);
+    this.replayBefore = this.physics.snapshot();
+
+    this.player = new ReplayPlayer(log, {
+      reset: (initial) => {
+        this.clearBlocks();
+        this.physics = this.createPhysics({ deterministic: true, stepsPerTick: log.stepsPerTick });
+        // Hazards come from the log instead
+        this.physics.hazards.setRandom(false);
+        this.restoreSnapshot(initial);
+        return this.physics;
+      },
+      place: (event) => {
+        this.addBlock(event.blockType, event.position, event.quaternion);
+        this.updateBlockMeshesForRaycast();
+      },
+      restore: (event) => this.restoreSnapshot(event.blocks),
+      hazard: (event) => this.physics.hazards.trigger(event.hazard.type, event.hazard)
+    });
+    this.player.setSpeed(Number(this.replayEls.speed.value));
+    this.player.onTick = () => this.updateReplayBar();
+
+    document.getElementById('game-container').classList.add('replay-mode');
+  }
+
+  // Leave playback, keeping the replayed tower as an undoable edit
+  exitReplay() {
+    if (!this.player) return;
+
+    this.player = null;
+    this.physics.setDeterministic(false);
+    this.updatePhysicsWorker();
+    this.history.record({ action: 'load', before: this.replayBefore, after: this.physics.snapshot() });
+    this.replayBefore = null;
+    this.updateHazardSchedule();
+
+    document.getElementById('game-container').classList.remove('replay-mode');
+    this.updateReplayBar();
+  }
+
+  updateReplayBar() {
+    const els = this.replayEls;
+    if (!els) return;
+
+    const recording = this.recorder.recording;
+    const player = this.player;
+
+    els.record.textContent = recording ? '⏹ Stop' : '⏺ Rec';
+    els.record.classList.toggle('recording', recording);
+    els.record.disabled = !!player || this.isReplayLocked();
+    els.play.disabled = recording || !this.replayLog || this.isReplayLocked();
+    els.play.textContent = player && player.playing ? '⏸' : '▶';
+    els.scrub.disabled = !player;
+    els.speed.disabled = !player;
+    els.exit.classList.toggle('hidden', !player);
+
+    if (player) {
+      els.scrub.max = player.duration;
+      els.scrub.value = player.tick;
+      els.time.textContent = `${formatTicks(player.tick)} / ${formatTicks(player.duration)}`;
+    } else if (recording) {
+      els.time.textContent = formatTicks(this.physics.getTick() - this.recorder.startTick);
+    } else {
+      els.time.textContent = this.replayLog ? formatTicks(this.replayLog.duration) : '';
+    }
+  }
+
+  setupModeUI() {
+    this.livesEl = document.getElementById('lives-meter');
+    this.modeBtn = document.getElementById('mode-btn');
+    this.hazardBtn = document.getElementById('hazard-btn');
+    this.gameOverEl = document.getElementById('game-over');
+
+    if (this.modeBtn) {
+      this.bindButton(this.modeBtn, () => {
+        const modes = Object.keys(GAME_MODES);
+        this.setMode(modes[(modes.indexOf(this.mode) + 1) % modes.length]);
+      });
+    }
+    if (this.hazardBtn) {
+      this.bindButton(this.hazardBtn, () => this.toggleHazards());
+    }
+    if (this.gameOverEl) {
+      this.bindButton(document.getElementById('restart-btn'), () => {
+        if (this.jenga) {
+          this.startJenga();
+        } else if (this.hotseat) {
+          this.startHotseat(this.hotseat.players);
+        } else {
+          this.startChallenge();
+        }
+      });
+      this.bindButton(document.getElementById('sandbox-btn'), () => this.setMode('sandbox'));
+    }
+
+    this.updateModeUI();
+  }
+
+  setMode(mode) {
+    if (this.player || !GAME_MODES[mode]) return;
+
+    this.setEditMode(false);
+    this.setWeldMode(false);
+
+    // Other modes build on an empty ground, so the sandbox tower is put away
+    // until the player comes back to it
+    if (this.mode === 'sandbox' && mode !== 'sandbox') {
+      this.stashSandbox();
+    }
+
+    this.mode = mode;
+    this.endLevel();
+    this.endJenga();
+    this.endHotseat();
+    this.endOnline();
+    if (GAME_MODES[mode].lives) {
+      this.startChallenge();
+    } else if (GAME_MODES[mode].jenga) {
+      this.startJenga();
+    } else {
+      this.challenge = null;
+      this.physics.hazards.reset();
+      this.updateHazardSchedule();
+      this.hideGameOver();
+      if (mode === 'sandbox' && this.sandboxStash) {
+        this.restoreSandbox();
+      }
+      this.updateModeUI();
+
+      if (mode === 'levels') {
+        this.openLevelPanel();
+      } else if (GAME_MODES[mode].hotseat) {
+        this.openHotseatPanel();
+      } else if (GAME_MODES[mode].online) {
+        this.openOnlinePanel();
+      }
+    }
+  }
+
+  // Keep the sandbox tower and its undo history aside
+  stashSandbox() {
+    this.cancelPlacement();
+    this.sandboxStash = {
+      blocks: this.physics.snapshot(),
+      history: this.history.save()
+    };
+  }
+
+  restoreSandbox() {
+    const { blocks, history } = this.sandboxStash;
+    this.sandboxStash = null;
+
+    this.cancelPlacement();
+    this.restoreSnapshot(blocks);
+    this.history.restore(history);
+  }
+
+  // Start a challenge run on an empty ground
+  startChallenge() {
+    this.cancelPlacement();
+    this.clearBlocks();
+    this.history.clear();
+    this.updateHeightMeter();
+
+    this.challenge = new ChallengeSession(GAME_MODES[this.mode]);
+    this.physics.hazards.reset();
+    this.updateHazardSchedule();
+    this.hideGameOver();
+    this.updateModeUI();
+  }
+
+  // Random hazards run in storm mode, and in sandbox when switched on
+  updateHazardSchedule(physics = this.physics) {
+    const config = GAME_MODES[this.mode];
+    const enabled = !!config.hazards || (this.mode === 'sandbox' && this.hazardsEnabled);
+    physics.hazards.setRandom(enabled, config.hazards);
+  }
+
+  toggleHazards() {
+    if (this.player) return;
+
+    this.hazardsEnabled = !this.hazardsEnabled;
+    this.updateHazardSchedule();
+    this.updateModeUI();
+    this.showToast(this.hazardsEnabled ? '🌬️ Hazards on' : 'Hazards off');
+  }
+
+  onHazard(hazard) {
+    this.recorder.recordHazard(hazard);
+
+    if (hazard.type === 'wind') {
+      this.showToast(`🌬️ Wind gust from the ${getCompassName(hazard.direction)}!`);
+    } else {
+      this.showToast('🌋 Earthquake!');
+    }
+  }
+
+  // Count down timed challenges; the run ends when the time is up
+  updateChallengeClock(deltaTime) {
+    if (this.player || !this.challenge || this.challenge.timeLeft === null) return;
+
+    const shown = Math.ceil(this.challenge.timeLeft);
+    if (this.challenge.advanceTime(deltaTime)) {
+      this.showGameOver();
+    }
+    if (Math.ceil(this.challenge.timeLeft) !== shown) {
+      this.updateModeUI();
+    }
+  }
+
+  setupLevelUI() {
+    this.levelHudEl = document.getElementById('level-hud');
+    this.jengaHudEl = document.getElementById('jenga-hud');
+    this.levelPanelEl = document.getElementById('level-panel');
+    this.levelCompleteEl = document.getElementById('level-complete');
+    if (!this.levelPanelEl || !this.levelCompleteEl) return;
+
+    this.bindButton(document.getElementById('close-level-panel'), () => this.closeLevelPanel());
+    this.bindButton(document.getElementById('next-level-btn'), () => {
+      const next = this.level && getNextLevel(this.level.level.id);
+      if (next) {
+        this.startLevel(next);
+      }
+    });
+    this.bindButton(document.getElementById('retry-level-btn'), () => this.startLevel(this.level.level));
+    this.bindButton(document.getElementById('level-list-btn'), () => this.openLevelPanel());
+  }
+
+  openLevelPanel() {
+    if (!this.levelPanelEl) return;
+
+    this.cancelPlacement();
+    this.hideLevelComplete();
+    this.renderLevelList();
+    this.levelPanelEl.classList.remove('hidden');
+  }
+
+  // Closing the list without a level to play goes back to sandbox
+  closeLevelPanel() {
+    if (!this.levelPanelEl) return;
+
+    this.levelPanelEl.classList.add('hidden');
+    if (!this.level && this.mode === 'levels') {
+      this.setMode('sandbox');
+    }
+  }
+
+  renderLevelList() {
+    const list = document.getElementById('level-list');
+    list.innerHTML = '';
+
+    for (const level of LEVELS) {
+      const item = document.createElement('li');
+
+      const info = document.createElement('div');
+      info.className = 'level-info';
+      const name = document.createElement('strong');
+      name.textContent = level.name;
+      const description = document.createElement('span');
+      description.textContent = level.description;
+      info.append(name, description);
+
+      const stars = document.createElement('span');
+      stars.className = 'level-stars';
+      stars.textContent = formatStars(this.progress.levels[level.id] || 0);
+
+      const playBtn = document.createElement('button');
+      playBtn.textContent = 'Play';
+      this.bindButton(playBtn, () => this.startLevel(level));
+
+      item.append(info, stars, playBtn);
+      list.appendChild(item);
+    }
+  }
+
+  setupKeysPanel() {
+    this.keysPanelEl = document.getElementById('keys-panel');
+    if (!this.keysPanelEl) return;
+
+    this.bindButton(document.getElementById('keys-btn'), () => {
+      this.renderKeyList();
+      this.keysPanelEl.classList.remove('hidden');
+    });
+    this.bindButton(document.getElementById('close-keys-panel'), () => {
+      this.controls.captureNextKey(null);
+      this.keysPanelEl.classList.add('hidden');
+    });
+    this.bindButton(document.getElementById('reset-keys-btn'), () => {
+      this.setKeyBindings(DEFAULT_KEY_BINDINGS);
+    });
+  }
+
+  setupBenchmarkPanel() {
+    this.benchmarkPanelEl = document.getElementById('benchmark-panel');
+    if (!this.benchmarkPanelEl) return;
+
+    this.bindButton(document.getElementById('rerun-benchmark-btn'), () => {
+      this.startBenchmark(readBenchmarkCount(window.location.hash) || BENCHMARK_BLOCKS);
+    });
+    this.bindButton(document.getElementById('close-benchmark-panel'), () => {
+      this.benchmarkPanelEl.classList.add('hidden');
+    });
+  }
+
+  setupHotseatUI() {
+    this.scoreboardEl = document.getElementById('scoreboard');
+    this.hotseatPanelEl = document.getElementById('hotseat-panel');
+    if (!this.hotseatPanelEl) return;
+
+    this.bindButton(document.getElementById('add-player-btn'), () => {
+      const players = this.hotseatPlayers;
+      if (players.length >= MAX_PLAYERS) return;
+
+      // The first color nobody has yet
+      const color = PLAYER_COLORS.find(c => !players.some(p => p.color.toUpperCase() === c)) || PLAYER_COLORS[0];
+      players.push({ name: '', color });
+      this.renderHotseatPlayers();
+    });
+    this.bindButton(document.getElementById('start-hotseat-btn'), () => this.startHotseat(this.hotseatPlayers));
+    this.bindButton(document.getElementById('close-hotseat-panel'), () => this.closeHotseatPanel());
+  }
+
+  openHotseatPanel() {
+    if (!this.hotseatPanelEl) return;
+
+    this.cancelPlacement();
+    this.renderHotseatPlayers();
+    this.hotseatPanelEl.classList.remove('hidden');
+  }
+
+  // Closing the panel without starting goes back to sandbox
+  closeHotseatPanel() {
+    if (!this.hotseatPanelEl) return;
+
+    this.hotseatPanelEl.classList.add('hidden');
+    if (!this.hotseat && this.mode === 'hotseat') {
+      this.setMode('sandbox');
+    }
+  }
+
+  // One row per player: their color, their name and a button to drop them
+  renderHotseatPlayers() {
+    const list = document.getElementById('hotseat-players');
+    list.innerHTML = '';
+    const players = this.hotseatPlayers;
+
+    players.forEach((player, i) => {
+      const item = document.createElement('li');
+
+      const color = document.createElement('input');
+      color.type = 'color';
+      color.value = player.color;
+      color.title = 'Color';
+      color.addEventListener('input', () => { player.color = color.value; });
+
+      const name = document.createElement('input');
+      name.type = 'text';
+      name.value = player.name;
+      name.placeholder = `Player ${i + 1}`;
+      name.maxLength = 20;
+      name.addEventListener('input', () => { player.name = name.value; });
+
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = '✕';
+      removeBtn.title = 'Remove player';
+      removeBtn.disabled = players.length <= MIN_PLAYERS;
+      this.bindButton(removeBtn, () => {
+        players.splice(i, 1);
+        this.renderHotseatPlayers();
+      });
+
+      item.append(color, name, removeBtn);
+      list.appendChild(item);
+    });
+
+    document.getElementById('add-player-btn').disabled = players.length >= MAX_PLAYERS;
+  }
+
+  // Start a hotseat game on an empty ground
+  startHotseat(players) {
+    if (this.player) return;
+
+    let session;
+    try {
+      session = new HotseatSession(players);
+    } catch (error) {
+      this.showToast(error.message);
+      return;
+    }
+
+    if (this.recorder.recording) {
+      this.toggleRecording();
+    }
+    this.mode = 'hotseat';
+    this.challenge = null;
+    this.cancelPlacement();
+    this.clearBlocks();
+    this.history.clear();
+    this.physics.hazards.reset();
+    this.updateHazardSchedule();
+
+    this.hotseat = session;
+    this.hotseatPlayers = session.players.map(({ name, color }) => ({ name, color }));
+    saveHotseatPlayers(this.hotseatPlayers);
+
+    if (this.hotseatPanelEl) {
+      this.hotseatPanelEl.classList.add('hidden');
+    }
+    this.updateHeightMeter();
+    this.hideGameOver();
+    this.updateModeUI();
+    this.showToast(`${session.getPlayer().name} goes first`);
+  }
+
+  // Leave hotseat; the tower stays, without its owners' colors
+  endHotseat() {
+    if (!this.hotseat) return;
+
+    this.hotseat = null;
+    for (const block of this.blocks) {
+      this.blockRenderer.setOutline(block, null);
+    }
+    this.hideGameOver();
+    this.updateModeUI();
+  }
+
+  // Pass the turn on once the tower settles after a placement
+  updateHotseat(deltaTime) {
+    const hotseat = this.hotseat;
+    if (this.player || !hotseat) return;
+    if (!hotseat.update(deltaTime, this.physics.isAtRest(), this.physics.getMaxHeight())) return;
+
+    this.updateModeUI();
+    if (hotseat.isOver()) {
+      this.showHotseatOver();
+    } else {
+      this.showToast(`${hotseat.getPlayer().name}'s turn`);
+    }
+  }
+
+  showHotseatOver() {
+    this.cancelPlacement();
+    if (!this.gameOverEl) return;
+
+    const winner = this.hotseat.getWinner();
+    document.getElementById('game-over-title').textContent = `🏆 ${winner.name} wins!`;
+    document.getElementById('game-over-label').textContent = 'Height added';
+    document.getElementById('game-over-height').textContent = `${Math.round(winner.score)} m`;
+    this.gameOverEl.classList.remove('hidden');
+  }
+
+  // Hotseat players in turn order with their scores
+  renderHotseatScoreboard() {
+    const hotseat = this.hotseat;
+    this.renderScoreboard(hotseat.players.map((player, i) => ({
+      name: player.name,
+      color: player.color,
+      score: `${Math.round(player.score)} m`,
+      current: i === hotseat.current && !hotseat.isOver(),
+      eliminated: player.eliminated
+    })));
+  }
+
+  // One row per player ({ name, color, score, current, eliminated }): the
+  // one whose turn it is is marked, and knocked out players are crossed out
+  renderScoreboard(rows) {
+    this.scoreboardEl.innerHTML = '';
+
+    for (const row of rows) {
+      const item = document.createElement('li');
+      item.classList.toggle('current', row.current);
+      item.classList.toggle('eliminated', !!row.eliminated);
+
+      const swatch = document.createElement('span');
+      swatch.className = 'swatch';
+      swatch.style.background = row.color;
+      const name = document.createElement('span');
+      name.className = 'name';
+      name.textContent = row.name;
+      const score = document.createElement('span');
+      score.textContent = row.score;
+
+      item.append(swatch, name, score);
+      this.scoreboardEl.appendChild(item);
+    }
+  }
+
+  setupOnlineUI() {
+    this.onlinePanelEl = document.getElementById('online-panel');
+    if (!this.onlinePanelEl) return;
+
+    const modeSelect = document.getElementById('online-mode');
+    for (const [id, mode] of Object.entries(NET_MODES)) {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = mode.name;
+      modeSelect.appendChild(option);
+    }
+
+    const settings = loadOnlineSettings() || {};
+    document.getElementById('online-url').value = settings.url || getDefaultServerUrl();
+    document.getElementById('online-room').value = settings.room || '';
+    document.getElementById('online-name').value = settings.name || '';
+    document.getElementById('online-color').value = settings.color || PLAYER_COLORS[0];
+    modeSelect.value = NET_MODES[settings.mode] ? settings.mode : 'coop';
+
+    this.bindButton(document.getElementById('connect-btn'), () => this.connectOnline());
+    this.bindButton(document.getElementById('close-online-panel'), () => this.closeOnlinePanel());
+  }
+
+  openOnlinePanel() {
+    if (!this.onlinePanelEl) return;
+
+    this.cancelPlacement();
+    this.setOnlineStatus('');
+    this.onlinePanelEl.classList.remove('hidden');
+  }
+
+  // Closing the panel without joining goes back to sandbox
+  closeOnlinePanel() {
+    if (!this.onlinePanelEl) return;
+
+    this.onlinePanelEl.classList.add('hidden');
+    if (this.network && !this.network.connected) {
+      this.endOnline();
+    }
+    if (!this.network && this.mode === 'online') {
+      this.setMode('sandbox');
+    }
+  }
+
+  setOnlineStatus(message, isError = false) {
+    const status = document.getElementById('online-status');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  }
+
+  // Join the room in the online panel
+  connectOnline() {
+    if (this.network) return;
+
+    const settings = {
+      url: document.getElementById('online-url').value.trim(),
+      room: document.getElementById('online-room').value.trim(),
+      name: document.getElementById('online-name').value.trim(),
+      color: document.getElementById('online-color').value,
+      mode: document.getElementById('online-mode').value
+    };
+    saveOnlineSettings(settings);
+
+    let network;
+    try {
+      network = new NetworkSession(settings.url, {
+        room: settings.room,
+        name: settings.name,
+        color: settings.color,
+        mode: settings.mode
+      });
+    } catch (error) {
+      this.setOnlineStatus(error.message, true);
+      return;
+    }
+
+    network.onWelcome = (room) => this.startOnline(room);
+    network.onPlaced = (block) => this.addNetBlock(block);
+    network.onSync = (states) => this.reconcileBlocks(states);
+    network.onCleared = () => {
+      this.clearNetBlocks();
+      this.showToast('The tower was cleared');
+    };
+    network.onPlayers = () => this.updateModeUI();
+    network.onError = (message) => {
+      // Refused before getting in, say a full room
+      if (!network.connected) {
+        this.endOnline();
+        this.setOnlineStatus(message, true);
+        return;
+      }
+      this.showToast(message);
+    };
+    network.onClose = (reason) => {
+      this.endOnline();
+      if (!this.onlinePanelEl.classList.contains('hidden')) {
+        this.setOnlineStatus(reason, true);
+        return;
+      }
+      this.showToast(reason);
+      if (this.mode === 'online') {
+        this.setMode('sandbox');
+      }
+    };
+
+    this.network = network;
+    this.setOnlineStatus('Connecting…');
+  }
+
+  // Build the room's tower as the server has it
+  startOnline(room) {
+    if (this.recorder.recording) {
+      this.toggleRecording();
+    }
+    this.cancelPlacement();
+    this.clearNetBlocks();
+    this.history.clear();
+    this.physics.hazards.reset();
+    this.updateHazardSchedule();
+
+    for (const block of room.blocks) {
+      this.addNetBlock(block);
+    }
+
+    this.syncTime = 0;
+    this.onlinePanelEl.classList.add('hidden');
+    this.updateModeUI();
+    this.showToast(`Joined ${room.name} (${NET_MODES[room.mode].name})`);
+  }
+
+  // Leave the room; the tower stays, without its owners' colors
+  endOnline() {
+    const network = this.network;
+    if (!network) return;
+
+    this.network = null;
+    network.close();
+    for (const block of this.blocks) {
+      this.blockRenderer.setOutline(block, null);
+    }
+    this.netBlocks.clear();
+    this.updateModeUI();
+  }
+
+  clearNetBlocks() {
+    this.clearBlocks();
+    this.netBlocks.clear();
+    this.updateHeightMeter();
+  }
+
+  // Add a block the server placed, outlined in its owner's color
+  addNetBlock(netBlock) {
+    const block = this.addBlock(netBlock.type, netBlock.position, netBlock.quaternion);
+    if (!block) {
+      console.warn(`Skipping block ${netBlock.id}: unknown block type "${netBlock.type}"`);
+      return;
+    }
+
+    block.owner = netBlock.owner;
+    this.netBlocks.set(netBlock.id, block);
+    this.blockRenderer.setOutline(block, this.network.colors.get(netBlock.owner) || null);
+    this.updateBlockMeshesForRaycast();
+  }
+
+  // Put blocks that have drifted from where the host has them back in line
+  reconcileBlocks(states) {
+    for (const state of states) {
+      const block = this.netBlocks.get(state.id);
+      if (!block) continue;
+
+      if (isOutOfSync(block.body, state)) {
+        this.physics.applyBodyState(block.body, state);
+      }
+    }
+  }
+
+  // The host sends its transforms every SYNC_INTERVAL
+  updateOnline(deltaTime) {
+    const network = this.network;
+    if (!network || !network.connected || !network.isHost) return;
+
+    this.syncTime += deltaTime;
+    if (this.syncTime < SYNC_INTERVAL) return;
+    this.syncTime = 0;
+
+    const states = [];
+    for (const [id, block] of this.netBlocks) {
+      states.push({ ...this.physics.getBodyState(block.body), id });
+    }
+    if (states.length > 0) {
+      network.sync(states);
+    }
+  }
+
+  // Players in the room, with how many blocks each has placed
+  renderOnlineScoreboard() {
+    const network = this.network;
+    const counts = new Map();
+    for (const block of this.netBlocks.values()) {
+      counts.set(block.owner, (counts.get(block.owner) || 0) + 1);
+    }
+
+    this.renderScoreboard(network.players.map(player => ({
+      name: `${player.id === network.host ? '👑 ' : ''}${player.name}${player.id === network.you ? ' (you)' : ''}`,
+      color: player.color,
+      score: `${counts.get(player.id) || 0} 🧱`,
+      current: network.turn === player.id
+    })));
+  }
+
+  setupEditUI() {
+    this.editBtn = document.getElementById('edit-btn');
+    this.weldBtn = document.getElementById('weld-btn');
+    this.blockMenuEl = document.getElementById('block-menu');
+
+    if (this.editBtn) {
+      this.bindButton(this.editBtn, () => this.setEditMode(!this.editMode));
+    }
+    if (this.weldBtn) {
+      this.bindButton(this.weldBtn, () => this.setWeldMode(!this.weldMode));
+    }
+    if (this.blockMenuEl) {
+      this.bindButton(document.getElementById('move-block-btn'), () => this.liftBlock(this.pickedBlock));
+      this.bindButton(document.getElementById('delete-block-btn'), () => this.deleteBlock(this.pickedBlock));
+    }
+
+    this.controls.onToggleEdit = () => this.setEditMode(!this.editMode);
+    this.controls.onMoveBlock = () => this.liftBlock(this.pickedBlock);
+    this.controls.onDeleteBlock = () => this.deleteBlock(this.pickedBlock);
+    this.controls.onToggleWeld = () => this.setWeldMode(!this.weldMode);
+
+    // Clicks and taps pick blocks with the edit and weld tools (but place
+    // the block the edit tool lifted); anywhere else they close the block
+    // menu
+    this.controls.onPickBlock = (mesh, point) => {
+      if (this.selectedBlockType) return false;
+
+      if (this.weldMode) {
+        this.pickWeldBlock(this.findBlock(mesh));
+        return true;
+      }
+      if (this.editMode) {
+        this.setPickedBlock(this.findBlock(mesh), point);
+        return true;
+      }
+      if (this.pickedBlock) {
+        this.setPickedBlock(null);
+        return true;
+      }
+      return false;
+    };
+
+    // Long press and right click work without the edit tool
+    this.controls.onBlockMenu = (mesh, point) => {
+      if (this.selectedBlockType || !this.canEditBlocks()) return;
+      this.setPickedBlock(this.findBlock(mesh), point);
+    };
+  }
+
+  setKeyBindings(bindings) {
+    this.controls.setKeyBindings(bindings);
+    saveKeyBindings(this.controls.keyBindings);
+    this.renderKeyList();
+  }
+
+  // One row per action; clicking its key waits for a new one
+  renderKeyList() {
+    const list = document.getElementById('key-list');
+    list.innerHTML = '';
+
+    for (const [action, label] of Object.entries(KEY_ACTIONS)) {
+      const item = document.createElement('li');
+
+      const name = document.createElement('span');
+      name.textContent = label;
+
+      const keys = this.controls.keyBindings[action];
+      const keyBtn = document.createElement('button');
+      keyBtn.textContent = keys.length > 0 ? keys.map(describeKey).join(' / ') : '—';
+      this.bindButton(keyBtn, () => {
+        keyBtn.textContent = 'Press a key…';
+        keyBtn.classList.add('waiting');
+        this.controls.captureNextKey((key) => {
+          this.setKeyBindings(setKeyBinding(this.controls.keyBindings, action, key));
+        });
+      });
+
+      item.append(name, keyBtn);
+      list.appendChild(item);
+    }
+  }
+
+  // Start a level from scratch: its blocks, its zones and a full inventory
+  startLevel(level) {
+    if (this.player) return;
+
+    this.mode = 'levels';
+    this.challenge = null;
+    this.cancelPlacement();
+    this.clearBlocks();
+    this.history.clear();
+    this.physics.hazards.reset();
+    this.updateHazardSchedule();
+
+    this.level = new LevelSession(level);
+    for (const block of level.blocks) {
+      this.dropBlock(block.blockType, block.x, block.z, block.orientation);
+    }
+    this.showForbiddenZones(level.forbiddenZones);
+
+    this.syncBlockMeshes();
+    this.updateBlockMeshesForRaycast();
+    this.updateHeightMeter();
+
+    this.levelPanelEl.classList.add('hidden');
+    this.hideLevelComplete();
+    this.hideGameOver();
+    this.updatePalette();
+    this.updateModeUI();
+  }
+
+  // Leave the current level, if any
+  endLevel() {
+    if (!this.level) return;
+
+    this.level = null;
+    this.showForbiddenZones([]);
+    this.hideLevelComplete();
+    this.updatePalette();
+    this.updateModeUI();
+  }
+
+  // Start a game of Jenga on a new tower
+  startJenga() {
+    if (this.player) return;
+
+    if (this.recorder.recording) {
+      this.toggleRecording();
+    }
+    this.releasePlank();
+    this.cancelPlacement();
+    this.clearBlocks();
+    this.history.clear();
+    this.challenge = null;
+
+    // A tower of planks needs a stiffer solver to stand still
+    this.physics = this.createPhysics({ solver: JENGA_SOLVER });
+
+    const settings = GAME_MODES[this.mode].jenga;
+    const seed = Math.floor(Math.random() * 0x100000000);
+    for (const plank of generateJengaTower({ ...settings, seed })) {
+      const q = getOrientationQuaternion(plank.orientation);
+      this.addBlock(plank.blockType, plank.position, { x: q.x, y: q.y, z: q.z, w: q.w });
+    }
+    this.physics.settle();
+
+    this.jenga = new JengaSession(settings);
+    this.jenga.startTurn(this.physics.bodies);
+
+    this.syncBlockMeshes();
+    this.updateBlockMeshesForRaycast();
+    this.updateHeightMeter();
+    this.hideGameOver();
+    this.updateModeUI();
+  }
+
+  // Leave Jenga: the tower goes, and the usual physics comes back
+  endJenga() {
+    if (!this.jenga) return;
+
+    this.jenga = null;
+    this.releasePlank();
+    this.cancelPlacement();
+    this.clearBlocks();
+    this.history.clear();
+    this.physics = this.createPhysics();
+
+    this.updateHeightMeter();
+    this.hideGameOver();
+    this.updateModeUI();
+  }
+
+  // Take hold of a plank where the pointer hit it. Returns false to leave
+  // the pointer to the camera.
+  grabPlank(hit) {
+    const jenga = this.jenga;
+    if (this.player || !jenga || jenga.phase !== 'pull') return false;
+
+    const block = this.findBlock(hit.object);
+    if (!block) return false;
+
+    const problem = jenga.checkPull(block.body, this.physics.getMaxHeight());
+    if (problem) {
+      this.showToast(problem);
+      return false;
+    }
+
+    jenga.pull(block.body);
+    this.plankDrag = {
+      point: block.mesh.worldToLocal(hit.point.clone()),
+      origin: hit.point.clone(),
+      axis: new THREE.Vector3(1, 0, 0).applyQuaternion(block.mesh.quaternion)
+    };
+    this.physics.setTug({ body: block.body, point: this.plankDrag.point, target: hit.point });
+    return true;
+  }
+
+  // Pull or push the plank along its length to follow the pointer
+  dragPlank(ray) {
+    const drag = this.plankDrag;
+    if (!drag) return;
+
+    // Where the pointer's ray meets the plane through the plank's length
+    // that faces the camera most
+    const normal = ray.direction.clone().projectOnPlane(drag.axis);
+    if (normal.lengthSq() < 1e-6) return;
+    const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal.normalize(), drag.origin);
+    const point = ray.intersectPlane(plane, new THREE.Vector3());
+    if (!point) return;
+
+    const distance = point.sub(drag.origin).dot(drag.axis);
+    const target = drag.origin.clone().addScaledVector(drag.axis, distance);
+    this.physics.setTug({ body: this.jenga.target, point: drag.point, target });
+  }
+
+  releasePlank() {
+    if (!this.plankDrag) return;
+
+    this.plankDrag = null;
+    this.physics.setTug(null);
+  }
+
+  updateJenga(deltaTime) {
+    const jenga = this.jenga;
+    if (this.player || !jenga || jenga.isOver()) return;
+
+    // A plank pulled clear of the tower comes out into the player's hand
+    if (jenga.phase === 'pull' && jenga.target) {
+      const bounds = this.physics.blockIndex.getBounds(jenga.target);
+      if (bounds && jenga.isClear(bounds)) {
+        this.extractPlank();
+      }
+    }
+
+    if (jenga.checkKnocked(this.physics.bodies)) {
+      this.showJengaOver();
+      return;
+    }
+
+    if (jenga.update(deltaTime)) {
+      jenga.startTurn(this.physics.bodies);
+      this.showToast(`🪵 ${jenga.getPlayerName()}'s turn`);
+      this.updateModeUI();
+    }
+  }
+
+  extractPlank() {
+    const block = this.blocks.find(b => b.body === this.jenga.target);
+
+    this.releasePlank();
+    this.jenga.extract();
+    if (block) {
+      this.pickUpBlock(block);
+    }
+    this.updateModeUI();
+  }
+
+  showJengaOver() {
+    this.releasePlank();
+    this.cancelPlacement();
+    this.updateModeUI();
+    if (!this.gameOverEl) return;
+
+    const jenga = this.jenga;
+    document.getElementById('game-over-title').textContent = jenga.reason === 'collapse' ? '💥 Tower Down!' : '🪵 Plank Knocked!';
+    document.getElementById('game-over-label').textContent = `${jenga.getPlayerName(jenga.loser)} loses on turn`;
+    document.getElementById('game-over-height').textContent = `${jenga.turn}`;
+    this.gameOverEl.classList.remove('hidden');
+  }
+
+  // Place a block on whatever is below x/z and let it settle
+  dropBlock(blockType, x, z, orientation = {}) {
+    const halfExtents = getOrientedHalfExtents(blockType, orientation);
+    if (!halfExtents) return null;
+
+    const surfaceY = this.physics.getTopYAt(x, z, halfExtents);
+    const q = getOrientationQuaternion(orientation);
+    const block = this.addBlock(blockType, { x, y: surfaceY + halfExtents.y, z }, { x: q.x, y: q.y, z: q.z, w: q.w });
+    this.physics.settle();
+    return block;
+  }
+
+  // Red patches on the ground where nothing may stand
+  showForbiddenZones(zones) {
+    for (const mesh of this.zoneMeshes) {
+      this.groundGroup.remove(mesh);
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+    }
+
+    this.zoneMeshes = zones.map(zone => {
+      const mesh = new THREE.Mesh(
+        new THREE.PlaneGeometry(zone.width, zone.depth),
+        new THREE.MeshBasicMaterial({ color: 0xFF4444, transparent: true, opacity: 0.35, depthWrite: false })
+      );
+      mesh.rotation.x = -Math.PI / 2;
+      mesh.position.set(zone.x + zone.width / 2, 0.15, zone.z + zone.depth / 2);
+      this.groundGroup.add(mesh);
+      return mesh;
+    });
+  }
+
+  // Run the level clock and check for the target height
+  updateLevel(deltaTime) {
+    if (this.player || !this.level || this.level.isOver()) return;
+
+    const shown = Math.ceil(this.level.timeLeft);
+    const outcome = this.level.update(deltaTime, this.physics.getMaxHeight());
+    if (outcome) {
+      this.showLevelResult();
+    } else if (Math.ceil(this.level.timeLeft) !== shown) {
+      this.updateModeUI();
+    }
+  }
+
+  showLevelResult() {
+    const session = this.level;
+    const complete = session.outcome === 'complete';
+    const stars = session.getStars();
+
+    if (stars > (this.progress.levels[session.level.id] || 0)) {
+      this.progress.levels[session.level.id] = stars;
+      saveProgress(this.progress);
+    }
+
+    this.cancelPlacement();
+    this.updateModeUI();
+    if (!this.levelCompleteEl) return;
+
+    document.getElementById('level-complete-title').textContent = complete ? '🎉 Level Complete!' : '⏱️ Out of Time';
+    document.getElementById('level-complete-stars').textContent = formatStars(stars);
+    document.getElementById('level-complete-summary').textContent =
+      `${session.blocksUsed} blocks · ${Math.round(session.elapsed)} s`;
+    document.getElementById('next-level-btn').classList.toggle('hidden', !complete || !getNextLevel(session.level.id));
+    this.levelCompleteEl.classList.remove('hidden');
+  }
+
+  hideLevelComplete() {
+    if (this.levelCompleteEl) {
+      this.levelCompleteEl.classList.add('hidden');
+    }
+  }
+
+  onCollapse(event) {
+    this.gamepad.rumble();
+
+    // Replays and sandbox building have nothing to lose
+    if (this.player) return;
+    if (this.jenga) {
+      if (this.jenga.handleCollapse(event)) {
+        this.showJengaOver();
+      }
+      return;
+    }
+    if (this.hotseat) {
+      const player = this.hotseat.handleCollapse();
+      if (player) {
+        this.showToast(`💥 ${player.name} brought the tower down and is out!`);
+        this.updateModeUI();
+      }
+      return;
+    }
+    if (!this.challenge) return;
+
+    if (this.challenge.handleCollapse(event)) {
+      this.updateModeUI();
+
+      if (this.challenge.isOver()) {
+        this.showGameOver();
+      } else {
+        this.showToast('💥 Collapse! Life lost');
+      }
+    }
+  }
+
+  showGameOver() {
+    this.cancelPlacement();
+    this.physics.hazards.setRandom(false);
+    if (!this.gameOverEl) return;
+
+    // Timed runs score what's still standing, the rest their best height
+    const timeUp = this.challenge.isTimeUp();
+    const height = Math.round(timeUp ? this.physics.getMaxHeight() : this.challenge.peakHeight);
+    document.getElementById('game-over-title').textContent = timeUp ? '⏱️ Storm Over!' : '💥 Tower Down!';
+    document.getElementById('game-over-label').textContent = timeUp ? 'Still standing' : 'Peak height';
+    document.getElementById('game-over-height').textContent = `${height} m`;
+    this.gameOverEl.classList.remove('hidden');
+  }
+
+  hideGameOver() {
+    if (this.gameOverEl) {
+      this.gameOverEl.classList.add('hidden');
+    }
+  }
+
+  updateModeUI() {
+    const config = GAME_MODES[this.mode];
+    if (this.modeBtn) {
+      this.modeBtn.textContent = `${config.icon} ${config.name}`;
+    }
+
+    if (this.livesEl) {
+      this.livesEl.classList.toggle('hidden', !this.challenge);
+      if (this.challenge) {
+        let hearts = '';
+        for (let i = 0; i < this.challenge.maxLives; i++) {
+          hearts += i < this.challenge.lives ? '<span>❤️</span>' : '<span class="lost">❤️</span>';
+        }
+        if (this.challenge.timeLeft !== null) {
+          hearts += `<span class="timer">⏱️ ${Math.ceil(this.challenge.timeLeft)}s</span>`;
+        }
+        this.livesEl.innerHTML = hearts;
+      }
+    }
+
+    if (this.levelHudEl) {
+      this.levelHudEl.classList.toggle('hidden', !this.level);
+      if (this.level) {
+        const level = this.level.level;
+        let hud = `🎯 ${level.name} · ${level.targetHeight} m`;
+        if (this.level.timeLeft !== null) {
+          hud += ` · ⏱️ ${Math.ceil(this.level.timeLeft)}s`;
+        }
+        this.levelHudEl.textContent = hud;
+      }
+    }
+
+    if (this.hazardBtn) {
+      this.hazardBtn.classList.toggle('hidden', this.mode !== 'sandbox');
+      this.hazardBtn.classList.toggle('active', this.hazardsEnabled);
+    }
+    if (this.editBtn) {
+      this.editBtn.classList.toggle('hidden', this.mode !== 'sandbox');
+    }
+
+    // The weld tool goes down when there's nothing left to weld with
+    if (this.weldMode && !this.canWeld()) {
+      this.setWeldMode(false);
+    }
+    if (this.weldBtn) {
+      const budget = this.level ? this.level.level.welds : null;
+      this.weldBtn.classList.toggle('hidden', this.mode !== 'sandbox' && !budget);
+      this.weldBtn.textContent = budget ? `🔩 Weld ×${this.level.weldsLeft}` : '🔩 Weld';
+      this.weldBtn.disabled = !this.canWeld();
+    }
+
+    if (this.jengaHudEl) {
+      this.jengaHudEl.classList.toggle('hidden', !this.jenga);
+      if (this.jenga) {
+        this.jengaHudEl.textContent = `🪵 ${this.jenga.getPlayerName()} · Turn ${this.jenga.turn} · ${this.jenga.getHint()}`;
+      }
+    }
+    document.getElementById('game-container').classList.toggle('jenga-mode', !!this.jenga);
+
+    if (this.scoreboardEl) {
+      this.scoreboardEl.classList.toggle('hidden', !this.hotseat && !this.network);
+      if (this.hotseat) {
+        this.renderHotseatScoreboard();
+      } else if (this.network) {
+        this.renderOnlineScoreboard();
+      }
+    }
+
+    this.updateHistoryButtons();
+    this.updateReplayBar();
+  }
+
+  showToast(message) {
+    if (!this.toastEl) return;
+
+    this.toastEl.textContent = message;
+    this.toastEl.classList.add('visible');
+
+    clearTimeout(this.toastTimer);
+    this.toastTimer = setTimeout(() => {
+      this.toastEl.classList.remove('visible');
+    }, 2000);
+  }
+
+  // Encode the tower as placements in stacking order, each where its block
+  // stands now
+  getShareCode() {
+    const placements = this.blocks.map(block => ({
+      blockType: block.body.userData.blockType,
+      x: block.body.position.x,
+      z: block.body.position.z,
+      orientation: getNearestOrientation(block.body.quaternion)
+    }));
+    return encodeTower(placements);
+  }
+
+  copyShareLink() {
+    let url;
+    try {
+      url = buildShareUrl(this.getShareCode());
+    } catch (error) {
+      this.setSaveStatus(error.message, true);
+      return;
+    }
+
+    // Update the address bar without triggering a rebuild
+    window.history.replaceState(null, '', url);
+
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(url).then(
+        () => this.setSaveStatus('Link copied to clipboard'),
+        () => this.setSaveStatus('Link is in the address bar')
+      );
+    } else {
+      this.setSaveStatus('Link is in the address bar');
+    }
+  }
+
+  loadFromShareLink() {
+    const benchmarkCount = readBenchmarkCount(window.location.hash);
+    if (benchmarkCount) {
+      this.startBenchmark(benchmarkCount);
+      return;
+    }
+
+    const code = readShareCode(window.location.hash);
+    if (!code) return;
+
+    this.exitReplay();
+    if (this.mode !== 'sandbox') {
+      this.setMode('sandbox');
+    }
+
+    try {
+      this.replayPlacements(decodeTower(code));
+    } catch (error) {
+      console.error(`Could not load shared tower: ${error.message}`);
+    }
+  }
+
+  toggleDebugInfo() {
+    if (!this.debugInfoEl) return;
+
+    this.debugInfoEl.classList.toggle('hidden');
+    this.debugInfoTimer = 0;
+  }
+
+  // GPU resource counts, so leaks show up as numbers that keep growing
+  updateDebugInfo(deltaTime) {
+    if (!this.debugInfoEl || this.debugInfoEl.classList.contains('hidden')) return;
+
+    this.debugInfoTimer -= deltaTime;
+    if (this.debugInfoTimer > 0) return;
+    this.debugInfoTimer = 0.5;
+
+    const { memory, render } = this.renderer.info;
+    const resources = getBlockResourceStats();
+    this.debugInfoEl.textContent = [
+      `Geometries: ${memory.geometries}`,
+      `Textures: ${memory.textures}`,
+      `Draw calls: ${render.calls}`,
+      `Triangles: ${render.triangles}`,
+      `Blocks: ${this.blocks.length}`,
+      `Block types loaded: ${resources.types}`,
+      `Instanced types: ${this.blockRenderer.batches.size}`
+    ].join('\n');
+  }
+
+  // Load the benchmark scene and time the frames for a while
+  startBenchmark(count) {
+    this.exitReplay();
+    if (this.benchmarkPanelEl) {
+      this.benchmarkPanelEl.classList.add('hidden');
+    }
+
+    this.loadTower({ blocks: createBenchmarkTower(count) });
+    this.benchmark = {
+      frames: new FrameStats(),
+      work: new FrameStats(),
+      elapsed: 0,
+      // The frame after loading includes the load itself
+      skipFrame: true
+    };
+    this.showToast(`⏱️ Benchmarking ${count} blocks for ${BENCHMARK_SECONDS}s…`);
+  }
+
+  // workTime is how long the frame kept us busy, in milliseconds
+  updateBenchmark(deltaTime, workTime) {
+    const benchmark = this.benchmark;
+    if (!benchmark) return;
+
+    if (benchmark.skipFrame) {
+      benchmark.skipFrame = false;
+      return;
+    }
+
+    benchmark.frames.add(deltaTime * 1000);
+    benchmark.work.add(workTime);
+    benchmark.elapsed += deltaTime;
+
+    if (benchmark.elapsed >= BENCHMARK_SECONDS) {
+      this.finishBenchmark();
+    }
+  }
+
+  finishBenchmark() {
+    const frames = this.benchmark.frames.summarize();
+    const work = this.benchmark.work.summarize();
+    this.benchmark = null;
+
+    const results = {
+      blocks: this.blocks.length,
+      frames: frames.frames,
+      fps: frames.average > 0 ? 1000 / frames.average : 0,
+      frameMs: frames,
+      workMs: work
+    };
+
+    if (!this.benchmarkPanelEl) return;
+
+    const rows = [
+      ['Blocks', results.blocks],
+      ['Physics', this.physics.remote ? 'Worker' : 'Main thread'],
+      ['Frames', results.frames],
+      ['Average FPS', results.fps.toFixed(1)],
+      ['Frame time (avg / p95 / worst)', formatTimes(frames)],
+      ['Work per frame (avg / p95 / worst)', formatTimes(work)],
+      ['Draw calls', this.renderer.info.render.calls],
+      ['Geometries / textures', `${this.renderer.info.memory.geometries} / ${this.renderer.info.memory.textures}`]
+    ];
+    const list = document.getElementById('benchmark-results');
+    list.innerHTML = '';
+    for (const [label, value] of rows) {
+      const item = document.createElement('li');
+      const name = document.createElement('span');
+      name.textContent = label;
+      const amount = document.createElement('strong');
+      amount.textContent = value;
+      item.append(name, amount);
+      list.appendChild(item);
+    }
+    this.benchmarkPanelEl.classList.remove('hidden');
+  }
+
+  // Rebuild a tower by placing each block in order and letting it settle
+  replayPlacements(placements) {
+    this.reset();
+
+    const playerOrientation = this.placementOrientation;
+    for (const placement of placements) {
+      this.placementOrientation = { ...placement.orientation };
+      const halfExtents = getOrientedHalfExtents(placement.blockType, this.placementOrientation);
+      if (!halfExtents) continue;
+
+      const { x, z } = placement;
+      const surfaceY = this.physics.getTopYAt(x, z, halfExtents);
+
+      // Links only hold placements that were valid when the tower was built,
+      // at the spot each block was on (grid or not)
+      this.selectedBlockType = placement.blockType;
+      this.currentPlacementValid = true;
+      this.confirmPlacement({
+        position: new THREE.Vector3(x, surfaceY, z),
+        surfaceY: surfaceY,
+        onBlock: surfaceY > 0,
+        targetBlock: null,
+        snapped: true
+      });
+
+      this.physics.settle();
+    }
+    this.placementOrientation = playerOrientation;
+
+    this.syncBlockMeshes();
+    this.updateHeightMeter();
+  }
+
+  buildPalette() {
+    const palette = document.getElementById('block-palette');
+    palette.innerHTML = '';
+
+    for (const [type, config] of Object.entries(BLOCK_TYPES)) {
+      const btn = document.createElement('button');
+      btn.className = 'block-btn';
+      btn.dataset.block = type;
+      btn.classList.toggle('selected', type === this.selectedBlockType);
+
+      const preview = document.createElement('div');
+      preview.className = `block-preview shape-${config.shape}`;
+      preview.style.width = `${config.icon.width}px`;
+      preview.style.height = `${config.icon.height}px`;
+      preview.style.background = `linear-gradient(135deg, ${config.icon.colors[0]} 0%, ${config.icon.colors[1]} 100%)`;
+
+      const label = document.createElement('span');
+      label.textContent = config.label;
+
+      // Blocks left, in levels
+      const count = document.createElement('span');
+      count.className = 'block-count';
+
+      btn.append(preview, label, count);
+      this.bindButton(btn, () => this.selectBlockType(type));
+      palette.appendChild(btn);
+    }
+
+    // Import custom block definitions
+    const importInput = document.createElement('input');
+    importInput.type = 'file';
+    importInput.accept = '.json,application/json';
+    importInput.hidden = true;
+    importInput.addEventListener('change', () => {
+      const file = importInput.files[0];
+      if (file) {
+        this.importCustomBlocks(file);
+      }
+    });
+
+    const importBtn = document.createElement('button');
+    importBtn.className = 'block-btn add-block-btn';
+    importBtn.title = 'Import custom blocks';
+    importBtn.innerHTML = '<div class="block-preview">➕</div><span>Custom</span>';
+    this.bindButton(importBtn, () => importInput.click());
+
+    palette.append(importBtn, importInput);
+    this.updatePalette();
+  }
+
+  // Show locks, or in a level only its blocks with how many are left
+  updatePalette() {
+    document.querySelectorAll('.block-btn[data-block]').forEach(btn => {
+      const type = btn.dataset.block;
+      const config = BLOCK_TYPES[type];
+      const locked = !this.level && !isBlockUnlocked(type, this.progress);
+
+      btn.classList.toggle('locked', locked);
+      btn.title = locked
+        ? `${config.name} (reach ${config.unlock.height} m to unlock)`
+        : `${config.name} (${MATERIALS[config.material].name})`;
+
+      const count = btn.querySelector('.block-count');
+      const inLevel = this.level ? type in this.level.level.inventory : true;
+      btn.classList.toggle('hidden', !inLevel);
+      btn.classList.toggle('empty', !!this.level && this.level.getRemaining(type) === 0);
+      count.textContent = this.level ? `×${this.level.getRemaining(type)}` : '';
+    });
+
+    // Custom blocks can't be added mid-level
+    const importBtn = document.querySelector('.add-block-btn');
+    if (importBtn) {
+      importBtn.classList.toggle('hidden', !!this.level);
+    }
+  }
+
+  // Remember the best height reached and announce any blocks it unlocks
+  recordBestHeight(height) {
+    const lockedBefore = Object.keys(BLOCK_TYPES).filter(type => !isBlockUnlocked(type, this.progress));
+
+    this.progress.bestHeight = Math.floor(height);
+    saveProgress(this.progress);
+
+    const unlocked = lockedBefore.filter(type => isBlockUnlocked(type, this.progress));
+    if (unlocked.length > 0) {
+      this.updatePalette();
+      this.showToast(`🔓 ${unlocked.map(type => BLOCK_TYPES[type].name).join(', ')} unlocked!`);
+    }
+  }
+
+  // Register custom blocks saved from earlier sessions
+  loadCustomBlockTypes() {
+    const definitions = loadCustomBlocks();
+    if (definitions.length === 0) return;
+
+    // One at a time, so a block whose id the catalog has since taken (or a
+    // broken entry) doesn't keep the others out
+    const registered = [];
+    const skipped = [];
+    for (const def of definitions) {
+      try {
+        registerBlockTypes([def], { custom: true });
+        registered.push(def);
+      } catch (error) {
+        console.warn(`Skipping custom block: ${error.message}`);
+        skipped.push(def && typeof def.id === 'string' ? def.id : '?');
       }
-    };
-  }
+    }
 
-  setupUI() {
-    this.heightValueEl = document.getElementById('height-value');
-    this.instructionsEl = document.getElementById('instructions');
-    this.cancelBtn = document.getElementById('cancel-btn');
+    if (registered.length > 0 && this.physicsWorker) {
+      this.physicsWorker.registerBlockTypes(registered);
+    }
+    if (skipped.length > 0) {
+      this.showToast(`Could not load custom blocks: ${skipped.join(', ')}`);
+    }
+  }
 
-    // Block palette buttons
-    const blockButtons = document.querySelectorAll('.block-btn');
-    blockButtons.forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        this.selectBlockType(btn.dataset.block);
-      });
+  async importCustomBlocks(file) {
+    try {
+      const data = JSON.parse(await file.text());
+      const definitions = Array.isArray(data) ? data : data.blocks;
 
-      btn.addEventListener('touchend', (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        this.selectBlockType(btn.dataset.block);
-      });
-    });
+      // Nothing is registered unless every definition is valid
+      const added = registerBlockTypes(data, { custom: true });
 
-    // Reset button
-    const resetBtn = document.getElementById('reset-btn');
-    resetBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      this.reset();
-    });
-    resetBtn.addEventListener('touchend', (e) => {
-      e.preventDefault();
-      e.stopPropagation();
-      this.reset();
-    });
+      // Stored blocks with the same ids (ones that couldn't be loaded) are
+      // replaced rather than kept twice
+      const kept = loadCustomBlocks().filter(def => !(def && added.includes(def.id)));
+      saveCustomBlocks(kept.concat(definitions));
+      if (this.physicsWorker) {
+        this.physicsWorker.registerBlockTypes(data);
+      }
 
-    // Cancel button
-    if (this.cancelBtn) {
-      this.cancelBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        this.cancelPlacement();
-      });
-      this.cancelBtn.addEventListener('touchend', (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        this.cancelPlacement();
-      });
+      this.buildPalette();
+      this.showToast(`Added ${added.map(type => BLOCK_TYPES[type].name).join(', ')}`);
+    } catch (error) {
+      this.showToast(`Could not import blocks: ${error.message}`);
     }
+  }
 
-    // Close instructions
-    const closeInstructionsBtn = document.getElementById('close-instructions');
-    closeInstructionsBtn.addEventListener('click', () => {
-      this.instructionsEl.classList.add('hidden');
+  // Attach a handler to both click and touch, keeping the event off the canvas
+  bindButton(element, handler) {
+    element.addEventListener('click', (e) => {
+      e.stopPropagation();
+      handler();
     });
-    closeInstructionsBtn.addEventListener('touchend', (e) => {
+    element.addEventListener('touchend', (e) => {
       e.preventDefault();
-      this.instructionsEl.classList.add('hidden');
+      e.stopPropagation();
+      handler();
     });
   }
 
@@ -187,41 +2164,135 @@ class Game {
       metalness: 0.1
     });
 
+    this.groundGroup = new THREE.Group();
+    this.scene.add(this.groundGroup);
+
     const ground = new THREE.Mesh(groundGeometry, groundMaterial);
     ground.rotation.x = -Math.PI / 2;
     ground.position.y = 0;
     ground.receiveShadow = true;
-    this.scene.add(ground);
+    this.groundGroup.add(ground);
 
     // Grid helper for visual reference
     const gridHelper = new THREE.GridHelper(200, 40, 0x666666, 0xaaaaaa);
     gridHelper.position.y = 0.1;
-    this.scene.add(gridHelper);
+    this.groundGroup.add(gridHelper);
+
+    // Wind sock just outside the build area
+    this.windSock = createWindSock();
+    this.windSock.position.set(-110, 0, 50);
+    this.groundGroup.add(this.windSock);
+  }
+
+  // Show hazards: the ground follows the physics ground while an earthquake
+  // shakes it, and the wind sock follows the wind
+  updateHazardVisuals(deltaTime) {
+    const offset = this.physics.hazards.getGroundOffset();
+    this.groundGroup.position.set(offset.x, 0, offset.z);
+
+    updateWindSock(this.windSock, this.physics.hazards.getWind(), deltaTime);
   }
 
   selectBlockType(type) {
+    // No building during playback or after a challenge or level is over.
+    // Jenga planks only come out of the tower.
+    if (this.player || this.jenga) return;
+    if (this.challenge && this.challenge.isOver()) return;
+    if (this.level && this.level.isOver()) return;
+    if (this.hotseat && !this.hotseat.canPlace()) return;
+    if (this.network && !this.network.isMyTurn()) return;
+
+    // Choosing a block puts down the edit and weld tools, and puts back a
+    // block being moved
+    if (this.movingBlock) {
+      this.cancelPlacement();
+    }
+    this.setEditMode(false);
+    this.setWeldMode(false);
+
+    // Levels hand out their own blocks, locked or not
+    if (this.level) {
+      if (!this.level.canPlace(type)) {
+        this.showToast(`No ${BLOCK_TYPES[type].name} blocks left`);
+        return;
+      }
+    } else if (!isBlockUnlocked(type, this.progress)) {
+      const config = BLOCK_TYPES[type];
+      if (config) {
+        this.showToast(`🔒 Reach ${config.unlock.height} m to unlock ${config.name}`);
+      }
+      return;
+    }
+
+    // Toggle selection
+    if (this.selectedBlockType === type) {
+      this.cancelPlacement();
+    } else {
+      this.startPlacement(type);
+    }
+  }
+
+  // Show the ghost for a block type, without the checks selectBlockType
+  // makes
+  startPlacement(type) {
     // Update UI
     const blockButtons = document.querySelectorAll('.block-btn');
     blockButtons.forEach(btn => {
       btn.classList.toggle('selected', btn.dataset.block === type);
     });
 
-    // Toggle selection
-    if (this.selectedBlockType === type) {
-      this.cancelPlacement();
-    } else {
-      this.selectedBlockType = type;
-      this.createGhostBlockForType(type);
-      document.getElementById('game-container').classList.add('placing-mode');
+    this.selectedBlockType = type;
+    this.createGhostBlockForType(type);
+    document.getElementById('game-container').classList.add('placing-mode');
 
-      // Show cancel button
-      if (this.cancelBtn) {
-        this.cancelBtn.classList.remove('hidden');
-      }
+    // Show cancel button
+    if (this.cancelBtn) {
+      this.cancelBtn.classList.remove('hidden');
+    }
+  }
+
+  updateCameraButton() {
+    if (!this.cameraBtn) return;
+
+    const mode = CAMERA_MODES[this.controls.cameraMode];
+    this.cameraBtn.textContent = `${mode.icon} ${mode.name}`;
+  }
+
+  updateSnapButton() {
+    if (!this.snapBtn) return;
+
+    const mode = SNAP_MODES[this.controls.snapMode];
+    this.snapBtn.textContent = `${mode.icon} ${mode.name}`;
+  }
+
+  // Select the palette's nth shown block (number keys)
+  selectPaletteBlock(index) {
+    const buttons = document.querySelectorAll('.block-btn[data-block]:not(.hidden)');
+    if (buttons[index]) {
+      this.selectBlockType(buttons[index].dataset.block);
+    }
+  }
+
+  // Select the next or previous block the player can use (gamepad X / Y)
+  cyclePaletteBlock(direction) {
+    const types = Array.from(document.querySelectorAll('.block-btn[data-block]'))
+      .filter(btn => !btn.classList.contains('hidden') && !btn.classList.contains('locked') && !btn.classList.contains('empty'))
+      .map(btn => btn.dataset.block);
+    if (types.length === 0) return;
+
+    const index = types.indexOf(this.selectedBlockType);
+    const next = index === -1
+      ? (direction > 0 ? 0 : types.length - 1)
+      : (index + direction + types.length) % types.length;
+    if (types[next] !== this.selectedBlockType) {
+      this.selectBlockType(types[next]);
     }
   }
 
   cancelPlacement() {
+    const moving = this.movingBlock;
+    this.movingBlock = null;
+
     this.selectedBlockType = null;
     this.removeGhostBlock();
     this.currentPlacementValid = false;
@@ -236,6 +2307,11 @@ class Game {
     if (this.cancelBtn) {
       this.cancelBtn.classList.add('hidden');
     }
+
+    // A block being moved goes back where it was
+    if (moving) {
+      this.restoreSnapshot(moving.before);
+    }
   }
 
   createGhostBlockForType(type) {
@@ -243,13 +2319,39 @@ class Game {
     this.ghostBlock = createGhostBlock(type);
     if (this.ghostBlock) {
       this.ghostBlock.visible = false;
+      this.ghostBlock.quaternion.copy(this.ghostTargetQuaternion);
       this.scene.add(this.ghostBlock);
     }
   }
 
+  // Turn the block being placed a quarter turn around Y
+  rotatePlacement(direction) {
+    if (!this.selectedBlockType) return;
+
+    this.placementOrientation.yaw = (this.placementOrientation.yaw + direction + 4) % 4;
+    this.updateGhostOrientation();
+  }
+
+  // Lay the block being placed on its side, or stand it back up
+  tipPlacement() {
+    if (!this.selectedBlockType) return;
+
+    this.placementOrientation.tip = !this.placementOrientation.tip;
+    this.updateGhostOrientation();
+  }
+
+  updateGhostOrientation() {
+    const q = getOrientationQuaternion(this.placementOrientation);
+    this.ghostTargetQuaternion.set(q.x, q.y, q.z, q.w);
+  }
+
   removeGhostBlock() {
+    if (this.snapGuides) {
+      updateSnapGuides(this.snapGuides, []);
+    }
     if (this.ghostBlock) {
       this.scene.remove(this.ghostBlock);
+      disposeGhostBlock(this.ghostBlock);
       this.ghostBlock = null;
     }
   }
@@ -258,61 +2360,430 @@ class Game {
   confirmPlacement(placementInfo) {
     if (!this.selectedBlockType || !this.currentPlacementValid) return;
 
-    const halfExtents = getBlockHalfExtents(this.selectedBlockType);
+    const halfExtents = getOrientedHalfExtents(this.selectedBlockType, this.placementOrientation);
     if (!halfExtents) return;
 
-    // Calculate final position
-    const position = placementInfo.position.clone();
+    // Calculate final position (replayed placements are already where they
+    // were recorded, whatever the player's snapping)
+    const position = placementInfo.snapped ? placementInfo.position.clone() : this.snapPlacement(placementInfo, halfExtents).position;
     position.y = placementInfo.surfaceY + halfExtents.y;
 
+    const q = getOrientationQuaternion(this.placementOrientation);
+    const quaternion = { x: q.x, y: q.y, z: q.z, w: q.w };
+
+    // Online, the block goes in when the server sends it back
+    if (this.network) {
+      this.network.place(this.selectedBlockType, { x: position.x, y: position.y, z: position.z }, quaternion);
+      this.cancelPlacement();
+      return;
+    }
+
+    const before = this.physics.snapshot();
+    const heightBefore = this.physics.getMaxHeight();
+
     // Create the actual block with physics
-    const block = createBlock(this.selectedBlockType, {
-      x: position.x,
-      y: position.y,
-      z: position.z
-    });
+    const block = this.addBlock(this.selectedBlockType, position, quaternion);
 
     if (block) {
-      this.scene.add(block.mesh);
-      this.physics.addBody(block.body);
-      this.blocks.push(block);
-
       // Update the controls with new block meshes for raycasting
       this.updateBlockMeshesForRaycast();
 
+      // Record the placement so it can be undone and replayed. A moved
+      // block undoes back to before it was lifted.
+      const moving = this.movingBlock;
+      this.movingBlock = null;
+      this.history.record({
+        action: moving ? 'move' : 'place',
+        blockType: this.selectedBlockType,
+        position: { x: position.x, y: position.y, z: position.z },
+        quaternion,
+        before: moving ? moving.before : before,
+        after: this.physics.snapshot()
+      });
+      this.recorder.recordPlacement(this.selectedBlockType, position, quaternion);
+
+      if (this.level && !moving) {
+        this.level.usePlacement(this.selectedBlockType);
+        this.updatePalette();
+      }
+      if (this.jenga) {
+        this.jenga.place(block.body);
+        this.updateModeUI();
+      }
+      if (this.hotseat) {
+        this.blockRenderer.setOutline(block, this.hotseat.getPlayer().color);
+        this.hotseat.place(heightBefore);
+        this.updateModeUI();
+      }
+
       // Deselect and hide ghost
       this.cancelPlacement();
     }
   }
 
+  // Create a block and add it to the scene and the physics world
+  addBlock(blockType, position, quaternion) {
+    const block = createBlock(blockType, {
+      x: position.x,
+      y: position.y,
+      z: position.z
+    });
+    if (!block) return null;
+
+    block.body.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+
+    this.blockRenderer.add(block);
+    this.physics.addBody(block.body);
+    this.blocks.push(block);
+    return block;
+  }
+
+  // Copy physics transforms onto the block meshes
+  syncBlockMeshes() {
+    for (const block of this.blocks) {
+      block.mesh.position.copy(block.body.interpolatedPosition);
+      block.mesh.quaternion.copy(block.body.interpolatedQuaternion);
+    }
+    this.blockRenderer.update();
+    this.updateBlockHighlight();
+  }
+
   // Update block meshes array for raycasting
   updateBlockMeshesForRaycast() {
     const meshes = this.blocks.map(b => b.mesh);
     this.controls.setBlockMeshes(meshes);
   }
 
+  // Blocks can be edited where they can be undone
+  canEditBlocks() {
+    return !this.player && !this.isHistoryLocked();
+  }
+
+  setEditMode(enabled) {
+    if (enabled && !this.canEditBlocks()) return;
+
+    this.editMode = enabled;
+    if (enabled) {
+      this.setWeldMode(false);
+      this.cancelPlacement();
+    } else {
+      this.setPickedBlock(null);
+    }
+
+    if (this.editBtn) {
+      this.editBtn.classList.toggle('active', enabled);
+    }
+    document.getElementById('game-container').classList.toggle('edit-mode', enabled);
+  }
+
+  // Welding is free in sandbox, and levels hand out a few
+  canWeld() {
+    if (this.player) return false;
+    if (this.level) return this.level.canWeld();
+    return this.mode === 'sandbox';
+  }
+
+  setWeldMode(enabled) {
+    if (enabled === this.weldMode || (enabled && !this.canWeld())) return;
+
+    this.weldMode = enabled;
+    if (enabled) {
+      this.setEditMode(false);
+      this.cancelPlacement();
+    }
+    this.setPickedBlock(null);
+
+    if (this.weldBtn) {
+      this.weldBtn.classList.toggle('active', enabled);
+    }
+    document.getElementById('game-container').classList.toggle('weld-mode', enabled);
+  }
+
+  // Pick the first block of a weld, or weld the picked one to this one.
+  // Picking the same block again (or nothing) lets go of it.
+  pickWeldBlock(block) {
+    const first = this.pickedBlock;
+    if (!block || !first || block === first) {
+      this.setPickedBlock(block === first ? null : block);
+      return;
+    }
+    this.weldBlocks(first, block);
+  }
+
+  weldBlocks(blockA, blockB) {
+    if (!this.canWeld()) return;
+
+    if (this.physics.getWeld(blockA.body, blockB.body)) {
+      this.showToast('Those blocks are already welded');
+      return;
+    }
+    if (!this.physics.getContact(blockA.body, blockB.body)) {
+      this.showToast('Only touching blocks can be welded');
+      return;
+    }
+
+    const before = this.physics.snapshot();
+    this.physics.addWeld(blockA.body, blockB.body);
+    const after = this.physics.snapshot();
+
+    this.history.record({ action: 'weld', before, after });
+    this.recorder.recordRestore(after);
+    if (this.level) {
+      this.level.useWeld();
+    }
+    playSound('weld');
+
+    // Carry on from the second block, to weld a row of them
+    this.setPickedBlock(blockB);
+    this.updateModeUI();
+  }
+
+  onWeldBreak(event) {
+    this.weldRenderer.flash(event.position);
+    playSound('weldBreak');
+    this.gamepad.rumble();
+  }
+
+  // The block a placed mesh belongs to
+  findBlock(mesh) {
+    if (!mesh) return null;
+    return this.blocks.find(block => block.mesh === mesh) || null;
+  }
+
+  // Pick a placed block to edit (null for none) and outline it. Its menu
+  // opens at `point` (client pixels) if there is one.
+  setPickedBlock(block, point = null) {
+    if (this.blockHighlight) {
+      this.scene.remove(this.blockHighlight);
+      disposeBlockHighlight(this.blockHighlight);
+      this.blockHighlight = null;
+    }
+    this.pickedBlock = block;
+
+    if (block) {
+      this.blockHighlight = createBlockHighlight(block.mesh.userData.blockType);
+      if (this.blockHighlight) {
+        this.scene.add(this.blockHighlight);
+        this.updateBlockHighlight();
+      }
+    }
+    this.showBlockMenu(block ? point : null);
+  }
+
+  updateBlockHighlight() {
+    if (!this.blockHighlight) return;
+
+    this.blockHighlight.position.copy(this.pickedBlock.mesh.position);
+    this.blockHighlight.quaternion.copy(this.pickedBlock.mesh.quaternion);
+  }
+
+  // Open the block menu next to a point, kept inside the game, or close it
+  showBlockMenu(point) {
+    const menu = this.blockMenuEl;
+    if (!menu) return;
+
+    menu.classList.toggle('hidden', !point);
+    if (!point) return;
+
+    const bounds = menu.parentElement.getBoundingClientRect();
+    const x = Math.min(point.x - bounds.left + 10, bounds.width - menu.offsetWidth - 10);
+    const y = Math.min(point.y - bounds.top + 10, bounds.height - menu.offsetHeight - 10);
+    menu.style.left = `${Math.max(10, x)}px`;
+    menu.style.top = `${Math.max(10, y)}px`;
+  }
+
+  // Delete a placed block; whatever it held up falls
+  deleteBlock(block) {
+    if (!block || !this.canEditBlocks()) return;
+
+    const before = this.physics.snapshot();
+    this.removeBlock(block);
+    const after = this.physics.snapshot();
+
+    this.history.record({ action: 'delete', before, after });
+    this.recorder.recordRestore(after);
+    this.updateHeightMeter();
+  }
+
+  // Lift a placed block back into the ghost, the way it was turned, to place
+  // again. The tower reacts as soon as it's lifted; cancelling puts it back.
+  liftBlock(block) {
+    if (!block || !this.canEditBlocks()) return;
+
+    const before = this.physics.snapshot();
+    this.pickUpBlock(block);
+    this.movingBlock = { before };
+
+    this.recorder.recordRestore(this.physics.snapshot());
+    this.updateHeightMeter();
+  }
+
+  // Take a block out of the tower and make it the ghost, turned the way it
+  // was
+  pickUpBlock(block) {
+    const blockType = block.mesh.userData.blockType;
+    const position = block.mesh.position.clone();
+
+    this.placementOrientation = getNearestOrientation(block.body.quaternion);
+    this.updateGhostOrientation();
+
+    this.removeBlock(block);
+    this.startPlacement(blockType);
+
+    // Rise out of the tower rather than appear at the pointer
+    if (this.ghostBlock) {
+      this.ghostBlock.position.copy(position);
+    }
+  }
+
+  // Take one block out of the scene and the physics world
+  removeBlock(block) {
+    const index = this.blocks.indexOf(block);
+    if (index === -1) return;
+
+    if (block === this.pickedBlock) {
+      this.setPickedBlock(null);
+    }
+    this.blockRenderer.remove(block);
+    this.physics.removeBody(block.body);
+    this.blocks.splice(index, 1);
+    this.updateBlockMeshesForRaycast();
+  }
+
   reset() {
-    // Remove all blocks from scene
-    for (const block of this.blocks) {
-      this.scene.remove(block.mesh);
+    if (this.player) return;
+
+    // In challenge mode reset means starting a new run
+    if (this.challenge) {
+      this.startChallenge();
+      return;
+    }
+    if (this.level) {
+      this.startLevel(this.level.level);
+      return;
+    }
+    if (this.jenga) {
+      this.startJenga();
+      return;
+    }
+    if (this.hotseat) {
+      this.startHotseat(this.hotseat.players);
+      return;
+    }
+    if (this.network) {
+      if (this.network.isHost) {
+        this.network.clear();
+      } else {
+        this.showToast('Only the host can clear the tower');
+      }
+      return;
+    }
+
+    // Reset UI (first, so a block being moved is back in the tower)
+    this.cancelPlacement();
+
+    const before = this.physics.snapshot();
+
+    this.clearBlocks();
+    this.recorder.recordRestore([]);
+
+    // Update height display
+    this.updateHeightMeter();
+
+    // Only record resets that actually removed something
+    if (before.length > 0) {
+      this.history.record({ action: 'reset', before, after: [] });
     }
+  }
+
+  // Remove every block from the scene and the physics world
+  clearBlocks() {
+    // A picked block goes with the rest, and so does one being moved
+    this.setPickedBlock(null);
+    this.movingBlock = null;
+
+    this.blockRenderer.clear();
     this.blocks = [];
 
     // Reset physics
     this.physics.reset();
 
-    // Reset UI
-    this.cancelPlacement();
-
     // Update block meshes for raycasting
     this.updateBlockMeshesForRaycast();
+  }
 
-    // Update height display
+  // Rebuild the tower from a physics snapshot
+  restoreSnapshot(snapshot) {
+    this.clearBlocks();
+    this.recorder.recordRestore(snapshot);
+
+    const bodies = snapshot.map(state => {
+      const block = this.addBlock(state.blockType, state.position, state.quaternion);
+      if (!block) return null;
+
+      this.physics.applyBodyState(block.body, state);
+      return block.body;
+    });
+    this.physics.restoreWelds(bodies, snapshot);
+
+    this.syncBlockMeshes();
+    this.updateBlockMeshesForRaycast();
     this.updateHeightMeter();
   }
 
+  // Undoing a collapse would make challenges pointless, and undoing in a
+  // level would hand blocks back
+  isHistoryLocked() {
+    return !!(this.challenge || this.level || this.jenga || this.hotseat || this.network);
+  }
+
+  undo() {
+    if (this.player || this.isHistoryLocked()) return;
+
+    // Undoing in the middle of a move just puts the block back
+    if (this.movingBlock) {
+      this.cancelPlacement();
+      return;
+    }
+
+    const entry = this.history.undo();
+    if (entry) {
+      this.restoreSnapshot(entry.before);
+    }
+  }
+
+  redo() {
+    if (this.player || this.isHistoryLocked()) return;
+
+    if (this.movingBlock) {
+      this.cancelPlacement();
+    }
+
+    const entry = this.history.redo();
+    if (entry) {
+      this.restoreSnapshot(entry.after);
+    }
+  }
+
+  updateHistoryButtons() {
+    if (this.undoBtn) {
+      this.undoBtn.disabled = this.isHistoryLocked() || !this.history.canUndo();
+    }
+    if (this.redoBtn) {
+      this.redoBtn.disabled = this.isHistoryLocked() || !this.history.canRedo();
+    }
+  }
+
   updateHeightMeter() {
-    const height = Math.round(this.physics.getMaxHeight());
+    const maxHeight = this.physics.getMaxHeight();
+    if (this.challenge) {
+      this.challenge.trackHeight(maxHeight);
+    }
+    if (!this.player && maxHeight >= this.progress.bestHeight + 1) {
+      this.recordBestHeight(maxHeight);
+    }
+
+    const height = Math.round(maxHeight);
     if (this.heightValueEl) {
       this.heightValueEl.textContent = height;
     }
@@ -325,19 +2796,21 @@ class Game {
     const placementInfo = this.controls.getGhostPlacementPosition();
 
     if (placementInfo) {
-      const halfExtents = getBlockHalfExtents(this.selectedBlockType);
+      const halfExtents = getOrientedHalfExtents(this.selectedBlockType, this.placementOrientation);
       if (!halfExtents) {
         this.ghostBlock.visible = false;
         return;
       }
 
       // Calculate ghost Y position (on top of surface)
-      const ghostY = placementInfo.surfaceY + halfExtents.y;
-      const position = placementInfo.position.clone();
-      position.y = ghostY;
+      const snap = this.snapPlacement(placementInfo, halfExtents);
+      const position = snap.position;
+      position.y = placementInfo.surfaceY + halfExtents.y;
+      updateSnapGuides(this.snapGuides, snap.guides);
 
-      // Smooth interpolation for ghost position
+      // Smooth interpolation for ghost position and rotation
       this.ghostBlock.position.lerp(position, 0.3);
+      this.ghostBlock.quaternion.slerp(this.ghostTargetQuaternion, 0.3);
       this.ghostBlock.visible = true;
 
       // Check validity
@@ -350,7 +2823,31 @@ class Game {
     } else {
       this.ghostBlock.visible = false;
       this.currentPlacementValid = false;
+      updateSnapGuides(this.snapGuides, []);
+    }
+  }
+
+  // Where a block goes for a placement. Grid and free snapping are done by
+  // the controls; object snapping needs the block's size and the blocks
+  // around it. Returns { position, guides }.
+  snapPlacement(placementInfo, halfExtents) {
+    if (this.controls.snapMode !== 'object') {
+      return { position: placementInfo.position.clone(), guides: [] };
     }
+
+    const targetBody = placementInfo.targetBlock ? placementInfo.targetBlock.userData.physicsBody : null;
+    const snap = snapToObjects(
+      placementInfo.point || placementInfo.position,
+      halfExtents,
+      placementInfo.surfaceY,
+      this.physics.getBlockParts(),
+      targetBody,
+      this.controls.gridSize
+    );
+    return {
+      position: new THREE.Vector3(snap.x, placementInfo.surfaceY, snap.z),
+      guides: snap.guides
+    };
   }
 
   // Check if placement is valid (no collision and has support)
@@ -363,6 +2860,11 @@ class Game {
 
     if (!noCollision) return false;
 
+    if (this.level && this.level.isInForbiddenZone(position, halfExtents)) return false;
+
+    // Jenga planks go back on top
+    if (this.jenga && !this.jenga.isOnTop(position.y - halfExtents.y, this.physics.getMaxHeight())) return false;
+
     // Check for support (ground or block beneath)
     const hasSupport = this.physics.hasSupport(
       { x: position.x, y: position.y, z: position.z },
@@ -376,8 +2878,7 @@ class Game {
     const width = window.innerWidth;
     const height = window.innerHeight;
 
-    this.camera.aspect = width / height;
-    this.camera.updateProjectionMatrix();
+    this.controls.setAspect(width / height);
 
     this.renderer.setSize(width, height);
     this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
@@ -386,23 +2887,60 @@ class Game {
   animate() {
     requestAnimationFrame(this.animate.bind(this));
 
+    const frameStart = performance.now();
     const deltaTime = this.clock.getDelta();
+    this.gamepad.update(deltaTime);
+
+    // Update physics (playback steps the world itself)
+    if (this.player) {
+      this.player.update(deltaTime);
+    } else {
+      this.physics.update(deltaTime);
+      if (this.recorder.recording) {
+        this.updateReplayBar();
+      }
+    }
+    this.syncBlockMeshes();
+    this.weldRenderer.update(this.physics, deltaTime);
+    this.updateHazardVisuals(deltaTime);
 
-    // Update physics
-    this.physics.update(deltaTime);
-    this.physics.syncMeshes();
+    // Camera mode animations and following the top of the tower
+    this.controls.update(deltaTime, this.physics.getMaxHeight());
 
     // Update ghost block position
     this.updateGhostBlock();
 
     // Update height meter
     this.updateHeightMeter();
+    this.updateChallengeClock(deltaTime);
+    this.updateLevel(deltaTime);
+    this.updateJenga(deltaTime);
+    this.updateHotseat(deltaTime);
+    this.updateOnline(deltaTime);
 
     // Render
-    this.renderer.render(this.scene, this.camera);
+    this.renderer.render(this.scene, this.controls.camera);
+
+    this.updateBenchmark(deltaTime, performance.now() - frameStart);
+    this.updateDebugInfo(deltaTime);
   }
 }
 
+// Level stars as filled and empty symbols
+function formatStars(stars) {
+  return '★'.repeat(stars) + '☆'.repeat(3 - stars);
+}
+
+// Average, 95th percentile and worst of FrameStats.summarize()
+function formatTimes(stats) {
+  return `${stats.average.toFixed(1)} / ${stats.p95.toFixed(1)} / ${stats.worst.toFixed(1)} ms`;
+}
+
+// Format a tick count as seconds of simulated time
+function formatTicks(ticks) {
+  return `${(ticks * FIXED_TIME_STEP).toFixed(1)}s`;
+}
+
 // Start game when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
   new Game();
@@ -0,0 +1,84 @@
+import * as CANNON from 'cannon-es';
+
+// Physical materials
+//
+// Each block type names one of these materials. How two blocks behave when
+// they touch depends on the pair, so friction and bounce live in a contact
+// table with an entry for every pair rather than on the blocks themselves.
+export const MATERIALS = {
+  concrete: { name: 'Concrete' },
+  steel: { name: 'Steel' },
+  glass: { name: 'Glass' },
+  wood: { name: 'Wood' },
+  rubber: { name: 'Rubber' }
+};
+
+// Used for blocks that don't name a material, and for the ground
+export const DEFAULT_MATERIAL = 'concrete';
+
+// Friction and restitution for every pair of materials
+const CONTACT_TABLE = [
+  ['concrete', 'concrete', 0.7, 0.05],
+  ['concrete', 'steel', 0.5, 0.05],
+  ['concrete', 'glass', 0.4, 0.05],
+  ['concrete', 'wood', 0.6, 0.05],
+  ['concrete', 'rubber', 0.9, 0.3],
+  ['steel', 'steel', 0.4, 0.1],
+  ['steel', 'glass', 0.15, 0.1],
+  ['steel', 'wood', 0.45, 0.05],
+  ['steel', 'rubber', 0.8, 0.3],
+  ['glass', 'glass', 0.2, 0.1],
+  ['glass', 'wood', 0.35, 0.05],
+  ['glass', 'rubber', 0.7, 0.3],
+  ['wood', 'wood', 0.55, 0.05],
+  ['wood', 'rubber', 0.85, 0.3],
+  ['rubber', 'rubber', 1.0, 0.4]
+];
+
+// One CANNON.Material per material name, shared by every world so contact
+// materials can be matched to bodies
+const physicsMaterials = {};
+
+export function getPhysicsMaterial(name) {
+  const key = MATERIALS[name] ? name : DEFAULT_MATERIAL;
+  if (!physicsMaterials[key]) {
+    physicsMaterials[key] = new CANNON.Material(key);
+  }
+  return physicsMaterials[key];
+}
+
+// Friction and restitution for two materials, in either order
+export function getContactProperties(a, b) {
+  const entry = CONTACT_TABLE.find(([m1, m2]) => (m1 === a && m2 === b) || (m1 === b && m2 === a));
+  if (!entry) return null;
+  return { friction: entry[2], restitution: entry[3] };
+}
+
+// Contact materials for every pair, ready to add to a CANNON.World
+export function createContactMaterials() {
+  return CONTACT_TABLE.map(([a, b, friction, restitution]) =>
+    new CANNON.ContactMaterial(getPhysicsMaterial(a), getPhysicsMaterial(b), {
+      friction: friction,
+      restitution: restitution,
+      contactEquationStiffness: 1e8,
+      contactEquationRelaxation: 3
+    })
+  );
+}
+
+// The material whose friction against concrete is closest, for block
+// definitions from before materials that only give a friction value
+export function getMaterialForFriction(friction) {
+  let best = DEFAULT_MATERIAL;
+  let bestDiff = Infinity;
+
+  for (const name of Object.keys(MATERIALS)) {
+    const diff = Math.abs(getContactProperties(name, DEFAULT_MATERIAL).friction - friction);
+    if (diff < bestDiff) {
+      best = name;
+      bestDiff = diff;
+    }
+  }
+
+  return best;
+}
@@ -0,0 +1,257 @@
+import * as THREE from 'three';
+import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { OBJExporter } from 'three/examples/jsm/exporters/OBJExporter.js';
+import { STLExporter } from 'three/examples/jsm/exporters/STLExporter.js';
+import { acquireBlockResources, releaseBlockResources, createBlockPartGeometries } from './blocks.js';
+
+// 3D model export
+//
+// Towers go out as a model of their own, built from the physics bodies as
+// they stand now: one mesh per block plus a slab of ground under the
+// tower's footprint. Nothing else in the game scene (the ghost, grid, edge
+// lines, outlines, rivets) goes in. glTF keeps each block type's color, OBJ
+// is plain geometry for modelling tools, and STL is one watertight solid
+// for slicers (the blocks and ground joined with manifold-3d), Z up and
+// scaled to a print height in millimetres.
+export const MODEL_FORMATS = {
+  glb: { name: 'glTF (.glb)', extension: 'glb', mimeType: 'model/gltf-binary' },
+  obj: { name: 'OBJ', extension: 'obj', mimeType: 'text/plain' },
+  stl: { name: 'STL (3D print)', extension: 'stl', mimeType: 'model/stl' }
+};
+
+// Print height in millimetres, and the range offered
+export const DEFAULT_PRINT_HEIGHT = 150;
+export const MIN_PRINT_HEIGHT = 10;
+export const MAX_PRINT_HEIGHT = 1000;
+
+// Ground slab: how far it reaches past the tower and how thick it is
+const FOOTPRINT_MARGIN = 5;
+const GROUND_THICKNESS = 2;
+const GROUND_COLOR = 0x90EE90;
+
+// Vertices closer than this are one vertex in the STL
+const WELD_TOLERANCE = 1e-4;
+
+// manifold-3d, loaded the first time an STL is made (it's a big download)
+let manifold = null;
+
+// Export the block bodies of a tower. Resolves to a Blob in the format's
+// MIME type.
+export async function exportModel(bodies, format, { printHeight = DEFAULT_PRINT_HEIGHT } = {}) {
+  const config = MODEL_FORMATS[format];
+  if (!config) {
+    throw new Error(`Unknown model format "${format}"`);
+  }
+
+  const model = buildModel(bodies);
+  try {
+    const data = await writeModel(model.scene, format, printHeight);
+    return new Blob([data], { type: config.mimeType });
+  } finally {
+    model.dispose();
+  }
+}
+
+function writeModel(scene, format, printHeight) {
+  switch (format) {
+    case 'glb':
+      return new GLTFExporter().parseAsync(scene, { binary: true });
+    case 'obj':
+      return new OBJExporter().parse(scene);
+    case 'stl':
+      return createPrintMesh(scene, printHeight).then(mesh => {
+        const data = new STLExporter().parse(mesh, { binary: true });
+        mesh.geometry.dispose();
+        return data;
+      });
+  }
+}
+
+// A scene with a mesh for every block body and the ground slab under them.
+// Returns { scene, dispose() }; dispose() lets go of the block resources
+// and what was made for the export.
+export function buildModel(bodies) {
+  const blockBodies = bodies.filter(body => body.userData && body.userData.blockType);
+  if (blockBodies.length === 0) {
+    throw new Error('There are no blocks to export');
+  }
+
+  const scene = new THREE.Scene();
+  const types = new Map();
+  const owned = [];
+
+  blockBodies.forEach((body, i) => {
+    const blockType = body.userData.blockType;
+    let type = types.get(blockType);
+    if (!type) {
+      const resources = acquireBlockResources(blockType);
+      if (!resources) return;
+
+      // Toon materials aren't part of glTF; the same color in a plain matte
+      // material is
+      const material = new THREE.MeshStandardMaterial({ color: resources.material.color, roughness: 1, metalness: 0 });
+      material.name = blockType;
+      type = { resources, material };
+      types.set(blockType, type);
+      owned.push(material);
+    }
+
+    const mesh = new THREE.Mesh(type.resources.geometry, type.material);
+    mesh.name = `${blockType}-${i + 1}`;
+    mesh.userData.blockType = blockType;
+    mesh.position.set(body.position.x, body.position.y, body.position.z);
+    mesh.quaternion.set(body.quaternion.x, body.quaternion.y, body.quaternion.z, body.quaternion.w);
+    scene.add(mesh);
+  });
+
+  scene.updateMatrixWorld(true);
+  const bounds = new THREE.Box3().setFromObject(scene);
+  const ground = createGround(bounds);
+  scene.add(ground);
+  owned.push(ground.geometry, ground.material);
+
+  return {
+    scene,
+    dispose() {
+      for (const item of owned) {
+        item.dispose();
+      }
+      for (const blockType of types.keys()) {
+        releaseBlockResources(blockType);
+      }
+    }
+  };
+}
+
+// A slab under the tower's footprint, with its top at ground level
+function createGround(bounds) {
+  const width = bounds.max.x - bounds.min.x + FOOTPRINT_MARGIN * 2;
+  const depth = bounds.max.z - bounds.min.z + FOOTPRINT_MARGIN * 2;
+  const geometry = new THREE.BoxGeometry(width, GROUND_THICKNESS, depth);
+  const material = new THREE.MeshStandardMaterial({ color: GROUND_COLOR, roughness: 1, metalness: 0 });
+  material.name = 'ground';
+
+  const ground = new THREE.Mesh(geometry, material);
+  ground.name = 'ground';
+  ground.position.set(
+    (bounds.min.x + bounds.max.x) / 2,
+    -GROUND_THICKNESS / 2,
+    (bounds.min.z + bounds.max.z) / 2
+  );
+  ground.updateMatrixWorld();
+  return ground;
+}
+
+// The blocks and the ground joined into one watertight solid: Z up,
+// standing on z = 0, centred and scaled to `printHeight` millimetres tall
+async function createPrintMesh(scene, printHeight) {
+  if (!(printHeight >= MIN_PRINT_HEIGHT && printHeight <= MAX_PRINT_HEIGHT)) {
+    throw new Error(`Print height must be ${MIN_PRINT_HEIGHT} to ${MAX_PRINT_HEIGHT} mm`);
+  }
+
+  // blockType -> shells of its parts, in the block's frame
+  const shellsByType = new Map();
+  const shells = [];
+
+  scene.traverse(object => {
+    if (!object.isMesh) return;
+
+    const blockType = object.userData.blockType;
+    let typeShells = blockType ? shellsByType.get(blockType) : null;
+    if (!typeShells) {
+      const parts = blockType ? createBlockPartGeometries(blockType) : [object.geometry];
+      typeShells = parts.map(part => createShell(part));
+      if (blockType) {
+        shellsByType.set(blockType, typeShells);
+        parts.forEach(part => part.dispose());
+      }
+    }
+
+    for (const shell of typeShells) {
+      shells.push(shell.clone().applyMatrix4(object.matrixWorld));
+    }
+  });
+
+  let geometry;
+  try {
+    geometry = await unionShells(shells);
+  } finally {
+    for (const shell of shells) {
+      shell.dispose();
+    }
+    for (const typeShells of shellsByType.values()) {
+      typeShells.forEach(shell => shell.dispose());
+    }
+  }
+
+  geometry.rotateX(Math.PI / 2);
+  geometry.computeBoundingBox();
+  const { min, max } = geometry.boundingBox;
+  const scale = printHeight / (max.z - min.z);
+  geometry.translate(-(min.x + max.x) / 2, -(min.y + max.y) / 2, -min.z);
+  geometry.scale(scale, scale, scale);
+
+  return new THREE.Mesh(geometry);
+}
+
+// One solid from closed shells: where they touch or overlap, they're fused
+// into a single surface
+async function unionShells(shells) {
+  const { Manifold, Mesh } = await loadManifold();
+  const solids = [];
+  let union = null;
+
+  try {
+    for (const shell of shells) {
+      const mesh = new Mesh({
+        numProp: 3,
+        vertProperties: new Float32Array(shell.attributes.position.array),
+        triVerts: new Uint32Array(shell.index.array)
+      });
+      mesh.merge();
+      solids.push(new Manifold(mesh));
+    }
+
+    union = Manifold.union(solids);
+    const result = union.getMesh();
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(result.vertProperties, result.numProp));
+    geometry.setIndex(new THREE.BufferAttribute(result.triVerts, 1));
+    return geometry;
+  } finally {
+    // Manifolds live in WebAssembly memory, which isn't garbage collected
+    for (const solid of solids) {
+      solid.delete();
+    }
+    if (union) union.delete();
+  }
+}
+
+function loadManifold() {
+  if (!manifold) {
+    manifold = import('manifold-3d')
+      .then(({ default: Module }) => Module())
+      .then(wasm => {
+        wasm.setup();
+        return wasm;
+      })
+      .catch(error => {
+        manifold = null;
+        throw new Error(`Could not load the STL mesh library: ${error.message || error}`);
+      });
+  }
+  return manifold;
+}
+
+// A closed part as triangles sharing their corners, with positions only
+function createShell(geometry) {
+  const triangles = geometry.index ? geometry.toNonIndexed() : geometry.clone();
+  for (const name of Object.keys(triangles.attributes)) {
+    if (name !== 'position') triangles.deleteAttribute(name);
+  }
+
+  const shell = mergeVertices(triangles, WELD_TOLERANCE);
+  triangles.dispose();
+  return shell;
+}
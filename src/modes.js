@@ -0,0 +1,100 @@
+// Game modes
+//
+// Sandbox is free building with no way to lose. Challenge gives the player a
+// few lives: every collapse costs one, and the game ends when they run out.
+// Storm is a timed challenge under constant wind gusts and earthquakes; the
+// score is whatever is still standing when the time is up. Levels plays the
+// goals from levels.json (see levels.js), and Jenga is the game of pulling
+// planks out of a tower in turns (see jenga.js). Hotseat passes one device
+// round several players building the same tower (see hotseat.js), and
+// Online builds one tower with players on other devices (see network.js).
+export const GAME_MODES = {
+  sandbox: {
+    name: 'Sandbox',
+    icon: '🏗️'
+  },
+  challenge: {
+    name: 'Challenge',
+    icon: '❤️',
+    lives: 3
+  },
+  storm: {
+    name: 'Storm',
+    icon: '🌪️',
+    lives: 3,
+    timeLimit: 90, // Seconds
+    hazards: {
+      wind: { strength: 8 },
+      earthquake: { amplitude: 2 },
+      interval: [300, 720]
+    }
+  },
+  levels: {
+    name: 'Levels',
+    icon: '🎯'
+  },
+  jenga: {
+    name: 'Jenga',
+    icon: '🪵',
+    jenga: { players: 2 }
+  },
+  hotseat: {
+    name: 'Hotseat',
+    icon: '👪',
+    hotseat: true
+  },
+  online: {
+    name: 'Online',
+    icon: '🌐',
+    online: true
+  }
+};
+
+// One run of challenge mode
+export class ChallengeSession {
+  constructor(options = {}) {
+    this.maxLives = options.lives ?? 3;
+    this.lives = this.maxLives;
+    this.peakHeight = 0;
+
+    // Seconds left for timed modes, null when there's no limit
+    this.timeLeft = options.timeLimit ?? null;
+
+    // Blocks that fall within this many ticks of each other are one collapse
+    this.graceTicks = options.graceTicks ?? 120;
+    this.lastCollapseTick = -Infinity;
+  }
+
+  // Returns true if this collapse event cost a life
+  handleCollapse(event) {
+    if (this.isOver()) return false;
+
+    const elapsed = event.tick - this.lastCollapseTick;
+    const sameCollapse = elapsed >= 0 && elapsed < this.graceTicks;
+    this.lastCollapseTick = event.tick;
+    if (sameCollapse) return false;
+
+    this.lives--;
+    return true;
+  }
+
+  trackHeight(height) {
+    this.peakHeight = Math.max(this.peakHeight, height);
+  }
+
+  // Count down the clock; returns true when time runs out
+  advanceTime(seconds) {
+    if (this.timeLeft === null || this.isOver()) return false;
+
+    this.timeLeft = Math.max(0, this.timeLeft - seconds);
+    return this.timeLeft === 0;
+  }
+
+  isTimeUp() {
+    return this.timeLeft === 0;
+  }
+
+  isOver() {
+    return this.lives <= 0 || this.isTimeUp();
+  }
+}
@@ -0,0 +1,140 @@
+// Messages between the game and the multiplayer server
+//
+// Every message is one JSON text frame. The server (scripts/server.js) owns
+// each room's block list and turn order; clients ask it to place blocks and
+// only build what it sends back, so every tower has the same blocks in the
+// same order. Each client simulates the tower itself, and the room's host
+// (whoever has been in it longest) sends its transforms for the others to
+// reconcile against.
+//
+// Game to server:
+//   { type: 'join', room, name, color, mode }  First message. mode (a
+//                                              NET_MODES key) only counts
+//                                              when it opens the room.
+//   { type: 'place', block }                   block is { type, position,
+//                                              quaternion }
+//   { type: 'sync', states }                   Host only: { id, position,
+//                                              quaternion, velocity,
+//                                              angularVelocity, sleepState }
+//                                              for each block, by block id
+//   { type: 'clear' }                          Host only: start over
+//
+// Server to game:
+//   { type: 'welcome', you, room }     room is { name, mode, players, host,
+//                                      turn, blocks }, with blocks as in
+//                                      'placed' (positions as last synced)
+//   { type: 'players', players, host, turn }   Someone joined or left
+//   { type: 'placed', block, turn }    block is { id, type, position,
+//                                      quaternion, owner }, turn the player
+//                                      to go next
+//   { type: 'sync', states }           The host's states, to everyone else
+//   { type: 'cleared', turn }
+//   { type: 'error', message }         A message was refused
+//
+// Players are { id, name, color }; host and turn are player ids (turn is
+// null in co-op).
+export const DEFAULT_PORT = 8787;
+
+// Seconds between the host's syncs
+export const SYNC_INTERVAL = 0.5;
+
+export const NET_MODES = {
+  coop: { name: 'Co-op', turns: false },
+  turns: { name: 'Take Turns', turns: true }
+};
+
+export const MAX_ROOM_PLAYERS = 8;
+export const MAX_ROOM_BLOCKS = 2000;
+
+const MAX_NAME_LENGTH = 20;
+
+// Where a block may be placed: over the build area (as in the collapse rules)
+// and no higher than any tower gets
+const MAX_PLACEMENT_XZ = 100;
+const MAX_PLACEMENT_HEIGHT = 10000;
+
+// Synced blocks can have fallen off the build area, but not this far, nor
+// be moving this fast
+const MAX_SYNC_DISTANCE = 10000;
+const MAX_SYNC_SPEED = 10000;
+
+// A join message as { room, name, color, mode }, tidied up; throws if the
+// color can't be used
+export function readJoin(message) {
+  const room = typeof message.room === 'string' ? message.room.trim().slice(0, 40) : '';
+  const name = typeof message.name === 'string' ? message.name.trim().slice(0, MAX_NAME_LENGTH) : '';
+  const color = typeof message.color === 'string' && /^#[0-9a-f]{6}$/i.test(message.color) ? message.color : null;
+  if (!color) {
+    throw new Error('Join needs a #rrggbb color');
+  }
+
+  return {
+    room: room || 'lobby',
+    name,
+    color,
+    mode: NET_MODES[message.mode] ? message.mode : 'coop'
+  };
+}
+
+// A placement request as { type, position, quaternion }; throws if it isn't
+// one. Block types aren't checked: custom types are only known to clients.
+export function readPlacement(block) {
+  if (!block || typeof block.type !== 'string' || block.type.length > 64) {
+    throw new Error('Placement needs a block type');
+  }
+  if (!isVector(block.position, ['x', 'y', 'z']) || !isVector(block.quaternion, ['x', 'y', 'z', 'w'])) {
+    throw new Error('Placement needs a position and a quaternion');
+  }
+
+  // Anything else would throw the physics out for everyone
+  const { x, y, z } = block.position;
+  if (Math.abs(x) > MAX_PLACEMENT_XZ || Math.abs(z) > MAX_PLACEMENT_XZ || y < 0 || y > MAX_PLACEMENT_HEIGHT) {
+    throw new Error('Placement is outside the build area');
+  }
+  const q = block.quaternion;
+  if (Math.abs(Math.hypot(q.x, q.y, q.z, q.w) - 1) > 0.01) {
+    throw new Error('Placement quaternion is not a rotation');
+  }
+
+  return {
+    type: block.type,
+    position: pick(block.position, ['x', 'y', 'z']),
+    quaternion: pick(block.quaternion, ['x', 'y', 'z', 'w'])
+  };
+}
+
+// A synced block state, or null if it isn't one
+export function readSyncState(state) {
+  if (!state || !Number.isInteger(state.id)) return null;
+
+  const keys = ['x', 'y', 'z'];
+  if (!isVector(state.position, keys) || !isVector(state.quaternion, ['x', 'y', 'z', 'w'])) return null;
+  if (!isVector(state.velocity, keys) || !isVector(state.angularVelocity, keys)) return null;
+  if (!isWithin(state.position, keys, MAX_SYNC_DISTANCE)) return null;
+  if (!isWithin(state.velocity, keys, MAX_SYNC_SPEED) || !isWithin(state.angularVelocity, keys, MAX_SYNC_SPEED)) return null;
+
+  return {
+    id: state.id,
+    position: pick(state.position, keys),
+    quaternion: pick(state.quaternion, ['x', 'y', 'z', 'w']),
+    velocity: pick(state.velocity, keys),
+    angularVelocity: pick(state.angularVelocity, keys),
+    sleepState: Number.isInteger(state.sleepState) ? state.sleepState : 0
+  };
+}
+
+function isVector(value, keys) {
+  return !!value && keys.every(key => Number.isFinite(value[key]));
+}
+
+function isWithin(value, keys, limit) {
+  return keys.every(key => Math.abs(value[key]) <= limit);
+}
+
+function pick(value, keys) {
+  const result = {};
+  for (const key of keys) {
+    result[key] = value[key];
+  }
+  return result;
+}
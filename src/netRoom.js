@@ -0,0 +1,211 @@
+import { readJoin, readPlacement, readSyncState, NET_MODES, MAX_ROOM_PLAYERS, MAX_ROOM_BLOCKS } from './netProtocol.js';
+
+// Multiplayer rooms, as the server keeps them
+//
+// Kept apart from the sockets (see scripts/server.js), so all a connection
+// needs is a function that sends a message object. A room holds the block
+// list everyone builds from, and in turns mode whose turn it is; it goes
+// away when its last player leaves.
+export class NetLobby {
+  constructor() {
+    this.rooms = new Map();
+    this.nextPlayerId = 1;
+  }
+
+  // Handle a new connection. Returns { receive(message), close() } for its
+  // messages and its end.
+  connect(send) {
+    let room = null;
+    let player = null;
+
+    const receive = (message) => {
+      if (!message || typeof message.type !== 'string') {
+        send({ type: 'error', message: 'Messages need a type' });
+        return;
+      }
+
+      if (!player) {
+        if (message.type !== 'join') {
+          send({ type: 'error', message: 'Join a room first' });
+          return;
+        }
+        try {
+          const join = readJoin(message);
+          room = this.rooms.get(join.room);
+          if (!room) {
+            room = new NetRoom(join.room, join.mode);
+            this.rooms.set(room.name, room);
+          }
+          player = room.join({ id: this.nextPlayerId++, name: join.name, color: join.color, send });
+        } catch (error) {
+          send({ type: 'error', message: error.message });
+        }
+        return;
+      }
+
+      room.receive(player, message);
+    };
+
+    const close = () => {
+      if (!player) return;
+
+      room.leave(player);
+      if (room.players.length === 0) {
+        this.rooms.delete(room.name);
+      }
+      player = null;
+    };
+
+    return { receive, close };
+  }
+}
+
+export class NetRoom {
+  constructor(name, mode = 'coop') {
+    this.name = name;
+    this.mode = mode;
+
+    // In the order they joined; the first is the host
+    this.players = [];
+
+    // { id, type, position, quaternion, owner } in the order they were placed
+    this.blocks = [];
+    this.nextBlockId = 1;
+
+    // Id of the player whose turn it is, null in co-op
+    this.turn = null;
+  }
+
+  get host() {
+    return this.players[0] || null;
+  }
+
+  join(player) {
+    if (this.players.length >= MAX_ROOM_PLAYERS) {
+      throw new Error(`Room "${this.name}" is full`);
+    }
+
+    player.name = player.name || `Player ${player.id}`;
+    this.players.push(player);
+    if (NET_MODES[this.mode].turns && this.turn === null) {
+      this.turn = player.id;
+    }
+
+    player.send({
+      type: 'welcome',
+      you: player.id,
+      room: {
+        name: this.name,
+        mode: this.mode,
+        players: this.getPlayers(),
+        host: this.host.id,
+        turn: this.turn,
+        blocks: this.blocks
+      }
+    });
+    this.broadcastPlayers(player);
+    return player;
+  }
+
+  leave(player) {
+    const index = this.players.indexOf(player);
+    if (index === -1) return;
+
+    // Whoever was next gets the turn
+    if (this.turn === player.id) {
+      const next = this.players[(index + 1) % this.players.length];
+      this.turn = next === player ? null : next.id;
+    }
+    this.players.splice(index, 1);
+    this.broadcastPlayers();
+  }
+
+  receive(player, message) {
+    try {
+      switch (message.type) {
+        case 'place':
+          this.place(player, readPlacement(message.block));
+          break;
+        case 'sync':
+          this.sync(player, message.states);
+          break;
+        case 'clear':
+          this.clear(player);
+          break;
+        default:
+          throw new Error(`Unknown message type "${message.type}"`);
+      }
+    } catch (error) {
+      player.send({ type: 'error', message: error.message });
+    }
+  }
+
+  place(player, placement) {
+    if (this.turn !== null && this.turn !== player.id) {
+      throw new Error("It's not your turn");
+    }
+    if (this.blocks.length >= MAX_ROOM_BLOCKS) {
+      throw new Error('The tower is at its block limit');
+    }
+
+    const block = { id: this.nextBlockId++, ...placement, owner: player.id };
+    this.blocks.push(block);
+    if (this.turn !== null) {
+      const index = this.players.indexOf(player);
+      this.turn = this.players[(index + 1) % this.players.length].id;
+    }
+    this.broadcast({ type: 'placed', block, turn: this.turn });
+  }
+
+  // Keep the host's transforms, for players who join later, and pass them on
+  sync(player, states) {
+    if (player !== this.host) {
+      throw new Error('Only the host syncs');
+    }
+    if (!Array.isArray(states)) {
+      throw new Error('Sync needs a list of states');
+    }
+
+    const blocksById = new Map(this.blocks.map(block => [block.id, block]));
+    const synced = [];
+    for (const raw of states) {
+      const state = readSyncState(raw);
+      const block = state && blocksById.get(state.id);
+      if (!block) continue;
+
+      block.position = state.position;
+      block.quaternion = state.quaternion;
+      synced.push(state);
+    }
+    this.broadcast({ type: 'sync', states: synced }, player);
+  }
+
+  clear(player) {
+    if (player !== this.host) {
+      throw new Error('Only the host can clear the tower');
+    }
+
+    this.blocks = [];
+    if (this.turn !== null) {
+      this.turn = this.host.id;
+    }
+    this.broadcast({ type: 'cleared', turn: this.turn });
+  }
+
+  getPlayers() {
+    return this.players.map(({ id, name, color }) => ({ id, name, color }));
+  }
+
+  broadcastPlayers(except = null) {
+    const host = this.host;
+    this.broadcast({ type: 'players', players: this.getPlayers(), host: host ? host.id : null, turn: this.turn }, except);
+  }
+
+  broadcast(message, except = null) {
+    for (const player of this.players) {
+      if (player !== except) {
+        player.send(message);
+      }
+    }
+  }
+}
@@ -0,0 +1,157 @@
+import { DEFAULT_PORT } from './netProtocol.js';
+
+// Client side of networked multiplayer
+//
+// A connection to a room on the multiplayer server (see netProtocol.js). It
+// keeps the room's players, host and turn up to date from the server's
+// messages and hands blocks and syncs to the game through callbacks.
+export class NetworkSession {
+  constructor(url, join) {
+    this.url = url;
+
+    this.you = null;
+    this.players = [];
+    this.host = null;
+    this.turn = null;
+    this.connected = false;
+
+    // Player id -> color, kept after players leave so their blocks keep it
+    this.colors = new Map();
+
+    // Callbacks: the room as it was when joining, a block the server placed,
+    // the host's block states, the tower cleared, players or turn changed,
+    // a refused message, and the connection lost (with why; not called
+    // when it's closed from here)
+    this.onWelcome = null;
+    this.onPlaced = null;
+    this.onSync = null;
+    this.onCleared = null;
+    this.onPlayers = null;
+    this.onError = null;
+    this.onClose = null;
+
+    this.socket = new WebSocket(url);
+    this.socket.onopen = () => this.send({ type: 'join', ...join });
+    this.socket.onmessage = (event) => this.receive(event.data);
+    this.socket.onclose = () => this.closed();
+    this.socket.onerror = () => this.closed();
+  }
+
+  get isHost() {
+    return this.you !== null && this.you === this.host;
+  }
+
+  // Whether it's this player's go (always, in co-op)
+  isMyTurn() {
+    return this.turn === null || this.turn === this.you;
+  }
+
+  send(message) {
+    if (this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  place(type, position, quaternion) {
+    this.send({ type: 'place', block: { type, position, quaternion } });
+  }
+
+  sync(states) {
+    this.send({ type: 'sync', states });
+  }
+
+  clear() {
+    this.send({ type: 'clear' });
+  }
+
+  close() {
+    this.onClose = null;
+    this.socket.close();
+    this.connected = false;
+  }
+
+  receive(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      console.warn('Ignoring a message from the server that is not JSON');
+      return;
+    }
+
+    switch (message.type) {
+      case 'welcome':
+        this.connected = true;
+        this.you = message.you;
+        this.setPlayers(message.room);
+        if (this.onWelcome) this.onWelcome(message.room);
+        break;
+      case 'players':
+        this.setPlayers(message);
+        if (this.onPlayers) this.onPlayers();
+        break;
+      case 'placed':
+        this.turn = message.turn;
+        if (this.onPlaced) this.onPlaced(message.block);
+        if (this.onPlayers) this.onPlayers();
+        break;
+      case 'sync':
+        if (this.onSync) this.onSync(message.states);
+        break;
+      case 'cleared':
+        this.turn = message.turn;
+        if (this.onCleared) this.onCleared();
+        if (this.onPlayers) this.onPlayers();
+        break;
+      case 'error':
+        if (this.onError) this.onError(message.message);
+        break;
+      default:
+        console.warn(`Ignoring an unknown message from the server: ${message.type}`);
+    }
+  }
+
+  setPlayers({ players, host, turn }) {
+    this.players = players;
+    this.host = host;
+    this.turn = turn;
+    for (const player of players) {
+      this.colors.set(player.id, player.color);
+    }
+  }
+
+  // A failed socket reports an error and then closes; only the first counts
+  closed() {
+    const onClose = this.onClose;
+    const reason = this.connected ? 'Lost the connection to the server' : `Could not connect to ${this.url}`;
+    this.onClose = null;
+    this.connected = false;
+    if (onClose) onClose(reason);
+  }
+}
+
+// How far a block may drift from the host's copy before it's put back:
+// half a unit, or about five degrees
+const SYNC_DISTANCE = 0.5;
+const SYNC_ALIGNMENT = Math.cos((5 * Math.PI / 180) / 2);
+
+// Whether a body has drifted too far from a state the host synced. Small
+// differences are left to settle by themselves, so blocks don't jitter.
+export function isOutOfSync(body, state) {
+  const { position, quaternion } = state;
+  const offset = Math.hypot(
+    body.position.x - position.x,
+    body.position.y - position.y,
+    body.position.z - position.z
+  );
+  const q = body.quaternion;
+  const alignment = Math.abs(q.x * quaternion.x + q.y * quaternion.y + q.z * quaternion.z + q.w * quaternion.w);
+  return offset > SYNC_DISTANCE || alignment < SYNC_ALIGNMENT;
+}
+
+// The server on the machine the game was loaded from, which is localhost
+// while developing
+export function getDefaultServerUrl() {
+  const host = typeof location !== 'undefined' && location.hostname ? location.hostname : 'localhost';
+  return `ws://${host}:${DEFAULT_PORT}`;
+}
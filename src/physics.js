@@ -1,33 +1,135 @@
 import * as CANNON from 'cannon-es';
+import { DEFAULT_MATERIAL, createContactMaterials, getPhysicsMaterial } from './materials.js';
+import { HazardSystem } from './hazards.js';
+import { SpatialGrid } from './spatialIndex.js';
+import { SpatialHashBroadphase } from './broadphase.js';
+
+// Fixed timestep for consistent physics
+export const FIXED_TIME_STEP = 1 / 60;
+
+// When a block counts as collapsing
+export const DEFAULT_COLLAPSE_RULES = {
+  tiltAngle: Math.PI / 6,  // Tipped 30° away from how it was placed
+  dropDistance: 10,        // Fell this far below where it last rested
+  buildAreaHalfSize: 100,  // Left the square build area around the origin
+  restSteps: 30            // Steps a block must be still before it counts as resting
+};
+
+const WORLD_UP = new CANNON.Vec3(0, 1, 0);
+
+// Cell size of the block index; about the size of a typical block
+const INDEX_CELL_SIZE = 10;
+
+// Placement queries down a whole column only look this far below the ground
+const INDEX_FLOOR = -20;
+
+// Blocks this close to a removed one are woken up
+const WAKE_MARGIN = 1;
+
+// Solver iterations, and how slow (and for how many seconds) a block must be
+// to fall asleep. Under this strong gravity a block in a standing stack
+// jitters at up to about a unit a second, so a lower limit keeps a whole
+// tower awake and stepping forever. A block tipping off an edge passes the
+// limit within the second unless it's balanced to a hair. Tall stacks of thin
+// blocks need more iterations to stand still (see jenga.js).
+export const DEFAULT_SOLVER_SETTINGS = {
+  iterations: 10,
+  sleepSpeedLimit: 1,
+  sleepTimeLimit: 1
+};
+
+// A tug pulls its point on a block like a spring with this stiffness and
+// damping (per unit of mass), up to a force of TUG_MAX_FORCE per unit of mass
+const TUG_STIFFNESS = 60;
+const TUG_DAMPING = 12;
+const TUG_MAX_FORCE = 400;
+
+// A weld breaks when any of the forces (or torques) holding its two blocks
+// together passes its break force. This lets a welded beam stick out on its
+// own and shrug off a block set down on it, but not one dropped from high up.
+export const DEFAULT_WELD_BREAK_FORCE = 8000;
+
+// Blocks this close count as touching, and can be welded
+const WELD_MARGIN = 0.5;
 
 export class PhysicsWorld {
-  constructor() {
+  constructor(options = {}) {
     this.world = new CANNON.World();
     this.world.gravity.set(0, -50, 0); // Gravity
-    this.world.broadphase = new CANNON.NaiveBroadphase();
-    this.world.solver.iterations = 10;
+    // Only bodies near each other are tested for contact (see broadphase.js);
+    // testing every pair slows to a crawl past a few hundred blocks
+    this.world.broadphase = new SpatialHashBroadphase(this.world);
+    // Cannon's default record of touching pairs has a slot for every pair of
+    // bodies and clears them all each step, which takes milliseconds by
+    // itself past a thousand blocks. This one only holds the touching pairs.
+    this.world.collisionMatrix = new CANNON.ObjectCollisionMatrix();
+    this.world.collisionMatrixPrevious = new CANNON.ObjectCollisionMatrix();
+    this.solverSettings = { ...DEFAULT_SOLVER_SETTINGS, ...options.solver };
+    this.world.solver.iterations = this.solverSettings.iterations;
     this.world.allowSleep = true;
 
-    // Default contact material
-    this.defaultMaterial = new CANNON.Material('default');
-    const defaultContactMaterial = new CANNON.ContactMaterial(
-      this.defaultMaterial,
-      this.defaultMaterial,
-      {
-        friction: 0.5,
-        restitution: 0.1,
-        contactEquationStiffness: 1e8,
-        contactEquationRelaxation: 3
+    // Cannon caps each friction impulse at mu * m * |frictionGravity| without
+    // scaling by the timestep, so friction comes out 60 times too strong and
+    // nothing ever slides. Scaling the gravity it uses by the step fixes that.
+    this.world.frictionGravity = this.world.gravity.scale(FIXED_TIME_STEP);
+
+    // Contact materials for every pair of block materials (see materials.js)
+    this.defaultMaterial = getPhysicsMaterial(DEFAULT_MATERIAL);
+    for (const contactMaterial of createContactMaterials()) {
+      this.world.addContactMaterial(contactMaterial);
+      if (contactMaterial.materials.every(m => m === this.defaultMaterial)) {
+        this.world.defaultContactMaterial = contactMaterial;
       }
-    );
-    this.world.addContactMaterial(defaultContactMaterial);
-    this.world.defaultContactMaterial = defaultContactMaterial;
+    }
 
     // Track all bodies
     this.bodies = [];
     this.groundBody = null;
 
+    // World bounds of every block's parts, for placement queries. Moving
+    // bodies are re-indexed after every step; sleeping ones don't move.
+    this.blockIndex = new SpatialGrid(INDEX_CELL_SIZE);
+    this.world.addEventListener('postStep', () => this.updateBlockIndex());
+
+    // Top of the highest block, kept as blocks are indexed; null when the
+    // highest one came down and it has to be looked for again
+    this.maxHeight = -Infinity;
+
+    // Deterministic mode steps a fixed number of times per update instead of
+    // catching up with the frame delta, so the same inputs give the same tower
+    this.deterministic = false;
+    this.stepsPerTick = 1;
+    this.setDeterministic(!!options.deterministic, options.stepsPerTick);
+
+    // Collapse detection, checked after every step
+    this.collapseRules = { ...DEFAULT_COLLAPSE_RULES, ...options.collapseRules };
+    this.collapseTracking = new Map();
+    this.onCollapse = null;
+    this.world.addEventListener('postStep', () => this.detectCollapses());
+
+    // A block being dragged: { body, point (on the body, in its own frame),
+    // target (world) }, see setTug()
+    this.tug = null;
+    this.world.addEventListener('preStep', () => this.applyTug());
+
+    // Welded pairs of blocks: { bodyA, bodyB, constraint, breakForce, anchor
+    // (the middle of where they touched, in bodyA's own frame) }. Callback
+    // fired with { bodyA, bodyB, position, tick } when one breaks.
+    this.weldBreakForce = options.weldBreakForce ?? DEFAULT_WELD_BREAK_FORCE;
+    this.welds = [];
+    this.onWeldBreak = null;
+    this.world.addEventListener('postStep', () => this.checkWelds());
+
     this.createGround();
+
+    // Physics worker stepping this world (see physicsWorker.js), or null to
+    // step it here. While one is attached this world is a mirror: edits are
+    // sent on to the worker and the worker's frames overwrite the bodies.
+    this.remote = null;
+
+    // Wind and earthquakes (see hazards.js); options.hazards can set a seed,
+    // a schedule and hazard strengths
+    this.hazards = new HazardSystem(this, options.hazards);
   }
 
   createGround() {
@@ -43,57 +145,479 @@ export class PhysicsWorld {
   }
 
   addBody(body) {
-    body.material = this.defaultMaterial;
+    if (!body.material) {
+      body.material = this.defaultMaterial;
+    }
+    body.sleepSpeedLimit = this.solverSettings.sleepSpeedLimit;
+    body.sleepTimeLimit = this.solverSettings.sleepTimeLimit;
+
+    // Bodies are often turned after they're made; draw them that way from
+    // the start
+    body.previousPosition.copy(body.position);
+    body.interpolatedPosition.copy(body.position);
+    body.previousQuaternion.copy(body.quaternion);
+    body.interpolatedQuaternion.copy(body.quaternion);
+
     this.world.addBody(body);
     this.bodies.push(body);
+    this.trackBody(body);
+    this.indexBody(body);
+
+    if (this.remote) {
+      this.remote.send('add', { block: this.getBodyState(body) });
+    }
     return body;
   }
 
   removeBody(body) {
+    const bounds = this.blockIndex.getBounds(body);
+    if (!this.forgetBody(body)) return;
+
+    // Whatever rested on or leaned against it has to notice it's gone
+    if (bounds) {
+      this.wakeBodiesNear(bounds);
+    }
+
+    if (this.remote) {
+      this.remote.send('remove', { id: body.id });
+    }
+  }
+
+  // Wake the blocks touching a box (or within WAKE_MARGIN of it), then the
+  // blocks touching those, and so on up. A sleeping block only wakes when
+  // something hits it, so one whose support fell away would stay floating.
+  // Blocks that end below a box rest on something else and are left alone.
+  wakeBodiesNear(bounds) {
+    const woken = new Set();
+    const queue = [bounds];
+
+    while (queue.length > 0) {
+      const { min, max } = queue.pop();
+      const lower = { x: min.x - WAKE_MARGIN, y: min.y - WAKE_MARGIN, z: min.z - WAKE_MARGIN };
+      const upper = { x: max.x + WAKE_MARGIN, y: max.y + WAKE_MARGIN, z: max.z + WAKE_MARGIN };
+
+      for (const entry of this.blockIndex.query(lower, upper)) {
+        if (woken.has(entry.item) || entry.bounds.max.y <= min.y) continue;
+
+        woken.add(entry.item);
+        entry.item.wakeUp();
+        queue.push(entry.bounds);
+      }
+    }
+  }
+
+  // Take a body out of this world only. Returns whether it was in it.
+  forgetBody(body) {
     const index = this.bodies.indexOf(body);
-    if (index > -1) {
-      this.bodies.splice(index, 1);
-      this.world.removeBody(body);
+    if (index === -1) return false;
+
+    this.bodies.splice(index, 1);
+    this.world.removeBody(body);
+    if (this.tug && this.tug.body === body) {
+      this.tug = null;
     }
+    for (const weld of this.welds.filter(w => w.bodyA === body || w.bodyB === body)) {
+      this.dropWeld(weld);
+    }
+    this.collapseTracking.delete(body);
+    this.noteBlockTop(this.blockIndex.getBounds(body), -Infinity);
+    this.blockIndex.delete(body);
+    return true;
   }
 
-  update(deltaTime) {
-    // Fixed timestep for consistent physics
-    const fixedTimeStep = 1 / 60;
-    const maxSubSteps = 3;
+  // Drag a block by a point on it (in the body's own frame) towards a world
+  // position, or let go with null. Call again as the target moves.
+  setTug(tug) {
+    this.tug = tug ? {
+      body: tug.body,
+      point: { x: tug.point.x, y: tug.point.y, z: tug.point.z },
+      target: { x: tug.target.x, y: tug.target.y, z: tug.target.z }
+    } : null;
+
+    if (this.remote) {
+      this.remote.send('tug', {
+        tug: tug ? { id: tug.body.id, point: this.tug.point, target: this.tug.target } : null
+      });
+    }
+  }
 
-    this.world.step(fixedTimeStep, deltaTime, maxSubSteps);
+  // Called before every step: pull the tugged point towards its target. The
+  // force is capped, so a block wedged under the tower doesn't fly out.
+  applyTug() {
+    const tug = this.tug;
+    if (!tug) return;
+
+    const body = tug.body;
+    const point = body.pointToWorldFrame(new CANNON.Vec3(tug.point.x, tug.point.y, tug.point.z));
+    const offset = point.vsub(body.position);
+    const velocity = body.velocity.vadd(body.angularVelocity.cross(offset));
+
+    const force = new CANNON.Vec3(tug.target.x, tug.target.y, tug.target.z).vsub(point);
+    force.scale(TUG_STIFFNESS, force);
+    force.vsub(velocity.scale(TUG_DAMPING), force);
+    force.scale(body.mass, force);
+
+    const maxForce = TUG_MAX_FORCE * body.mass;
+    const length = force.length();
+    if (length > maxForce) {
+      force.scale(maxForce / length, force);
+    }
+
+    body.wakeUp();
+    body.applyForce(force, offset);
   }
 
-  // Sync Three.js meshes with physics bodies
-  syncMeshes() {
+  // Where two blocks touch: the box their parts overlap in (flat along the
+  // side they meet on), or null if they're further apart than WELD_MARGIN
+  getContact(bodyA, bodyB) {
+    const partsA = this.blockIndex.get(bodyA);
+    const partsB = this.blockIndex.get(bodyB);
+    if (!partsA || !partsB) return null;
+
+    for (const a of partsA) {
+      for (const b of partsB) {
+        const min = {};
+        const max = {};
+        let touching = true;
+        for (const axis of ['x', 'y', 'z']) {
+          min[axis] = Math.max(a.center[axis] - a.half[axis], b.center[axis] - b.half[axis]);
+          max[axis] = Math.min(a.center[axis] + a.half[axis], b.center[axis] + b.half[axis]);
+          if (min[axis] - max[axis] > WELD_MARGIN) {
+            touching = false;
+          } else if (min[axis] > max[axis]) {
+            // A gap: meet in the middle of it
+            const middle = (min[axis] + max[axis]) / 2;
+            min[axis] = middle;
+            max[axis] = middle;
+          }
+        }
+        if (touching) return { min, max };
+      }
+    }
+    return null;
+  }
+
+  getWeld(bodyA, bodyB) {
+    return this.welds.find(weld =>
+      (weld.bodyA === bodyA && weld.bodyB === bodyB) ||
+      (weld.bodyA === bodyB && weld.bodyB === bodyA)
+    ) || null;
+  }
+
+  // Lock two blocks together until the weld is pulled harder than
+  // breakForce. The game only welds touching blocks (see getContact()), but
+  // saved welds are put back wherever their blocks ended up.
+  addWeld(bodyA, bodyB, breakForce = this.weldBreakForce) {
+    if (bodyA === bodyB || this.getWeld(bodyA, bodyB)) return null;
+
+    const contact = this.getContact(bodyA, bodyB);
+    const middle = contact ? {
+      x: (contact.min.x + contact.max.x) / 2,
+      y: (contact.min.y + contact.max.y) / 2,
+      z: (contact.min.z + contact.max.z) / 2
+    } : bodyA.position.vadd(bodyB.position).scale(0.5);
+
+    // The blocks touch, so they'd only fight the lock if they collided too
+    const constraint = new CANNON.LockConstraint(bodyA, bodyB);
+    constraint.collideConnected = false;
+    this.world.addConstraint(constraint);
+
+    const weld = {
+      bodyA,
+      bodyB,
+      constraint,
+      breakForce,
+      anchor: bodyA.pointToLocalFrame(new CANNON.Vec3(middle.x, middle.y, middle.z))
+    };
+    this.welds.push(weld);
+
+    if (this.remote) {
+      this.remote.send('weld', { weld: { a: bodyA.id, b: bodyB.id, breakForce } });
+    }
+    return weld;
+  }
+
+  removeWeld(weld) {
+    if (!this.dropWeld(weld)) return;
+
+    weld.bodyA.wakeUp();
+    weld.bodyB.wakeUp();
+    if (this.remote) {
+      this.remote.send('unweld', { a: weld.bodyA.id, b: weld.bodyB.id });
+    }
+  }
+
+  // Take a weld out of this world only. Returns whether it was in it.
+  dropWeld(weld) {
+    const index = this.welds.indexOf(weld);
+    if (index === -1) return false;
+
+    this.welds.splice(index, 1);
+    this.world.removeConstraint(weld.constraint);
+    return true;
+  }
+
+  // Let go of a weld that gave way, and report it. A copy of the world
+  // (the physics worker's mirror) is told here about breaks it didn't step.
+  breakWeld(weld) {
+    if (!this.dropWeld(weld)) return;
+
+    const { bodyA, bodyB } = weld;
+    bodyA.wakeUp();
+    bodyB.wakeUp();
+
+    if (this.onWeldBreak) {
+      const position = bodyA.pointToWorldFrame(weld.anchor);
+      this.onWeldBreak({
+        bodyA,
+        bodyB,
+        position: { x: position.x, y: position.y, z: position.z },
+        tick: this.getTick()
+      });
+    }
+  }
+
+  // Called after every step: break the welds that were pulled too hard, and
+  // wake a sleeping block when the block welded to it moves (only contacts
+  // wake blocks in cannon)
+  checkWelds() {
+    for (const weld of [...this.welds]) {
+      const { bodyA, bodyB } = weld;
+      const asleepA = bodyA.sleepState === CANNON.Body.SLEEPING;
+      const asleepB = bodyB.sleepState === CANNON.Body.SLEEPING;
+
+      // Nothing solves for two sleeping blocks; their forces are garbage
+      if (asleepA && asleepB) continue;
+
+      if (asleepA && bodyB.velocity.length() > bodyB.sleepSpeedLimit) {
+        bodyA.wakeUp();
+      } else if (asleepB && bodyA.velocity.length() > bodyA.sleepSpeedLimit) {
+        bodyB.wakeUp();
+      }
+
+      const force = Math.max(...weld.constraint.equations.map(eq => Math.abs(eq.multiplier)));
+      if (force > weld.breakForce) {
+        this.breakWeld(weld);
+      }
+    }
+  }
+
+  // Weld the bodies made from a snapshot (in the same order, null for any
+  // that couldn't be made) the way the snapshot's blocks were welded
+  restoreWelds(bodies, states) {
+    states.forEach((state, i) => {
+      for (const weld of state.welds || []) {
+        if (bodies[i] && bodies[weld.block]) {
+          this.addWeld(bodies[weld.block], bodies[i], weld.breakForce);
+        }
+      }
+    });
+  }
+
+  // Store a block's part bounds in the index
+  indexBody(body) {
+    if (!body.userData || !body.userData.blockType) return;
+
+    const parts = getBodyShapeBounds(body).map(bounds => ({ body, ...bounds }));
+    const min = { x: Infinity, y: Infinity, z: Infinity };
+    const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+    for (const part of parts) {
+      for (const axis of ['x', 'y', 'z']) {
+        min[axis] = Math.min(min[axis], part.center[axis] - part.half[axis]);
+        max[axis] = Math.max(max[axis], part.center[axis] + part.half[axis]);
+      }
+    }
+
+    const previous = this.blockIndex.getBounds(body);
+    this.blockIndex.set(body, { min, max }, parts);
+    this.noteBlockTop(previous, max.y);
+  }
+
+  // A block's top moved from previous.max.y (if it was indexed) to `top`
+  noteBlockTop(previous, top) {
+    if (this.maxHeight === null) return;
+
+    if (top >= this.maxHeight) {
+      this.maxHeight = top;
+    } else if (previous && previous.max.y >= this.maxHeight) {
+      this.maxHeight = null;
+    }
+  }
+
+  updateBlockIndex() {
     for (const body of this.bodies) {
-      if (body.userData && body.userData.mesh) {
-        const mesh = body.userData.mesh;
-        mesh.position.copy(body.position);
-        mesh.quaternion.copy(body.quaternion);
+      if (body.sleepState !== CANNON.Body.SLEEPING) {
+        this.indexBody(body);
       }
     }
   }
 
-  // Calculate the highest point of all blocks
-  getMaxHeight() {
-    let maxHeight = 0;
+  // Parts ({ body, center, half }) of every block whose bounds overlap the
+  // box from min to max
+  queryBlockParts(min, max) {
+    const parts = [];
+    for (const entry of this.blockIndex.query(min, max)) {
+      for (const part of entry.data) {
+        if (part.center.x - part.half.x <= max.x && part.center.x + part.half.x >= min.x &&
+            part.center.y - part.half.y <= max.y && part.center.y + part.half.y >= min.y &&
+            part.center.z - part.half.z <= max.z && part.center.z + part.half.z >= min.z) {
+          parts.push(part);
+        }
+      }
+    }
+    return parts;
+  }
+
+  // Parts near a block-sized box at position, grown by margin on every side
+  queryPartsAround(position, halfExtents, margin = 0) {
+    return this.queryBlockParts(
+      { x: position.x - halfExtents.x - margin, y: position.y - halfExtents.y - margin, z: position.z - halfExtents.z - margin },
+      { x: position.x + halfExtents.x + margin, y: position.y + halfExtents.y + margin, z: position.z + halfExtents.z + margin }
+    );
+  }
+
+  // Start watching a body for collapse from its current orientation
+  trackBody(body) {
+    this.collapseTracking.set(body, {
+      up: body.quaternion.conjugate().vmult(WORLD_UP), // Local axis that points up
+      restY: null,
+      restSteps: 0,
+      collapsed: false
+    });
+  }
+
+  // Emit an onCollapse event for each block that tips over, falls from
+  // where it rested or leaves the build area. Each block reports once.
+  detectCollapses() {
+    const rules = this.collapseRules;
+    const minUpY = Math.cos(rules.tiltAngle);
+    const up = new CANNON.Vec3();
 
     for (const body of this.bodies) {
-      if (body.userData && body.userData.blockType) {
-        // Get bounding box top
-        const position = body.position;
-        const shape = body.shapes[0];
-
-        if (shape instanceof CANNON.Box) {
-          const topY = position.y + shape.halfExtents.y;
-          maxHeight = Math.max(maxHeight, topY);
+      const track = this.collapseTracking.get(body);
+      if (!track || track.collapsed) continue;
+
+      const position = body.position;
+      let type = null;
+
+      if (
+        Math.abs(position.x) > rules.buildAreaHalfSize ||
+        Math.abs(position.z) > rules.buildAreaHalfSize ||
+        position.y < -rules.dropDistance
+      ) {
+        type = 'out-of-bounds';
+      }
+
+      if (!type) {
+        body.quaternion.vmult(track.up, up);
+        if (up.y < minUpY) {
+          type = 'tilt';
+        }
+      }
+
+      if (!type) {
+        if (isBodyResting(body)) {
+          track.restSteps++;
+          if (track.restSteps >= rules.restSteps) {
+            track.restY = position.y;
+          }
+        } else {
+          track.restSteps = 0;
+          if (track.restY !== null && track.restY - position.y > rules.dropDistance) {
+            type = 'drop';
+          }
+        }
+      }
+
+      if (type) {
+        track.collapsed = true;
+        if (this.onCollapse) {
+          this.onCollapse({
+            type,
+            body,
+            blockType: body.userData.blockType,
+            position: { x: position.x, y: position.y, z: position.z },
+            tick: this.getTick()
+          });
         }
       }
     }
+  }
+
+  setDeterministic(enabled, stepsPerTick = this.stepsPerTick) {
+    this.deterministic = enabled;
+    this.stepsPerTick = Math.max(1, Math.round(stepsPerTick));
+  }
+
+  update(deltaTime) {
+    // The worker steps; take its latest frame
+    if (this.remote) {
+      this.remote.update();
+      return;
+    }
 
-    return Math.max(0, maxHeight);
+    if (this.deterministic) {
+      for (let i = 0; i < this.stepsPerTick; i++) {
+        this.step();
+      }
+      return;
+    }
+
+    const maxSubSteps = 3;
+    this.world.step(FIXED_TIME_STEP, deltaTime, maxSubSteps);
+  }
+
+  // Advance the simulation by exactly one fixed step
+  step() {
+    this.world.step(FIXED_TIME_STEP);
+
+    // Cannon only interpolates when it steps by the frame time, so whole
+    // steps are drawn where they end
+    for (const body of this.bodies) {
+      body.interpolatedPosition.copy(body.position);
+      body.interpolatedQuaternion.copy(body.quaternion);
+    }
+  }
+
+  // Number of fixed steps simulated since the world was created
+  getTick() {
+    return this.world.stepnumber;
+  }
+
+  // Step the world until every block has been at rest for half a second.
+  // Stacks jitter too much to fall asleep, so a low speed counts as resting.
+  // Returns false if the tower is still moving after maxSteps.
+  settle(maxSteps = 600) {
+    const requiredRestSteps = 30;
+    let restSteps = 0;
+    let settled = false;
+
+    for (let i = 0; i < maxSteps && !settled; i++) {
+      this.step();
+
+      restSteps = this.isAtRest() ? restSteps + 1 : 0;
+      settled = restSteps >= requiredRestSteps;
+    }
+
+    // Settling always runs here; the worker carries on from the result
+    if (this.remote) {
+      this.remote.load();
+    }
+    return settled;
+  }
+
+  // Whether every block is asleep or barely moving
+  isAtRest() {
+    return this.bodies.every(body => isBodyResting(body));
+  }
+
+  // Calculate the highest point of all blocks
+  getMaxHeight() {
+    // The index keeps every block's bounds up to date
+    if (this.maxHeight === null) {
+      this.maxHeight = this.blockIndex.getTop();
+    }
+    return Math.max(0, this.maxHeight);
   }
 
   // Clear all blocks (keep ground)
@@ -101,51 +625,45 @@ export class PhysicsWorld {
     // Remove all dynamic bodies
     const bodiesToRemove = [...this.bodies];
     for (const body of bodiesToRemove) {
-      this.removeBody(body);
+      this.forgetBody(body);
+    }
+
+    if (this.remote) {
+      this.remote.send('reset');
     }
   }
 
   // Check if a position would collide with existing blocks
   checkCollision(position, halfExtents) {
-    for (const body of this.bodies) {
-      if (body.userData && body.userData.blockType) {
-        const shape = body.shapes[0];
-        if (shape instanceof CANNON.Box) {
-          const bPos = body.position;
-          const bHalf = shape.halfExtents;
-
-          // Simple AABB collision check
-          const overlap =
-            Math.abs(position.x - bPos.x) < (halfExtents.x + bHalf.x) &&
-            Math.abs(position.y - bPos.y) < (halfExtents.y + bHalf.y) &&
-            Math.abs(position.z - bPos.z) < (halfExtents.z + bHalf.z);
-
-          if (overlap) return true;
-        }
-      }
+    for (const bounds of this.queryPartsAround(position, halfExtents)) {
+      const bPos = bounds.center;
+      const bHalf = bounds.half;
+
+      // Simple AABB collision check
+      const overlap =
+        Math.abs(position.x - bPos.x) < (halfExtents.x + bHalf.x) &&
+        Math.abs(position.y - bPos.y) < (halfExtents.y + bHalf.y) &&
+        Math.abs(position.z - bPos.z) < (halfExtents.z + bHalf.z);
+
+      if (overlap) return true;
     }
     return false;
   }
 
   // Check if placement is valid (no collision with existing blocks)
   isValidPlacement(position, halfExtents, tolerance = 0.5) {
-    // Check against all existing blocks
-    for (const body of this.bodies) {
-      if (body.userData && body.userData.blockType) {
-        const shape = body.shapes[0];
-        if (shape instanceof CANNON.Box) {
-          const bPos = body.position;
-          const bHalf = shape.halfExtents;
-
-          // AABB overlap check with small tolerance
-          const overlapX = Math.abs(position.x - bPos.x) < (halfExtents.x + bHalf.x - tolerance);
-          const overlapY = Math.abs(position.y - bPos.y) < (halfExtents.y + bHalf.y - tolerance);
-          const overlapZ = Math.abs(position.z - bPos.z) < (halfExtents.z + bHalf.z - tolerance);
-
-          if (overlapX && overlapY && overlapZ) {
-            return false; // Collision detected
-          }
-        }
+    // Check against every part of the blocks around it
+    for (const bounds of this.queryPartsAround(position, halfExtents)) {
+      const bPos = bounds.center;
+      const bHalf = bounds.half;
+
+      // AABB overlap check with small tolerance
+      const overlapX = Math.abs(position.x - bPos.x) < (halfExtents.x + bHalf.x - tolerance);
+      const overlapY = Math.abs(position.y - bPos.y) < (halfExtents.y + bHalf.y - tolerance);
+      const overlapZ = Math.abs(position.z - bPos.z) < (halfExtents.z + bHalf.z - tolerance);
+
+      if (overlapX && overlapY && overlapZ) {
+        return false; // Collision detected
       }
     }
     return true;
@@ -160,34 +678,33 @@ export class PhysicsWorld {
       return true;
     }
 
-    // Check if any block is beneath to provide support
-    for (const body of this.bodies) {
-      if (body.userData && body.userData.blockType) {
-        const shape = body.shapes[0];
-        if (shape instanceof CANNON.Box) {
-          const bPos = body.position;
-          const bHalf = shape.halfExtents;
-          const bTopY = bPos.y + bHalf.y;
-
-          // Check if this block's top is near our block's bottom
-          if (Math.abs(bTopY - bottomY) < 1.0) {
-            // Check horizontal overlap (at least 20% overlap in both X and Z)
-            const overlapX = Math.max(0,
-              Math.min(position.x + halfExtents.x, bPos.x + bHalf.x) -
-              Math.max(position.x - halfExtents.x, bPos.x - bHalf.x)
-            );
-            const overlapZ = Math.max(0,
-              Math.min(position.z + halfExtents.z, bPos.z + bHalf.z) -
-              Math.max(position.z - halfExtents.z, bPos.z - bHalf.z)
-            );
-
-            const minOverlapX = halfExtents.x * 0.4; // 20% of block width
-            const minOverlapZ = halfExtents.z * 0.4;
-
-            if (overlapX >= minOverlapX && overlapZ >= minOverlapZ) {
-              return true;
-            }
-          }
+    // Check if any block part just beneath provides support
+    const nearby = this.queryBlockParts(
+      { x: position.x - halfExtents.x, y: bottomY - 1, z: position.z - halfExtents.z },
+      { x: position.x + halfExtents.x, y: bottomY + 1, z: position.z + halfExtents.z }
+    );
+    for (const bounds of nearby) {
+      const bPos = bounds.center;
+      const bHalf = bounds.half;
+      const bTopY = bPos.y + bHalf.y;
+
+      // Check if this part's top is near our block's bottom
+      if (Math.abs(bTopY - bottomY) < 1.0) {
+        // Check horizontal overlap (at least 20% overlap in both X and Z)
+        const overlapX = Math.max(0,
+          Math.min(position.x + halfExtents.x, bPos.x + bHalf.x) -
+          Math.max(position.x - halfExtents.x, bPos.x - bHalf.x)
+        );
+        const overlapZ = Math.max(0,
+          Math.min(position.z + halfExtents.z, bPos.z + bHalf.z) -
+          Math.max(position.z - halfExtents.z, bPos.z - bHalf.z)
+        );
+
+        const minOverlapX = halfExtents.x * 0.4; // 20% of block width
+        const minOverlapZ = halfExtents.z * 0.4;
+
+        if (overlapX >= minOverlapX && overlapZ >= minOverlapZ) {
+          return true;
         }
       }
     }
@@ -199,30 +716,137 @@ export class PhysicsWorld {
   getTopYAt(x, z, blockHalfExtents) {
     let maxTopY = 0;
 
-    for (const body of this.bodies) {
-      if (body.userData && body.userData.blockType) {
-        const shape = body.shapes[0];
-        if (shape instanceof CANNON.Box) {
-          const bPos = body.position;
-          const bHalf = shape.halfExtents;
-
-          // Check if XZ overlaps
-          const overlapX = Math.abs(x - bPos.x) < (blockHalfExtents.x + bHalf.x);
-          const overlapZ = Math.abs(z - bPos.z) < (blockHalfExtents.z + bHalf.z);
-
-          if (overlapX && overlapZ) {
-            const topY = bPos.y + bHalf.y;
-            maxTopY = Math.max(maxTopY, topY);
-          }
-        }
+    // Everything in the column, from just below the ground to the top
+    const column = this.queryBlockParts(
+      { x: x - blockHalfExtents.x, y: INDEX_FLOOR, z: z - blockHalfExtents.z },
+      { x: x + blockHalfExtents.x, y: this.getMaxHeight(), z: z + blockHalfExtents.z }
+    );
+    for (const bounds of column) {
+      const bPos = bounds.center;
+      const bHalf = bounds.half;
+
+      // Check if XZ overlaps
+      const overlapX = Math.abs(x - bPos.x) < (blockHalfExtents.x + bHalf.x);
+      const overlapZ = Math.abs(z - bPos.z) < (blockHalfExtents.z + bHalf.z);
+
+      if (overlapX && overlapZ) {
+        const topY = bPos.y + bHalf.y;
+        maxTopY = Math.max(maxTopY, topY);
       }
     }
 
     return maxTopY;
   }
 
+  // World bounds of every part of every block ({ body, center, half })
+  getBlockParts() {
+    return this.blockIndex.all().flatMap(entry => entry.data);
+  }
+
   // Get all bodies for iteration
   getBodies() {
     return this.bodies;
   }
+
+  // State of one block body, with the body's id so a copy of the world
+  // (the physics worker) can tell bodies apart
+  getBodyState(body) {
+    return { id: body.id, ...captureBodyState(body) };
+  }
+
+  // Capture the transform and motion state of every block body. Each weld
+  // is kept with the later of its two blocks, as { block (index of the
+  // other one), breakForce }.
+  snapshot() {
+    const bodies = this.bodies.filter(body => body.userData && body.userData.blockType);
+    const states = bodies.map(body => captureBodyState(body));
+
+    for (const weld of this.welds) {
+      const a = bodies.indexOf(weld.bodyA);
+      const b = bodies.indexOf(weld.bodyB);
+      if (a === -1 || b === -1) continue;
+
+      const state = states[Math.max(a, b)];
+      state.welds = state.welds || [];
+      state.welds.push({ block: Math.min(a, b), breakForce: weld.breakForce });
+    }
+    return states;
+  }
+
+  // Apply a captured state to a body created for it
+  applyBodyState(body, state) {
+    body.position.set(state.position.x, state.position.y, state.position.z);
+    body.quaternion.set(state.quaternion.x, state.quaternion.y, state.quaternion.z, state.quaternion.w);
+    body.velocity.set(state.velocity.x, state.velocity.y, state.velocity.z);
+    body.angularVelocity.set(state.angularVelocity.x, state.angularVelocity.y, state.angularVelocity.z);
+
+    // Keep interpolation in step so the body does not jump on the next frame
+    body.previousPosition.copy(body.position);
+    body.interpolatedPosition.copy(body.position);
+    body.previousQuaternion.copy(body.quaternion);
+    body.interpolatedQuaternion.copy(body.quaternion);
+
+    if (state.sleepState === CANNON.Body.SLEEPING) {
+      body.sleep();
+    } else {
+      body.wakeUp();
+    }
+
+    // Judge collapses from the restored orientation, not the default one
+    if (this.collapseTracking.has(body)) {
+      this.trackBody(body);
+    }
+    this.indexBody(body);
+
+    if (this.remote && this.collapseTracking.has(body)) {
+      this.remote.send('set', { block: this.getBodyState(body) });
+    }
+  }
+}
+
+// World-space bounding boxes of each part (shape) of a body, so arches and
+// L-shapes are treated as their pieces rather than one solid box
+const shapePosition = new CANNON.Vec3();
+const shapeQuaternion = new CANNON.Quaternion();
+const shapeMin = new CANNON.Vec3();
+const shapeMax = new CANNON.Vec3();
+
+function getBodyShapeBounds(body) {
+  return body.shapes.map((shape, i) => {
+    body.quaternion.vmult(body.shapeOffsets[i], shapePosition);
+    shapePosition.vadd(body.position, shapePosition);
+    body.quaternion.mult(body.shapeOrientations[i], shapeQuaternion);
+    shape.calculateWorldAABB(shapePosition, shapeQuaternion, shapeMin, shapeMax);
+
+    return {
+      center: {
+        x: (shapeMin.x + shapeMax.x) / 2,
+        y: (shapeMin.y + shapeMax.y) / 2,
+        z: (shapeMin.z + shapeMax.z) / 2
+      },
+      half: {
+        x: (shapeMax.x - shapeMin.x) / 2,
+        y: (shapeMax.y - shapeMin.y) / 2,
+        z: (shapeMax.z - shapeMin.z) / 2
+      }
+    };
+  });
+}
+
+// A body counts as resting when asleep or barely moving
+function isBodyResting(body, restSpeed = 0.5) {
+  if (body.sleepState === CANNON.Body.SLEEPING) return true;
+  return body.velocity.length() < restSpeed && body.angularVelocity.length() < restSpeed;
+}
+
+// Plain-object copy of a body's state, safe to keep after the body is removed
+function captureBodyState(body) {
+  return {
+    blockType: body.userData.blockType,
+    position: { x: body.position.x, y: body.position.y, z: body.position.z },
+    quaternion: { x: body.quaternion.x, y: body.quaternion.y, z: body.quaternion.z, w: body.quaternion.w },
+    velocity: { x: body.velocity.x, y: body.velocity.y, z: body.velocity.z },
+    angularVelocity: { x: body.angularVelocity.x, y: body.angularVelocity.y, z: body.angularVelocity.z },
+    sleepState: body.sleepState
+  };
 }
@@ -0,0 +1,240 @@
+import * as CANNON from 'cannon-es';
+import { FIXED_TIME_STEP } from './physics.js';
+import { BODY_STATE_SIZE, readBodyState } from './physicsProtocol.js';
+
+// Main thread side of the physics worker
+//
+// attach() hands a PhysicsWorld to the worker to step. The world stays here
+// as a mirror the game can query and edit as usual: its edits are sent on
+// (see physicsProtocol.js), and every frame it takes the worker's latest
+// body states. Bodies are drawn between the last two states the worker sent,
+// so motion stays smooth when frames arrive unevenly.
+//
+// If the worker fails, or never answers, the world is let go and steps on
+// the main thread from wherever the mirror had got to.
+const STARTUP_TIMEOUT = 3000;
+
+export class PhysicsWorkerClient {
+  constructor(worker) {
+    this.worker = worker;
+    this.physics = null;
+    this.failed = false;
+
+    // Commands waiting for the next flush, and the number of the last
+    // message sent
+    this.outbox = [];
+    this.seq = 0;
+
+    // Message number of the last load; frames from before it belong to an
+    // older world
+    this.loadSeq = 0;
+
+    // Newest usable frame, and the one before it was applied from
+    this.latestFrame = null;
+    this.appliedFrame = null;
+    this.frameInterval = FIXED_TIME_STEP * 1000;
+
+    this.startupTimer = null;
+
+    // Callback fired with the world when the worker fails and it goes back
+    // to stepping on the main thread
+    this.onFallback = null;
+
+    worker.onmessage = (event) => this.receive(event.data);
+    worker.onerror = (event) => this.fail(event.message || 'worker error');
+  }
+
+  // Step `physics` in the worker from now on. Returns false once the worker
+  // has failed.
+  attach(physics) {
+    if (this.failed) return false;
+    if (this.physics === physics) return true;
+
+    this.detach();
+    this.physics = physics;
+    physics.remote = this;
+    this.load();
+    this.flush();
+
+    this.startupTimer = setTimeout(() => this.fail('no frames from the worker'), STARTUP_TIMEOUT);
+    return true;
+  }
+
+  // Go back to stepping the world on the main thread
+  detach() {
+    if (!this.physics) return;
+
+    this.send('stop');
+    this.flush();
+    this.physics.remote = null;
+    this.physics = null;
+    this.latestFrame = null;
+    this.appliedFrame = null;
+    clearTimeout(this.startupTimer);
+  }
+
+  // Replace the worker's world with the mirror as it is now
+  load() {
+    const physics = this.physics;
+    this.send('load', {
+      tick: physics.getTick(),
+      blocks: physics.bodies.map(body => physics.getBodyState(body)),
+      welds: physics.welds.map(weld => ({ a: weld.bodyA.id, b: weld.bodyB.id, breakForce: weld.breakForce })),
+      hazards: physics.hazards.getState(),
+      collapseRules: physics.collapseRules,
+      solver: physics.solverSettings
+    });
+    this.loadSeq = this.seq + 1;
+
+    // Frames waiting to be applied are from the world being replaced
+    this.latestFrame = null;
+    this.appliedFrame = null;
+  }
+
+  // Custom block types (raw definitions, as given to registerBlockTypes)
+  registerBlockTypes(manifest) {
+    if (this.failed) return;
+
+    this.send('blockTypes', { manifest });
+    this.flush();
+  }
+
+  send(type, payload = {}) {
+    this.outbox.push({ type, ...payload });
+  }
+
+  flush() {
+    if (this.outbox.length === 0) return;
+
+    this.seq++;
+    this.worker.postMessage({ type: 'commands', seq: this.seq, commands: this.outbox });
+    this.outbox = [];
+  }
+
+  receive(message) {
+    if (message.type !== 'frame' || !this.physics || message.seq < this.loadSeq) return;
+
+    clearTimeout(this.startupTimer);
+    this.handleEvents(message);
+
+    // States from before the worker saw the latest edits would undo them
+    if (message.seq < this.seq) return;
+
+    message.receivedAt = performance.now();
+    this.latestFrame = message;
+  }
+
+  // Collapses, hazards and broken welds count whenever they happened
+  handleEvents(frame) {
+    const physics = this.physics;
+
+    for (const collapse of frame.collapses) {
+      const body = physics.bodies.find(b => b.id === collapse.id);
+      if (!body) continue;
+
+      // The mirror shouldn't report it again if it takes over stepping
+      const track = physics.collapseTracking.get(body);
+      if (track) track.collapsed = true;
+
+      if (physics.onCollapse) {
+        physics.onCollapse({ ...collapse, body });
+      }
+    }
+
+    for (const hazard of frame.hazardsStarted) {
+      if (physics.hazards.onHazard) {
+        physics.hazards.onHazard(hazard);
+      }
+    }
+
+    for (const { a, b } of frame.weldsBroken) {
+      const weld = physics.getWeld(physics.bodies.find(body => body.id === a), physics.bodies.find(body => body.id === b));
+      if (weld) physics.breakWeld(weld);
+    }
+  }
+
+  // Once a frame: send the edits made since the last one, take the worker's
+  // newest states and set where bodies should be drawn
+  update() {
+    this.flush();
+
+    // A frame kept from before the worker saw the latest load or edits would
+    // undo them; keep drawing towards the last one applied instead
+    if (this.latestFrame && this.latestFrame.seq < this.seq) {
+      this.latestFrame = this.appliedFrame;
+    }
+
+    const frame = this.latestFrame;
+    if (!frame) return;
+
+    if (frame !== this.appliedFrame) {
+      if (this.appliedFrame) {
+        this.frameInterval = Math.max(1, frame.time - this.appliedFrame.time);
+      }
+      this.apply(frame);
+      this.appliedFrame = frame;
+    }
+
+    this.interpolate(frame);
+  }
+
+  apply(frame) {
+    const physics = this.physics;
+    const bodiesById = new Map(physics.bodies.map(body => [body.id, body]));
+    const states = frame.states;
+
+    for (let offset = 0; offset < states.length; offset += BODY_STATE_SIZE) {
+      const body = bodiesById.get(states[offset]);
+      if (!body) continue;
+
+      // Draw from where it was towards the new state
+      body.previousPosition.copy(body.interpolatedPosition);
+      body.previousQuaternion.copy(body.interpolatedQuaternion);
+
+      const wasSleeping = body.sleepState === CANNON.Body.SLEEPING;
+      readBodyState(states, offset, body);
+      if (!wasSleeping || body.sleepState !== CANNON.Body.SLEEPING) {
+        physics.indexBody(body);
+      }
+    }
+
+    physics.world.stepnumber = frame.tick;
+    physics.hazards.setState(frame.hazards);
+  }
+
+  interpolate(frame) {
+    const t = Math.min(1, (performance.now() - frame.receivedAt) / this.frameInterval);
+
+    for (const body of this.physics.bodies) {
+      body.previousPosition.lerp(body.position, t, body.interpolatedPosition);
+      body.previousQuaternion.slerp(body.quaternion, t, body.interpolatedQuaternion);
+    }
+  }
+
+  fail(reason) {
+    if (this.failed) return;
+    this.failed = true;
+
+    console.warn(`Physics worker stopped (${reason}); stepping physics on the main thread`);
+    const physics = this.physics;
+    this.detach();
+    this.worker.terminate();
+
+    if (physics && this.onFallback) {
+      this.onFallback(physics);
+    }
+  }
+}
+
+// A client for a new physics worker, or null where workers aren't available
+export function createPhysicsWorker() {
+  if (typeof Worker === 'undefined') return null;
+
+  try {
+    const worker = new Worker(new URL('./physicsWorker.js', import.meta.url), { type: 'module' });
+    return new PhysicsWorkerClient(worker);
+  } catch (error) {
+    console.warn(`Could not start the physics worker: ${error.message}`);
+    return null;
+  }
+}
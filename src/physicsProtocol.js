@@ -0,0 +1,55 @@
+// Messages between the game and the physics worker
+//
+// Game to worker, at most once a frame: { type: 'commands', seq, commands }
+// with every edit made since the last message, in order. Commands:
+//   { type: 'load', tick, blocks, welds, hazards, collapseRules, solver }
+//       Replace the worker's world (blocks are PhysicsWorld.getBodyState()
+//       results, welds { a, b, breakForce } with a and b body ids, hazards a
+//       HazardSystem.getState()) and start stepping it
+//   { type: 'add', block }, { type: 'set', block }, { type: 'remove', id }
+//   { type: 'reset' }
+//   { type: 'weld', weld }, { type: 'unweld', a, b }
+//   { type: 'tug', tug }                PhysicsWorld.setTug(), with the
+//                                       body's id (tug is null to let go)
+//   { type: 'hazards', method, args }   A HazardSystem call
+//   { type: 'blockTypes', manifest }    Custom block types to register
+//   { type: 'stop' }                    Stop stepping until the next load
+//
+// Worker to game, after every batch of steps: { type: 'frame', seq, tick,
+// time, states, collapses, hazardsStarted, weldsBroken, hazards }. seq is the
+// last command message the worker had applied, states a Float32Array
+// (transferred, not copied) of BODY_STATE_SIZE numbers per body, collapses,
+// hazardsStarted and weldsBroken ({ a, b } body ids) the onCollapse,
+// onHazard and onWeldBreak events since the last frame, and hazards the
+// HazardSystem state.
+
+// id, position (3), quaternion (4), velocity (3), angular velocity (3), sleep state
+export const BODY_STATE_SIZE = 15;
+
+// Pack the state of bodies into one array, each under the id from `getId`
+export function writeBodyStates(bodies, getId) {
+  const states = new Float32Array(bodies.length * BODY_STATE_SIZE);
+
+  bodies.forEach((body, i) => {
+    const offset = i * BODY_STATE_SIZE;
+    states[offset] = getId(body);
+    states.set([body.position.x, body.position.y, body.position.z], offset + 1);
+    states.set([body.quaternion.x, body.quaternion.y, body.quaternion.z, body.quaternion.w], offset + 4);
+    states.set([body.velocity.x, body.velocity.y, body.velocity.z], offset + 8);
+    states.set([body.angularVelocity.x, body.angularVelocity.y, body.angularVelocity.z], offset + 11);
+    states[offset + 14] = body.sleepState;
+  });
+
+  return states;
+}
+
+// Copy the state at `offset` onto a body
+export function readBodyState(states, offset, body) {
+  body.position.set(states[offset + 1], states[offset + 2], states[offset + 3]);
+  body.quaternion.set(states[offset + 4], states[offset + 5], states[offset + 6], states[offset + 7]);
+  body.quaternion.normalize();
+  body.velocity.set(states[offset + 8], states[offset + 9], states[offset + 10]);
+  body.angularVelocity.set(states[offset + 11], states[offset + 12], states[offset + 13]);
+  body.sleepState = states[offset + 14];
+  body.aabbNeedsUpdate = true;
+}
@@ -0,0 +1,188 @@
+import { PhysicsWorld, FIXED_TIME_STEP } from './physics.js';
+import { createBlockBody, registerBlockTypes, BLOCK_TYPES } from './blockDefs.js';
+import { writeBodyStates } from './physicsProtocol.js';
+
+// Physics worker
+//
+// Steps a copy of the game's live PhysicsWorld off the main thread, so a big
+// collapse doesn't hold up input and rendering. The game sends its edits
+// (see physicsProtocol.js) and gets back the body states after every batch
+// of steps. Bodies are known by the ids of the game's bodies.
+const HAZARD_METHODS = ['scheduleHazards', 'setRandom', 'trigger', 'reset'];
+
+let physics = null;
+const bodies = new Map();
+let seq = 0;
+let timer = null;
+let lastTime = 0;
+
+// Events since the last frame
+let collapses = [];
+let hazardsStarted = [];
+let weldsBroken = [];
+
+self.onmessage = (event) => {
+  const message = event.data;
+  if (message.type !== 'commands') return;
+
+  for (const command of message.commands) {
+    runCommand(command);
+  }
+  seq = message.seq;
+};
+
+function runCommand(command) {
+  if (command.type === 'load') {
+    load(command);
+    return;
+  }
+  if (command.type === 'blockTypes') {
+    registerCustomBlockTypes(command.manifest);
+    return;
+  }
+  if (command.type === 'stop') {
+    stop();
+    physics = null;
+    return;
+  }
+  if (!physics) return;
+
+  switch (command.type) {
+    case 'add':
+      addBlock(command.block);
+      break;
+    case 'set': {
+      const body = bodies.get(command.block.id);
+      if (body) physics.applyBodyState(body, command.block);
+      break;
+    }
+    case 'remove': {
+      const body = bodies.get(command.id);
+      if (body) physics.removeBody(body);
+      bodies.delete(command.id);
+      break;
+    }
+    case 'reset':
+      physics.reset();
+      bodies.clear();
+      break;
+    case 'weld': {
+      const a = bodies.get(command.weld.a);
+      const b = bodies.get(command.weld.b);
+      if (a && b) physics.addWeld(a, b, command.weld.breakForce);
+      break;
+    }
+    case 'unweld': {
+      const weld = physics.getWeld(bodies.get(command.a), bodies.get(command.b));
+      if (weld) physics.removeWeld(weld);
+      break;
+    }
+    case 'tug': {
+      const tug = command.tug;
+      const body = tug && bodies.get(tug.id);
+      physics.setTug(body ? { ...tug, body } : null);
+      break;
+    }
+    case 'hazards':
+      if (HAZARD_METHODS.includes(command.method)) {
+        physics.hazards[command.method](...command.args);
+      }
+      break;
+  }
+}
+
+function load({ tick, blocks, welds, hazards, collapseRules, solver }) {
+  physics = new PhysicsWorld({ collapseRules, solver });
+  physics.world.stepnumber = tick;
+  physics.hazards.setState(hazards);
+
+  physics.onCollapse = (event) => {
+    collapses.push({
+      id: event.body.userData.id,
+      type: event.type,
+      blockType: event.blockType,
+      position: event.position,
+      tick: event.tick
+    });
+  };
+  physics.hazards.onHazard = (hazard) => hazardsStarted.push(hazard);
+  physics.onWeldBreak = (event) => {
+    weldsBroken.push({ a: event.bodyA.userData.id, b: event.bodyB.userData.id });
+  };
+
+  bodies.clear();
+  for (const block of blocks) {
+    addBlock(block);
+  }
+  for (const weld of welds) {
+    const a = bodies.get(weld.a);
+    const b = bodies.get(weld.b);
+    if (a && b) physics.addWeld(a, b, weld.breakForce);
+  }
+
+  collapses = [];
+  hazardsStarted = [];
+  weldsBroken = [];
+  start();
+}
+
+function addBlock(block) {
+  const body = createBlockBody(block.blockType, block.position);
+  if (!body) return;
+
+  body.userData.id = block.id;
+  physics.addBody(body);
+  physics.applyBodyState(body, block);
+  bodies.set(block.id, body);
+}
+
+// The game already checked them; types it had before are skipped, since
+// registerBlockTypes() refuses the whole list if any id is taken
+function registerCustomBlockTypes(manifest) {
+  const list = Array.isArray(manifest) ? manifest : (manifest && manifest.blocks) || [];
+  const definitions = list.filter(def => !(def && BLOCK_TYPES[def.id]));
+  if (definitions.length === 0) return;
+
+  try {
+    registerBlockTypes(definitions, { custom: true });
+  } catch (error) {
+    console.warn(`Physics worker skipped block types: ${error.message}`);
+  }
+}
+
+function start() {
+  stop();
+  lastTime = performance.now();
+  timer = setInterval(update, FIXED_TIME_STEP * 1000);
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+// Step by the time that has passed and send the result
+function update() {
+  const now = performance.now();
+  const tick = physics.getTick();
+  physics.update((now - lastTime) / 1000);
+  lastTime = now;
+  if (physics.getTick() === tick) return;
+
+  const states = writeBodyStates(physics.bodies, body => body.userData.id);
+  self.postMessage({
+    type: 'frame',
+    seq,
+    tick: physics.getTick(),
+    time: now,
+    states,
+    collapses,
+    hazardsStarted,
+    weldsBroken,
+    hazards: physics.hazards.getState()
+  }, [states.buffer]);
+
+  collapses = [];
+  hazardsStarted = [];
+  weldsBroken = [];
+}
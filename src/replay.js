@@ -0,0 +1,183 @@
+import { FIXED_TIME_STEP } from './physics.js';
+
+// Deterministic session recording and playback
+//
+// A replay log holds the tower at the start of the recording plus every edit
+// made during it, each stamped with the physics tick (fixed step) it happened
+// on. Playing the log back into a fresh deterministic world performs the same
+// edits on the same ticks, so it produces the same tower every time.
+export const REPLAY_FORMAT_VERSION = 1;
+
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+
+// Longest frame played in full; after a stall (a hidden tab) playback picks
+// up where it was rather than racing to catch up
+const MAX_FRAME_TIME = 0.25;
+
+export class ReplayRecorder {
+  constructor() {
+    this.recording = false;
+    this.physics = null;
+    this.startTick = 0;
+    this.initial = [];
+    this.events = [];
+  }
+
+  start(physics) {
+    this.physics = physics;
+    this.startTick = physics.getTick();
+    this.initial = physics.snapshot();
+    this.events = [];
+    this.recording = true;
+  }
+
+  // A block placed by the player
+  recordPlacement(blockType, position, quaternion) {
+    this.record({
+      action: 'place',
+      blockType,
+      position: { x: position.x, y: position.y, z: position.z },
+      quaternion: { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w }
+    });
+  }
+
+  // The whole tower replaced by a snapshot (undo, redo, reset, load)
+  recordRestore(blocks) {
+    this.record({ action: 'restore', blocks });
+  }
+
+  // A wind gust or earthquake starting (random hazards aren't rerolled on
+  // playback, they're replayed from here)
+  recordHazard(hazard) {
+    this.record({ action: 'hazard', hazard: { ...hazard } });
+  }
+
+  record(event) {
+    if (!this.recording) return;
+    event.tick = this.physics.getTick() - this.startTick;
+    this.events.push(event);
+  }
+
+  // Stop recording and return the finished log
+  stop() {
+    if (!this.recording) return null;
+    this.recording = false;
+
+    return {
+      format: 'skyscraper-stacker-replay',
+      version: REPLAY_FORMAT_VERSION,
+      stepsPerTick: this.physics.stepsPerTick,
+      duration: this.physics.getTick() - this.startTick,
+      initial: this.initial,
+      events: this.events
+    };
+  }
+}
+
+export class ReplayPlayer {
+  // handlers.reset(initialBlocks) must build a fresh deterministic world
+  // holding the initial tower and return it; handlers.place(event),
+  // handlers.restore(event) and handlers.hazard(event) apply the recorded
+  // edits and hazards to that world.
+  constructor(log, handlers) {
+    this.log = log;
+    this.handlers = handlers;
+
+    this.physics = null;
+    this.tick = 0;
+    this.eventIndex = 0;
+    this.accumulator = 0;
+    this.speed = 1;
+    this.playing = false;
+
+    // Callback fired after the tick changes (for the scrub bar)
+    this.onTick = null;
+
+    this.restart();
+  }
+
+  get duration() {
+    return this.log.duration;
+  }
+
+  restart() {
+    this.physics = this.handlers.reset(this.log.initial);
+    this.tick = 0;
+    this.eventIndex = 0;
+    this.accumulator = 0;
+    this.applyPendingEvents();
+  }
+
+  // Apply every event due at the current tick
+  applyPendingEvents() {
+    const events = this.log.events;
+    while (this.eventIndex < events.length && events[this.eventIndex].tick <= this.tick) {
+      const event = events[this.eventIndex++];
+      if (event.action === 'place') {
+        this.handlers.place(event);
+      } else if (event.action === 'restore') {
+        this.handlers.restore(event);
+      } else if (event.action === 'hazard') {
+        this.handlers.hazard(event);
+      }
+    }
+  }
+
+  step() {
+    this.physics.step();
+    this.tick++;
+    this.applyPendingEvents();
+  }
+
+  // Jump to a tick; going backwards replays from the start
+  seek(tick) {
+    const target = Math.max(0, Math.min(this.duration, Math.round(tick)));
+    if (target < this.tick) {
+      this.restart();
+    }
+    while (this.tick < target) {
+      this.step();
+    }
+    this.notify();
+  }
+
+  play() {
+    if (this.tick >= this.duration) {
+      this.seek(0);
+    }
+    this.playing = true;
+  }
+
+  pause() {
+    this.playing = false;
+    this.accumulator = 0;
+  }
+
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+
+  // Advance playback by a rendered frame `deltaTime` seconds long. Steps
+  // follow simulated time, so 1x plays a second per second whatever the
+  // display's frame rate.
+  update(deltaTime) {
+    if (!this.playing) return;
+
+    this.accumulator += Math.min(deltaTime, MAX_FRAME_TIME) * this.speed;
+    while (this.accumulator >= FIXED_TIME_STEP && this.tick < this.duration) {
+      this.step();
+      this.accumulator -= FIXED_TIME_STEP;
+    }
+
+    if (this.tick >= this.duration) {
+      this.pause();
+    }
+    this.notify();
+  }
+
+  notify() {
+    if (this.onTick) {
+      this.onTick(this);
+    }
+  }
+}
@@ -0,0 +1,173 @@
+import { BLOCK_TYPES, ORIENTATIONS } from './blockDefs.js';
+
+// Shareable tower links
+//
+// A tower is shared as its list of placements in stacking order. Each
+// placement packs into four URL-safe characters: the block type's index in
+// a fixed table of built-in blocks, the grid cell on X and Z, and the
+// orientation index. A block that isn't on its cell's centre (object or
+// free snapping) sets a flag in the orientation character and adds two
+// characters each for its X and Z offset from the centre, in hundredths of
+// a unit. Version 2 links had no offsets and version 1 links no orientation
+// (three characters, all upright); both still load. Replaying the
+// placements in order rebuilds the tower under the same physics.
+export const SHARE_VERSION = '3';
+
+// Matches GameControls.gridSize, which cells are measured in
+export const SHARE_GRID_SIZE = 5;
+
+const CHARS_PER_PLACEMENT = { 1: 3, 2: 4, 3: 4 };
+
+const HASH_KEY = 'tower';
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+const CELL_OFFSET = 32; // Grid cells from -32 to 31 fit in one character
+
+// Orientation characters with this bit set are followed by offsets
+const OFFSET_FLAG = 8;
+const OFFSET_SCALE = 100;
+// Two characters hold 0 to 4095; offsets are stored from -2048
+const OFFSET_BIAS = ALPHABET.length * ALPHABET.length / 2;
+// Closer to the centre than this counts as on it, so blocks that settled a
+// hair off their cell don't make the link longer
+const OFFSET_TOLERANCE = 0.05;
+
+// Built-in block types by the index links store for them. The catalog's order
+// doesn't matter and custom blocks aren't here, so a link always means the
+// same blocks; new built-in types go on the end and nothing is ever removed.
+const SHARE_BLOCK_TYPES = [
+  'foundation', 'office', 'spire', 'beam', 'rotunda', 'dome', 'roof', 'arch', 'podium', 'plank'
+];
+
+// Encode placements ({ blockType, x, z, orientation }, in world units) into
+// a share code
+export function encodeTower(placements) {
+  let code = SHARE_VERSION;
+
+  for (const placement of placements) {
+    const config = BLOCK_TYPES[placement.blockType];
+    if (config && config.custom) {
+      throw new Error(`Custom blocks (${config.name}) can't go in a share link`);
+    }
+    const typeIndex = SHARE_BLOCK_TYPES.indexOf(placement.blockType);
+    if (typeIndex < 0) {
+      throw new Error(`Unknown block type: ${placement.blockType}`);
+    }
+
+    const cellX = Math.round(placement.x / SHARE_GRID_SIZE);
+    const cellZ = Math.round(placement.z / SHARE_GRID_SIZE);
+    const offsetX = getOffset(placement.x, cellX);
+    const offsetZ = getOffset(placement.z, cellZ);
+    const hasOffset = offsetX !== 0 || offsetZ !== 0;
+
+    code += ALPHABET[typeIndex];
+    code += encodeCell(cellX);
+    code += encodeCell(cellZ);
+    code += ALPHABET[orientationIndex(placement.orientation) | (hasOffset ? OFFSET_FLAG : 0)];
+    if (hasOffset) {
+      code += encodeOffset(offsetX) + encodeOffset(offsetZ);
+    }
+  }
+
+  return code;
+}
+
+// Decode a share code back into placements ({ blockType, x, z, orientation })
+export function decodeTower(code) {
+  const version = code ? code[0] : undefined;
+  const size = CHARS_PER_PLACEMENT[version];
+  if (!size) {
+    throw new Error('Unsupported tower link');
+  }
+
+  const body = code.slice(1);
+  const placements = [];
+
+  for (let i = 0; i < body.length; i += size) {
+    if (i + size > body.length) {
+      throw new Error('Tower link is truncated');
+    }
+
+    const typeIndex = ALPHABET.indexOf(body[i]);
+    const cellX = ALPHABET.indexOf(body[i + 1]);
+    const cellZ = ALPHABET.indexOf(body[i + 2]);
+    let orientationChar = size > 3 ? ALPHABET.indexOf(body[i + 3]) : 0;
+
+    let offsetX = 0;
+    let offsetZ = 0;
+    if (version === '3' && orientationChar >= 0 && (orientationChar & OFFSET_FLAG)) {
+      orientationChar &= ~OFFSET_FLAG;
+      if (i + size + 4 > body.length) {
+        throw new Error('Tower link is truncated');
+      }
+      offsetX = decodeOffset(body.slice(i + size, i + size + 2));
+      offsetZ = decodeOffset(body.slice(i + size + 2, i + size + 4));
+      i += 4;
+    }
+
+    const orientation = ORIENTATIONS[orientationChar];
+    const blockType = SHARE_BLOCK_TYPES[typeIndex];
+    if (cellX < 0 || cellZ < 0 || !blockType || !orientation || offsetX === null || offsetZ === null) {
+      throw new Error('Tower link is corrupt');
+    }
+    if (!BLOCK_TYPES[blockType]) {
+      throw new Error(`Tower link uses a block this game doesn't have: ${blockType}`);
+    }
+
+    placements.push({
+      blockType,
+      x: ((cellX - CELL_OFFSET) * SHARE_GRID_SIZE * OFFSET_SCALE + offsetX) / OFFSET_SCALE,
+      z: ((cellZ - CELL_OFFSET) * SHARE_GRID_SIZE * OFFSET_SCALE + offsetZ) / OFFSET_SCALE,
+      orientation: { ...orientation }
+    });
+  }
+
+  return placements;
+}
+
+function orientationIndex(orientation = {}) {
+  const index = ORIENTATIONS.findIndex(o => o.yaw === (orientation.yaw || 0) && o.tip === !!orientation.tip);
+  return Math.max(0, index);
+}
+
+// Cells that don't fit aren't moved into range: that would share a
+// different tower
+function encodeCell(cell) {
+  const index = cell + CELL_OFFSET;
+  if (!(index >= 0 && index < ALPHABET.length)) {
+    throw new Error(`This tower is too wide to share: blocks must be within ${CELL_OFFSET} grid cells of the middle`);
+  }
+  return ALPHABET[index];
+}
+
+// How far `position` is from the centre of `cell`, in hundredths of a unit
+// (0 when it's close enough to be on it)
+function getOffset(position, cell) {
+  const offset = position - cell * SHARE_GRID_SIZE;
+  return Math.abs(offset) < OFFSET_TOLERANCE ? 0 : Math.round(offset * OFFSET_SCALE);
+}
+
+function encodeOffset(offset) {
+  const value = offset + OFFSET_BIAS;
+  return ALPHABET[Math.floor(value / ALPHABET.length)] + ALPHABET[value % ALPHABET.length];
+}
+
+// An offset in hundredths of a unit, or null if the characters aren't one
+function decodeOffset(chars) {
+  const high = ALPHABET.indexOf(chars[0]);
+  const low = ALPHABET.indexOf(chars[1]);
+  if (high < 0 || low < 0) return null;
+  return high * ALPHABET.length + low - OFFSET_BIAS;
+}
+
+// Read the share code from a location hash such as "#tower=1Agg"
+export function readShareCode(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  return params.get(HASH_KEY);
+}
+
+// Build a full link to the current page with the share code in its hash
+export function buildShareUrl(code) {
+  const url = new URL(window.location.href);
+  url.hash = `${HASH_KEY}=${code}`;
+  return url.toString();
+}
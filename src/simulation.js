@@ -0,0 +1,126 @@
+import { PhysicsWorld } from './physics.js';
+import { createBlockBody, getOrientedHalfExtents, getOrientationQuaternion } from './blockDefs.js';
+
+// Headless tower simulation
+//
+// Applies the game's placement rules to a PhysicsWorld without any rendering,
+// so towers can be built, stepped and measured from plain Node:
+//
+//   const sim = new Simulation();
+//   sim.placeBlock('foundation', 0, 0);
+//   sim.settle();
+//   console.log(sim.getHeight());
+//
+// The world runs in deterministic mode, so a script gives the same result on
+// every run.
+export class Simulation {
+  constructor(options = {}) {
+    this.physics = new PhysicsWorld({ deterministic: true, ...options });
+    this.placements = [];
+    this.peakHeight = 0;
+
+    // Collapse events reported by the physics world
+    this.collapses = [];
+    this.physics.onCollapse = (event) => this.collapses.push(event);
+
+    // Wind gusts and earthquakes that have hit the tower
+    this.hazards = [];
+    this.physics.hazards.onHazard = (hazard) => this.hazards.push(hazard);
+  }
+
+  // Drop a block onto whatever is below x/z, the way the game places it.
+  // `orientation` is { yaw, tip } as in getOrientationQuaternion().
+  // Returns { body, position, valid }, or null for an unknown block type.
+  placeBlock(blockType, x, z, orientation = {}) {
+    const halfExtents = getOrientedHalfExtents(blockType, orientation);
+    if (!halfExtents) return null;
+
+    const surfaceY = this.physics.getTopYAt(x, z, halfExtents);
+    const position = { x, y: surfaceY + halfExtents.y, z };
+    const valid =
+      this.physics.isValidPlacement(position, halfExtents) &&
+      this.physics.hasSupport(position, halfExtents);
+
+    const body = createBlockBody(blockType, position);
+    body.quaternion.copy(getOrientationQuaternion(orientation));
+    this.physics.addBody(body);
+    this.placements.push({ blockType, position, orientation, valid, tick: this.physics.getTick() });
+    this.trackHeight();
+
+    return { body, position, valid };
+  }
+
+  // Replace the tower with a PhysicsWorld.snapshot() (or a save file's blocks)
+  loadBlocks(snapshot) {
+    this.physics.reset();
+    this.placements = [];
+    this.collapses = [];
+
+    const bodies = snapshot.map(state => {
+      const body = createBlockBody(state.blockType, state.position);
+      if (!body) return null;
+
+      this.physics.addBody(body);
+      this.physics.applyBodyState(body, state);
+      return body;
+    });
+    this.physics.restoreWelds(bodies, snapshot);
+
+    this.peakHeight = 0;
+    this.trackHeight();
+  }
+
+  // Advance by a number of ticks
+  step(ticks = 1) {
+    for (let i = 0; i < ticks; i++) {
+      this.physics.update(0);
+      this.trackHeight();
+    }
+  }
+
+  // Step until the tower is at rest; returns false if it never settles
+  settle(maxSteps = 600) {
+    const settled = this.physics.settle(maxSteps);
+    this.trackHeight();
+    return settled;
+  }
+
+  trackHeight() {
+    this.peakHeight = Math.max(this.peakHeight, this.getHeight());
+  }
+
+  getHeight() {
+    return this.physics.getMaxHeight();
+  }
+
+  getPeakHeight() {
+    return this.peakHeight;
+  }
+
+  // Whether any block has tipped, fallen or left the build area
+  hasCollapsed() {
+    return this.collapses.length > 0;
+  }
+
+  getCollapses() {
+    return this.collapses.map(({ type, blockType, position, tick }) => ({ type, blockType, position, tick }));
+  }
+
+  getBlocks() {
+    return this.physics.snapshot();
+  }
+
+  // Summary for scripts and regression checks
+  getReport() {
+    return {
+      blocks: this.physics.getBodies().length,
+      ticks: this.physics.getTick(),
+      height: this.getHeight(),
+      peakHeight: this.peakHeight,
+      collapsed: this.hasCollapsed(),
+      collapses: this.getCollapses(),
+      hazards: this.hazards.map(({ type, tick, direction }) => ({ type, tick, direction })),
+      invalidPlacements: this.placements.filter(p => !p.valid).length
+    };
+  }
+}
@@ -0,0 +1,56 @@
+import * as THREE from 'three';
+
+// Guide lines showing what object snapping lined the block up with
+const GUIDE_COLORS = {
+  center: new THREE.Color(0xFFD93D),
+  edge: new THREE.Color(0x4ECDC4),
+  face: new THREE.Color(0xFF6B9D)
+};
+
+// Room for two guides (one per axis) of two points each
+const MAX_POINTS = 4;
+
+export function createSnapGuides() {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(MAX_POINTS * 3), 3));
+  geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(MAX_POINTS * 3), 3));
+  geometry.setDrawRange(0, 0);
+
+  const lines = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({
+    vertexColors: true,
+    depthTest: false,
+    transparent: true,
+    opacity: 0.9
+  }));
+  lines.frustumCulled = false;
+  lines.renderOrder = 10;
+  return lines;
+}
+
+// guides come from snapToObjects(); an empty list hides them
+export function updateSnapGuides(lines, guides) {
+  const positions = lines.geometry.attributes.position;
+  const colors = lines.geometry.attributes.color;
+  let count = 0;
+
+  for (const guide of guides.slice(0, MAX_POINTS / 2)) {
+    // Just above the surface so it isn't hidden in it
+    const y = guide.y + 0.2;
+    const color = GUIDE_COLORS[guide.kind];
+
+    for (const along of [guide.from, guide.to]) {
+      if (guide.axis === 'x') {
+        positions.setXYZ(count, guide.value, y, along);
+      } else {
+        positions.setXYZ(count, along, y, guide.value);
+      }
+      colors.setXYZ(count, color.r, color.g, color.b);
+      count++;
+    }
+  }
+
+  positions.needsUpdate = true;
+  colors.needsUpdate = true;
+  lines.geometry.setDrawRange(0, count);
+  lines.visible = count > 0;
+}
@@ -0,0 +1,110 @@
+// Snapping
+//
+// Grid snapping rounds to the world grid. Object snapping looks at the block
+// being stacked on and the blocks around the new one, and pulls each axis to
+// the nearest alignment within SNAP_DISTANCE: centered on the block below,
+// flush with its edges, or lined up with (or touching) a neighbour's face.
+// Axes with nothing close enough fall back to the grid. Free snapping leaves
+// the position alone.
+//
+// Blocks are given as parts ({ body, center, half }), the world bounds of
+// each piece of a block, from PhysicsWorld.getBlockParts().
+export const SNAP_MODES = {
+  grid: { name: 'Grid', icon: '#️⃣' },
+  object: { name: 'Object', icon: '🧲' },
+  free: { name: 'Free', icon: '✥' }
+};
+
+// How far an alignment can pull the block
+export const SNAP_DISTANCE = 2.5;
+
+// Neighbours further than this from the block's sides aren't considered
+const NEIGHBOUR_RANGE = 15;
+
+// Snap `point` ({ x, z }) for a block with `halfExtents` resting at
+// `surfaceY`. targetBody is the block it's being stacked on, if any.
+// Returns the position and the guides to draw: { axis, value, from, to, y,
+// kind }, a line across the ground plane at axis = value.
+export function snapToObjects(point, halfExtents, surfaceY, parts, targetBody, gridSize) {
+  const bottom = surfaceY;
+  const top = surfaceY + halfExtents.y * 2;
+
+  const references = [];
+  for (const part of parts) {
+    const partTop = part.center.y + part.half.y;
+    const partBottom = part.center.y - part.half.y;
+
+    if (part.body === targetBody && Math.abs(partTop - bottom) < 1) {
+      references.push({ part, below: true });
+    } else if (partBottom < top - 0.5 && partTop > bottom + 0.5 && isNear(point, halfExtents, part)) {
+      references.push({ part, below: false });
+    }
+  }
+
+  const result = { x: point.x, z: point.z, guides: [] };
+  for (const axis of ['x', 'z']) {
+    const best = findBestCandidate(axis, point[axis], halfExtents[axis], references);
+    if (best) {
+      result[axis] = best.value;
+      result.guides.push({ axis, value: best.line, kind: best.kind, y: bottom, part: best.part });
+    } else {
+      result[axis] = Math.round(point[axis] / gridSize) * gridSize;
+    }
+  }
+
+  // A guide's span depends on where the other axis ended up
+  for (const guide of result.guides) {
+    const other = guide.axis === 'x' ? 'z' : 'x';
+    const part = guide.part;
+    guide.from = Math.min(result[other] - halfExtents[other], part.center[other] - part.half[other]) - 2;
+    guide.to = Math.max(result[other] + halfExtents[other], part.center[other] + part.half[other]) + 2;
+    delete guide.part;
+  }
+
+  return result;
+}
+
+// Positions along one axis that line the block up with a reference part,
+// nearest first
+function findBestCandidate(axis, value, half, references) {
+  let best = null;
+
+  for (const { part, below } of references) {
+    const center = part.center[axis];
+    const min = center - part.half[axis];
+    const max = center + part.half[axis];
+
+    // Centered, and edges flush on either side
+    const candidates = [
+      { value: center, line: center, kind: 'center' },
+      { value: min + half, line: min, kind: 'edge' },
+      { value: max - half, line: max, kind: 'edge' }
+    ];
+
+    // Neighbours can also be touched face to face
+    if (!below) {
+      candidates.push(
+        { value: min - half, line: min, kind: 'face' },
+        { value: max + half, line: max, kind: 'face' }
+      );
+    }
+
+    for (const candidate of candidates) {
+      const distance = Math.abs(candidate.value - value);
+      // The block below wins ties, since that's what it's resting on
+      const score = distance - (below ? 0.01 : 0);
+      if (distance <= SNAP_DISTANCE && (!best || score < best.score)) {
+        best = { ...candidate, part, score };
+      }
+    }
+  }
+
+  return best;
+}
+
+// Whether a part is close enough around the block to align with
+function isNear(point, halfExtents, part) {
+  const gapX = Math.abs(point.x - part.center.x) - halfExtents.x - part.half.x;
+  const gapZ = Math.abs(point.z - part.center.z) - halfExtents.z - part.half.z;
+  return gapX < NEIGHBOUR_RANGE && gapZ < NEIGHBOUR_RANGE;
+}
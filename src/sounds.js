@@ -0,0 +1,78 @@
+// Sound effects
+//
+// Short effects made with the Web Audio API, so there are no sound files to
+// load. Browsers only let audio start after the player has done something on
+// the page, which every effect here follows.
+let context = null;
+
+function getContext() {
+  if (!context) {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return null;
+    context = new AudioContext();
+  }
+  if (context.state === 'suspended') {
+    context.resume();
+  }
+  return context;
+}
+
+// A tone sliding from one pitch to another and fading out
+function playTone(audio, { type, from, to, duration, volume, delay = 0 }) {
+  const start = audio.currentTime + delay;
+  const oscillator = audio.createOscillator();
+  const gain = audio.createGain();
+
+  oscillator.type = type;
+  oscillator.frequency.setValueAtTime(from, start);
+  oscillator.frequency.exponentialRampToValueAtTime(to, start + duration);
+  gain.gain.setValueAtTime(volume, start);
+  gain.gain.exponentialRampToValueAtTime(0.001, start + duration);
+
+  oscillator.connect(gain).connect(audio.destination);
+  oscillator.start(start);
+  oscillator.stop(start + duration);
+}
+
+// A burst of noise, like something cracking
+function playNoise(audio, { duration, volume }) {
+  const length = Math.floor(audio.sampleRate * duration);
+  const buffer = audio.createBuffer(1, length, audio.sampleRate);
+  const data = buffer.getChannelData(0);
+  for (let i = 0; i < length; i++) {
+    data[i] = (Math.random() * 2 - 1) * (1 - i / length);
+  }
+
+  const source = audio.createBufferSource();
+  const gain = audio.createGain();
+  source.buffer = buffer;
+  gain.gain.value = volume;
+  source.connect(gain).connect(audio.destination);
+  source.start();
+}
+
+const SOUNDS = {
+  // Two quick clanks of a rivet going in
+  weld: (audio) => {
+    playTone(audio, { type: 'square', from: 1400, to: 700, duration: 0.06, volume: 0.08 });
+    playTone(audio, { type: 'square', from: 1400, to: 700, duration: 0.06, volume: 0.08, delay: 0.09 });
+  },
+  // A crack and a falling metallic twang
+  weldBreak: (audio) => {
+    playNoise(audio, { duration: 0.15, volume: 0.25 });
+    playTone(audio, { type: 'sawtooth', from: 900, to: 120, duration: 0.35, volume: 0.12 });
+  }
+};
+
+export function playSound(name) {
+  const sound = SOUNDS[name];
+  const audio = sound ? getContext() : null;
+  if (!audio) return;
+
+  try {
+    sound(audio);
+  } catch (error) {
+    // No sound is better than no game
+    console.warn(`Could not play ${name}: ${error.message}`);
+  }
+}
@@ -0,0 +1,151 @@
+// Spatial index
+//
+// A uniform grid of cubic cells. Each item is stored with its bounding box
+// ({ min, max }, each { x, y, z }) in every cell the box touches, so a query
+// only has to look at the items in the cells around it instead of at every
+// item. Moving an item within the cells it already covers costs nothing but
+// the new bounds.
+export class SpatialGrid {
+  constructor(cellSize = 10) {
+    this.cellSize = cellSize;
+
+    // "i,j,k" -> Set of items
+    this.cells = new Map();
+
+    // item -> { bounds, data, range: [i0, j0, k0, i1, j1, k1] }
+    this.entries = new Map();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  // Add an item, or move it if it's already in the grid. `data` is kept with
+  // the item and handed back by query().
+  set(item, bounds, data = null) {
+    const range = this.getCellRange(bounds);
+    const entry = this.entries.get(item);
+
+    if (entry) {
+      entry.bounds = bounds;
+      entry.data = data;
+      if (sameRange(entry.range, range)) return;
+      this.removeFromCells(item, entry.range);
+      entry.range = range;
+    } else {
+      this.entries.set(item, { bounds, data, range });
+    }
+
+    this.forEachCell(range, key => {
+      let cell = this.cells.get(key);
+      if (!cell) {
+        cell = new Set();
+        this.cells.set(key, cell);
+      }
+      cell.add(item);
+    });
+  }
+
+  delete(item) {
+    const entry = this.entries.get(item);
+    if (!entry) return;
+
+    this.removeFromCells(item, entry.range);
+    this.entries.delete(item);
+  }
+
+  clear() {
+    this.cells.clear();
+    this.entries.clear();
+  }
+
+  get(item) {
+    const entry = this.entries.get(item);
+    return entry ? entry.data : undefined;
+  }
+
+  getBounds(item) {
+    const entry = this.entries.get(item);
+    return entry ? entry.bounds : undefined;
+  }
+
+  // Entries ({ item, bounds, data }) whose bounds overlap the box from min
+  // to max. Boxes that only touch count as overlapping.
+  query(min, max) {
+    const found = new Set();
+    const results = [];
+
+    this.forEachCell(this.getCellRange({ min, max }), key => {
+      const cell = this.cells.get(key);
+      if (!cell) return;
+
+      for (const item of cell) {
+        if (found.has(item)) continue;
+        found.add(item);
+
+        const entry = this.entries.get(item);
+        if (overlaps(entry.bounds, min, max)) {
+          results.push({ item, bounds: entry.bounds, data: entry.data });
+        }
+      }
+    });
+
+    return results;
+  }
+
+  // The highest max.y of any item's bounds, -Infinity when there are none
+  getTop() {
+    let top = -Infinity;
+    for (const entry of this.entries.values()) {
+      top = Math.max(top, entry.bounds.max.y);
+    }
+    return top;
+  }
+
+  // Every entry, in the order they were added
+  all() {
+    return Array.from(this.entries, ([item, entry]) => ({ item, bounds: entry.bounds, data: entry.data }));
+  }
+
+  getCellRange(bounds) {
+    const size = this.cellSize;
+    return [
+      Math.floor(bounds.min.x / size), Math.floor(bounds.min.y / size), Math.floor(bounds.min.z / size),
+      Math.floor(bounds.max.x / size), Math.floor(bounds.max.y / size), Math.floor(bounds.max.z / size)
+    ];
+  }
+
+  forEachCell([i0, j0, k0, i1, j1, k1], callback) {
+    for (let i = i0; i <= i1; i++) {
+      for (let j = j0; j <= j1; j++) {
+        for (let k = k0; k <= k1; k++) {
+          callback(`${i},${j},${k}`);
+        }
+      }
+    }
+  }
+
+  removeFromCells(item, range) {
+    this.forEachCell(range, key => {
+      const cell = this.cells.get(key);
+      if (!cell) return;
+      cell.delete(item);
+      if (cell.size === 0) {
+        this.cells.delete(key);
+      }
+    });
+  }
+}
+
+function sameRange(a, b) {
+  for (let i = 0; i < 6; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+function overlaps(bounds, min, max) {
+  return bounds.min.x <= max.x && bounds.max.x >= min.x &&
+    bounds.min.y <= max.y && bounds.max.y >= min.y &&
+    bounds.min.z <= max.z && bounds.max.z >= min.z;
+}
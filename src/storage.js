@@ -0,0 +1,228 @@
+import { BLOCK_TYPES } from './blockDefs.js';
+import { MIN_PLAYERS, MAX_PLAYERS } from './hotseat.js';
+
+// Tower save format
+//
+// A saved tower is a JSON document holding the physics state of every block,
+// in the same shape as PhysicsWorld.snapshot(). Bump the version whenever
+// that shape changes and teach parseTower() to upgrade older documents.
+// Version 2 added welds; version 1 towers load without any.
+export const SAVE_FORMAT_VERSION = 2;
+
+const SLOT_PREFIX = 'skyscraper-stacker:slot:';
+
+// Build a save document from the current physics world
+export function serializeTower(physics) {
+  return {
+    format: 'skyscraper-stacker',
+    version: SAVE_FORMAT_VERSION,
+    savedAt: new Date().toISOString(),
+    blocks: physics.snapshot()
+  };
+}
+
+// Validate a parsed save document (or JSON string) and return it
+export function parseTower(data) {
+  const doc = typeof data === 'string' ? JSON.parse(data) : data;
+
+  if (!doc || doc.format !== 'skyscraper-stacker') {
+    throw new Error('Not a Skyscraper Stacker tower file');
+  }
+  if (typeof doc.version !== 'number' || doc.version > SAVE_FORMAT_VERSION) {
+    throw new Error(`Unsupported tower version: ${doc.version}`);
+  }
+  if (!Array.isArray(doc.blocks)) {
+    throw new Error('Tower file has no block list');
+  }
+
+  doc.blocks.forEach((block, index) => {
+    if (!BLOCK_TYPES[block.blockType]) {
+      throw new Error(`Unknown block type: ${block.blockType}`);
+    }
+    if (!isVector(block.position, 'xyz') || !isVector(block.quaternion, 'xyzw')) {
+      throw new Error('Tower file has a block with a bad transform');
+    }
+
+    // Welds point back at a block earlier in the list
+    if (block.welds !== undefined && (!Array.isArray(block.welds) || !block.welds.every(weld =>
+      weld && Number.isInteger(weld.block) && weld.block >= 0 && weld.block < index &&
+      typeof weld.breakForce === 'number' && weld.breakForce > 0
+    ))) {
+      throw new Error('Tower file has a bad weld');
+    }
+  });
+
+  // Velocities and sleep state are optional; missing ones start at rest
+  const zero = { x: 0, y: 0, z: 0 };
+  doc.blocks = doc.blocks.map(block => ({
+    blockType: block.blockType,
+    position: block.position,
+    quaternion: block.quaternion,
+    velocity: isVector(block.velocity, 'xyz') ? block.velocity : { ...zero },
+    angularVelocity: isVector(block.angularVelocity, 'xyz') ? block.angularVelocity : { ...zero },
+    sleepState: typeof block.sleepState === 'number' ? block.sleepState : 0,
+    ...(block.welds && block.welds.length > 0 ? { welds: block.welds } : {})
+  }));
+
+  return doc;
+}
+
+function isVector(value, components) {
+  if (!value) return false;
+  for (const c of components) {
+    if (typeof value[c] !== 'number' || !Number.isFinite(value[c])) return false;
+  }
+  return true;
+}
+
+// localStorage save slots
+
+export function listSlots() {
+  const slots = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (!key || !key.startsWith(SLOT_PREFIX)) continue;
+
+    const name = key.slice(SLOT_PREFIX.length);
+    let savedAt = null;
+    let blockCount = 0;
+    try {
+      const doc = JSON.parse(localStorage.getItem(key));
+      savedAt = doc.savedAt || null;
+      blockCount = Array.isArray(doc.blocks) ? doc.blocks.length : 0;
+    } catch (e) {
+      // Corrupt slots are still listed so they can be deleted
+    }
+    slots.push({ name, savedAt, blockCount });
+  }
+
+  // Most recent first
+  slots.sort((a, b) => (b.savedAt || '').localeCompare(a.savedAt || ''));
+  return slots;
+}
+
+export function saveSlot(name, doc) {
+  localStorage.setItem(SLOT_PREFIX + name, JSON.stringify(doc));
+}
+
+export function loadSlot(name) {
+  const json = localStorage.getItem(SLOT_PREFIX + name);
+  if (json === null) {
+    throw new Error(`No saved tower named "${name}"`);
+  }
+  return parseTower(json);
+}
+
+export function deleteSlot(name) {
+  localStorage.removeItem(SLOT_PREFIX + name);
+}
+
+// File import/export
+
+export function exportTowerFile(doc, filename = 'tower.json') {
+  downloadFile(new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' }), filename);
+}
+
+// Have the browser save a Blob as a file
+export function downloadFile(blob, filename) {
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  URL.revokeObjectURL(url);
+}
+
+export async function importTowerFile(file) {
+  const text = await file.text();
+  return parseTower(text);
+}
+
+// Player progress and custom blocks
+
+const PROGRESS_KEY = 'skyscraper-stacker:progress';
+const CUSTOM_BLOCKS_KEY = 'skyscraper-stacker:custom-blocks';
+const KEY_BINDINGS_KEY = 'skyscraper-stacker:key-bindings';
+const HOTSEAT_PLAYERS_KEY = 'skyscraper-stacker:hotseat-players';
+const ONLINE_SETTINGS_KEY = 'skyscraper-stacker:online';
+
+export function loadProgress() {
+  const progress = { bestHeight: 0, ...readJson(PROGRESS_KEY) };
+
+  // Best stars per level id
+  progress.levels = { ...progress.levels };
+  return progress;
+}
+
+export function saveProgress(progress) {
+  writeJson(PROGRESS_KEY, progress);
+}
+
+// Raw definitions of blocks the player imported, in blockCatalog.json form
+export function loadCustomBlocks() {
+  const blocks = readJson(CUSTOM_BLOCKS_KEY);
+  return Array.isArray(blocks) ? blocks : [];
+}
+
+export function saveCustomBlocks(blocks) {
+  writeJson(CUSTOM_BLOCKS_KEY, blocks);
+}
+
+// Remapped keys as an { action: [keys] } map, or null for the defaults
+export function loadKeyBindings() {
+  return readJson(KEY_BINDINGS_KEY);
+}
+
+export function saveKeyBindings(bindings) {
+  writeJson(KEY_BINDINGS_KEY, bindings);
+}
+
+// Names and colors ({ name, color }) of the last hotseat players, or null.
+// Entries without a string name and a #rrggbb color are dropped, and too few
+// players left means none.
+export function loadHotseatPlayers() {
+  const stored = readJson(HOTSEAT_PLAYERS_KEY);
+  if (!Array.isArray(stored)) return null;
+
+  const players = stored
+    .filter(player => player && typeof player.name === 'string' && /^#[0-9a-f]{6}$/i.test(player.color))
+    .slice(0, MAX_PLAYERS)
+    .map(({ name, color }) => ({ name, color }));
+  return players.length >= MIN_PLAYERS ? players : null;
+}
+
+export function saveHotseatPlayers(players) {
+  writeJson(HOTSEAT_PLAYERS_KEY, players.map(({ name, color }) => ({ name, color })));
+}
+
+// Server, room, name, color and mode last used to play online, or null
+export function loadOnlineSettings() {
+  const settings = readJson(ONLINE_SETTINGS_KEY);
+  return settings && typeof settings === 'object' && !Array.isArray(settings) ? settings : null;
+}
+
+export function saveOnlineSettings({ url, room, name, color, mode }) {
+  writeJson(ONLINE_SETTINGS_KEY, { url, room, name, color, mode });
+}
+
+// localStorage can be disabled (private browsing) or hold garbage; neither
+// should stop the game from starting
+function readJson(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeJson(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    console.error(`Could not save ${key}: ${e.message}`);
+  }
+}
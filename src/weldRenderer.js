@@ -0,0 +1,126 @@
+import * as THREE from 'three';
+
+// Weld rendering
+//
+// Every weld shows as rivets along the seam where its two blocks met: one in
+// the middle of each edge of the face they share, where the seam shows. The
+// rivets ride on the first block of the weld. A weld that breaks leaves a
+// flash behind where it was.
+const RIVET_RADIUS = 0.7;
+const RIVET_COLOR = 0x5C6370;
+
+const FLASH_COLOR = 0xFFB347;
+const FLASH_TIME = 0.4; // Seconds
+const FLASH_SIZE = 6;
+
+export class WeldRenderer {
+  constructor(scene) {
+    this.scene = scene;
+
+    // weld -> group of rivets, in the frame of the weld's first block
+    this.markers = new Map();
+
+    // Breaks still fading: { mesh, age }
+    this.flashes = [];
+
+    this.rivetGeometry = new THREE.SphereGeometry(RIVET_RADIUS, 10, 6);
+    this.rivetMaterial = new THREE.MeshStandardMaterial({ color: RIVET_COLOR, metalness: 0.6, roughness: 0.4 });
+    this.flashGeometry = new THREE.SphereGeometry(1, 12, 8);
+  }
+
+  // Add rivets for new welds, drop those of welds that are gone and move the
+  // rest with their blocks. Call once a frame, after the blocks moved.
+  update(physics, deltaTime) {
+    const welds = new Set(physics.welds);
+
+    for (const [weld, group] of this.markers) {
+      if (!welds.has(weld)) {
+        this.scene.remove(group);
+        this.markers.delete(weld);
+      }
+    }
+
+    for (const weld of welds) {
+      let group = this.markers.get(weld);
+      if (!group) {
+        group = this.createMarker(physics, weld);
+        this.markers.set(weld, group);
+        this.scene.add(group);
+      }
+
+      group.position.copy(weld.bodyA.interpolatedPosition);
+      group.quaternion.copy(weld.bodyA.interpolatedQuaternion);
+    }
+
+    this.updateFlashes(deltaTime);
+  }
+
+  createMarker(physics, weld) {
+    const group = new THREE.Group();
+    const bodyA = weld.bodyA;
+    const toLocal = new THREE.Quaternion().copy(bodyA.quaternion).invert();
+
+    for (const point of getSeamPoints(physics.getContact(bodyA, weld.bodyB))) {
+      const rivet = new THREE.Mesh(this.rivetGeometry, this.rivetMaterial);
+      rivet.position.set(point.x, point.y, point.z).sub(bodyA.position).applyQuaternion(toLocal);
+      group.add(rivet);
+    }
+
+    // Blocks that drifted apart since they were welded get one rivet
+    if (group.children.length === 0) {
+      const rivet = new THREE.Mesh(this.rivetGeometry, this.rivetMaterial);
+      rivet.position.set(weld.anchor.x, weld.anchor.y, weld.anchor.z);
+      group.add(rivet);
+    }
+    return group;
+  }
+
+  // Show a weld giving way at a world position
+  flash(position) {
+    const material = new THREE.MeshBasicMaterial({ color: FLASH_COLOR, transparent: true, depthWrite: false });
+    const mesh = new THREE.Mesh(this.flashGeometry, material);
+    mesh.position.set(position.x, position.y, position.z);
+    this.scene.add(mesh);
+    this.flashes.push({ mesh, age: 0 });
+  }
+
+  updateFlashes(deltaTime) {
+    for (const flash of this.flashes) {
+      flash.age += deltaTime;
+      const t = Math.min(1, flash.age / FLASH_TIME);
+      flash.mesh.scale.setScalar(1 + t * FLASH_SIZE);
+      flash.mesh.material.opacity = 1 - t;
+    }
+
+    this.flashes = this.flashes.filter(flash => {
+      if (flash.age < FLASH_TIME) return true;
+
+      this.scene.remove(flash.mesh);
+      flash.mesh.material.dispose();
+      return false;
+    });
+  }
+}
+
+// The middle of each edge of a contact box (see PhysicsWorld.getContact()),
+// on the side the blocks met. Nothing for no contact.
+function getSeamPoints(contact) {
+  if (!contact) return [];
+
+  const { min, max } = contact;
+  const size = { x: max.x - min.x, y: max.y - min.y, z: max.z - min.z };
+  const flat = ['x', 'y', 'z'].reduce((a, b) => (size[b] < size[a] ? b : a));
+  const [u, v] = ['x', 'y', 'z'].filter(axis => axis !== flat);
+
+  const middle = {
+    x: (min.x + max.x) / 2,
+    y: (min.y + max.y) / 2,
+    z: (min.z + max.z) / 2
+  };
+  return [
+    { ...middle, [u]: min[u] },
+    { ...middle, [u]: max[u] },
+    { ...middle, [v]: min[v] },
+    { ...middle, [v]: max[v] }
+  ];
+}
@@ -0,0 +1,74 @@
+import * as THREE from 'three';
+
+// Wind sock shown at the edge of the build area. It hangs limp when it's
+// calm and swings round to stream downwind during a gust.
+const POLE_HEIGHT = 24;
+const SOCK_LENGTH = 10;
+
+export function createWindSock() {
+  const group = new THREE.Group();
+
+  const pole = new THREE.Mesh(
+    new THREE.CylinderGeometry(0.4, 0.5, POLE_HEIGHT, 8),
+    new THREE.MeshStandardMaterial({ color: 0x888888 })
+  );
+  pole.position.y = POLE_HEIGHT / 2;
+  pole.castShadow = true;
+  group.add(pole);
+
+  // Turns to face downwind
+  const pivot = new THREE.Group();
+  pivot.position.y = POLE_HEIGHT;
+  group.add(pivot);
+
+  // Tips the sock between hanging down and streaming out
+  const hinge = new THREE.Group();
+  pivot.add(hinge);
+
+  // Open cone with alternating orange and white stripes, pointing along +X
+  const stripes = 4;
+  for (let i = 0; i < stripes; i++) {
+    const length = SOCK_LENGTH / stripes;
+    const radiusStart = 2 - (i / stripes) * 1.2;
+    const radiusEnd = 2 - ((i + 1) / stripes) * 1.2;
+    const stripe = new THREE.Mesh(
+      new THREE.CylinderGeometry(radiusEnd, radiusStart, length, 12, 1, true),
+      new THREE.MeshStandardMaterial({
+        color: i % 2 === 0 ? 0xFF7F11 : 0xFFFFFF,
+        side: THREE.DoubleSide
+      })
+    );
+    stripe.rotation.z = -Math.PI / 2;
+    stripe.position.x = length * (i + 0.5);
+    stripe.castShadow = true;
+    hinge.add(stripe);
+  }
+
+  group.userData.pivot = pivot;
+  group.userData.hinge = hinge;
+  group.userData.droop = Math.PI / 2 - 0.2;
+  group.userData.time = 0;
+
+  return group;
+}
+
+// wind is { x, z, strength } from HazardSystem.getWind(), or null when calm
+export function updateWindSock(sock, wind, deltaTime) {
+  const { pivot, hinge } = sock.userData;
+  const strength = wind ? Math.min(1, wind.strength) : 0;
+  sock.userData.time += deltaTime;
+
+  if (wind && strength > 0.05) {
+    const targetYaw = Math.atan2(-wind.z, wind.x);
+    pivot.rotation.y += shortestAngle(pivot.rotation.y, targetYaw) * Math.min(1, deltaTime * 3);
+  }
+
+  // Hanging straight down when calm, level at full strength, with a flutter
+  const targetDroop = (1 - strength) * (Math.PI / 2 - 0.2) + Math.sin(sock.userData.time * 12) * 0.05 * strength;
+  sock.userData.droop += (targetDroop - sock.userData.droop) * Math.min(1, deltaTime * 4);
+  hinge.rotation.z = -sock.userData.droop;
+}
+
+function shortestAngle(from, to) {
+  return Math.atan2(Math.sin(to - from), Math.cos(to - from));
+}
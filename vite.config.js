@@ -6,6 +6,10 @@ export default defineConfig({
     outDir: 'dist',
     assetsDir: 'assets'
   },
+  // manifold-3d finds its .wasm next to itself, which pre-bundling breaks
+  optimizeDeps: {
+    exclude: ['manifold-3d']
+  },
   server: {
     host: true
   }